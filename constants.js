@@ -1,3 +1,6 @@
+// Built-in prompts: version 1 of each prompt in the registry (see lib/prompts.js).
+// Edit prompts through the registry; changing these only affects a fresh PROMPTS_DIR.
+
 const HBLPROMPT = `
 You are a logistics document extraction engine specialized in HOUSE BILLS OF LADING (HBL) for CargoWise.
 
@@ -297,4 +300,270 @@ VALIDATION RULES
 Now analyze the provided MBL document images and output the JSON.
 `
 
-export { HBLPROMPT, COMMERCIAL_INVOICE_PROMPT, MBL_PROMPT };
\ No newline at end of file
+const PACKING_LIST_PROMPT = `
+You are a logistics document extraction engine specialized in PACKING LISTS for CargoWise.
+
+IMPORTANT
+- This document is a packing list (packing declaration, weight and measurement list).
+- Ignore invoices, bills of lading and other documents.
+- Extract ONLY the fields listed below.
+- Do NOT infer or guess values. Do NOT compute totals that are not printed.
+- Preserve exact spelling and casing from the document.
+- If a field is not present, return null.
+- Combine information across all pages, but avoid duplication.
+- Return ONLY valid JSON.
+
+OUTPUT JSON SCHEMA
+{
+  "document_type": "PACKING_LIST",
+  "packing_list_number": null,
+  "packing_list_date": null,
+  "invoice_number": null,
+  "parties": {
+    "shipper": {
+      "name": null,
+      "address": null
+    },
+    "consignee": {
+      "name": null,
+      "address": null
+    }
+  },
+  "routing": {
+    "port_of_loading": null,
+    "port_of_discharge": null,
+    "vessel_name": null,
+    "voyage_number": null
+  },
+  "totals": {
+    "total_packages": {
+      "value": null,
+      "unit": null
+    },
+    "net_weight": {
+      "value": null,
+      "unit": null
+    },
+    "gross_weight": {
+      "value": null,
+      "unit": null
+    },
+    "volume": {
+      "value": null,
+      "unit": null
+    }
+  },
+  "shipping_marks": null,
+  "line_items": [
+    {
+      "line_no": null,
+      "item_code": null,
+      "po_number": null,
+      "description": null,
+      "carton_range": null,
+      "packages": {
+        "value": null,
+        "unit": null
+      },
+      "quantity": {
+        "value": null,
+        "unit": null
+      },
+      "net_weight": {
+        "value": null,
+        "unit": null
+      },
+      "gross_weight": {
+        "value": null,
+        "unit": null
+      },
+      "volume": {
+        "value": null,
+        "unit": null
+      }
+    }
+  ],
+  "containers": [
+    {
+      "container_number": null,
+      "seal_number": null,
+      "container_type": null,
+      "stuffing_mode": null
+    }
+  ],
+  "missing_fields": []
+}
+
+VALIDATION RULES
+- Extract all line items one-by-one in document order.
+- carton_range is the carton numbering as printed (e.g., "1-25").
+- Weights and volumes per line are the line totals, not per carton, unless only per-carton values are printed.
+- Leave containers empty if no container is printed.
+- Dates may be returned as-is if ISO conversion is uncertain.
+
+Now analyze the provided packing list document images and output the JSON.
+`
+
+const AIR_WAYBILL_PROMPT = `
+You are a logistics document extraction engine specialized in AIR WAYBILLS (MAWB and HAWB) for CargoWise.
+
+IMPORTANT
+- This document is an air waybill: a master air waybill (MAWB) issued for the airline, or a house air waybill (HAWB) issued by a forwarder.
+- Extract ONLY the fields listed below.
+- Do NOT infer or guess values.
+- Preserve exact spelling and casing from the document.
+- If a field is not present, return null.
+- Combine information across all pages (original copies repeat the same data; extract it once).
+- Return ONLY valid JSON.
+
+OUTPUT JSON SCHEMA
+{
+  "document_type": "AIR_WAYBILL",
+  "awb_number": null,
+  "awb_type": null,
+  "master_awb_number": null,
+  "issue_date": null,
+  "parties": {
+    "shipper": {
+      "name": null,
+      "address": null
+    },
+    "consignee": {
+      "name": null,
+      "address": null
+    },
+    "notify_party": {
+      "name": null,
+      "address": null
+    },
+    "issuing_agent": {
+      "name": null,
+      "address": null
+    },
+    "carrier": {
+      "name": null
+    }
+  },
+  "routing": {
+    "airport_of_departure": null,
+    "airport_of_destination": null,
+    "flight_number": null,
+    "flight_date": null,
+    "transshipment_airports": null
+  },
+  "cargo": {
+    "number_of_pieces": null,
+    "gross_weight": {
+      "value": null,
+      "unit": null
+    },
+    "chargeable_weight": {
+      "value": null,
+      "unit": null
+    },
+    "volume": {
+      "value": null,
+      "unit": null
+    },
+    "rate_class": null,
+    "goods_description": null
+  },
+  "charges": {
+    "currency": null,
+    "freight_term": null,
+    "weight_charge": null,
+    "other_charges": null,
+    "total_prepaid": null,
+    "total_collect": null,
+    "declared_value_for_carriage": null,
+    "declared_value_for_customs": null
+  },
+  "handling_information": null,
+  "missing_fields": []
+}
+
+VALIDATION RULES
+- awb_type is "MAWB" for an airline waybill (number printed as 3-digit airline prefix + 8 digits, e.g., "176-12345675") and "HAWB" for a forwarder's house waybill.
+- master_awb_number is the MAWB number printed on a HAWB, null on a MAWB.
+- Airports as printed (IATA code or name).
+- freight_term is "PP" (prepaid) or "CC" (collect) as printed.
+- Charges and declared values must be numeric, or null when printed as "NVD" / "NCV".
+- Dates may be returned as-is if ISO conversion is uncertain.
+
+Now analyze the provided air waybill document images and output the JSON.
+`
+
+const CLASSIFICATION_PROMPT = `
+You are a logistics document classifier for CargoWise.
+
+TASK
+- Decide, for EACH image/page provided, which type of shipping document it belongs to.
+- Several documents may be scanned back to back (e.g., commercial invoice, packing list, HBL and MBL in one PDF).
+- Detect where each document starts so the pages can be split into separate documents.
+- Do NOT extract any other field values.
+- Return ONLY valid JSON.
+
+ALLOWED DOCUMENT TYPES
+{{DOCUMENT_TYPES}}
+- "UNKNOWN": anything else (certificates, legal terms pages without document headers, blank pages).
+
+PAGE INDEXING
+- The first image in the input batch is page_index = 1, second is 2, etc.
+- You MUST return one entry for every page in the batch.
+
+DOCUMENT BOUNDARIES
+- starts_new_document = true when the page is the first page of a document (it shows a document title/header block, or "Page 1 of N").
+- starts_new_document = false for continuation pages (line item continuations, "Page 2 of N", attached clauses, rider pages).
+- document_reference = the main document number printed on the page (invoice, packing list, bill of lading or air waybill number), exactly as printed, or null.
+
+CONFIDENCE
+- confidence is a number between 0 and 1.
+- Use a high confidence only when the page shows a clear title or issuer for that document type.
+- Continuation pages without a title should inherit the type of the document they continue, with a lower confidence.
+
+OUTPUT JSON SCHEMA (STRICT)
+{
+  "pages": [
+    {
+      "page_index": null,
+      "document_type": null,
+      "confidence": null,
+      "starts_new_document": null,
+      "document_reference": null
+    }
+  ]
+}
+
+Now classify the provided document images and output the JSON.
+`
+
+// Appended to every extraction prompt so each value can be traced to its page
+const PROVENANCE_PROMPT = `
+SOURCE LOCATIONS
+- In addition to the OUTPUT JSON SCHEMA above, return a top-level "provenance" object.
+- For every non-null field you extracted, add an entry keyed by its JSON path, e.g. "invoice_number", "parties.shipper.name", "routing.port_of_loading", "financials.invoice_total".
+- For line items and containers, add one entry per array element keyed by its 0-based position in your output: "line_items[0]", "containers[1]".
+- Each entry is { "page_index": <1-based index of the image in this batch>, "bbox": [x_min, y_min, x_max, y_max] }.
+- bbox encloses the printed value (for line items and containers: the whole row), as fractions of the page width and height from 0 to 1 with the origin at the top-left corner.
+- Use "bbox": null when you cannot locate the value precisely. Never add entries for null fields.
+
+EXAMPLE
+"provenance": {
+  "invoice_number": { "page_index": 1, "bbox": [0.62, 0.08, 0.81, 0.11] },
+  "line_items[0]": { "page_index": 2, "bbox": [0.05, 0.31, 0.95, 0.34] }
+}
+`
+
+const TEXT_LAYER_PROMPT = `
+PAGE TEXT
+- The pages of this batch are marked "PAGE <n>", in order. page_index in "provenance" is this <n>.
+- Pages marked "(text layer)" come with the text printed in the PDF, laid out like the page. It is exact: take numbers, codes and names from it, and use a page image only to see the layout, stamps or handwriting.
+- Pages marked "(scanned)" come as an image only.
+- For a value found on a page without an image, use "bbox": null.
+`
+
+const EMAIL_CONTEXT_PROMPT = `EMAIL CONTEXT
+The pages below were attached to this email. Use it only to understand the documents (e.g., which shipment or booking they belong to); extract values from the pages, not from the email.
+`
+
+export { HBLPROMPT, COMMERCIAL_INVOICE_PROMPT, MBL_PROMPT, PACKING_LIST_PROMPT, AIR_WAYBILL_PROMPT, CLASSIFICATION_PROMPT, PROVENANCE_PROMPT, TEXT_LAYER_PROMPT, EMAIL_CONTEXT_PROMPT };
\ No newline at end of file
@@ -0,0 +1,388 @@
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import dotenv from 'dotenv';
+import { createProvider } from './lib/providers.js';
+import { resolvePromptVersions } from './lib/prompts.js';
+import { BATCH_CONCURRENCY, DOCUMENT_FILE_PATTERN, TEXT_LAYER_MODES, TEXT_LAYER_MODE, normalizeDocumentType, createUsage, extract } from './lib/pipeline.js';
+import { resolvePreprocessOptions } from './lib/preprocess.js';
+import { evaluateDocument, summarizeEvaluations, estimateCost, modelPrice } from './lib/evaluation.js';
+
+// Load environment variables
+dotenv.config();
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+const USAGE = `Usage: node evaluate.js <dataset-dir> [options]
+
+Runs the extraction pipeline over a folder of labelled documents and scores the
+results field by field. A case is either a file with a label next to it
+(invoice.pdf + invoice.expected.json) or a folder of page images holding an
+expected.json. A label is the document's data as the extraction returns it.
+
+Options:
+  --type <type>          Document type or AUTO (default: document_type of each label)
+  --batch-size <n>       Pages per LLM request (default 5)
+  --batch-context        Pass a summary of earlier batches to later batches
+  --concurrency <n>      Batches sent to the LLM at the same time (default ${BATCH_CONCURRENCY})
+  --text-layer <mode>    PDF pages with text: hybrid (text + low detail image), text or off (default ${TEXT_LAYER_MODE})
+  --raw-images           Send page images unchanged (no rotation, deskew, cropping or downscaling)
+  --image-format <fmt>   Re-encode page images as jpeg or png (default: IMAGE_FORMAT or jpeg)
+  --max-dimension <px>   Longest side of page images (default: IMAGE_MAX_DIMENSION or 2048)
+  --prompt <name=ver>    Prompt version to evaluate, e.g. --prompt HBL=3 (repeatable)
+  --record <dir>         Record every LLM response to <dir>
+  --replay <dir>         Replay responses recorded with --record instead of calling the LLM
+  --price <in,out>       USD per million input and output tokens (default: known model prices)
+  --out <file>           Write the full report as JSON
+  --summary-only         Do not print the differences per document
+`;
+
+const LABEL_SUFFIX = '.expected.json';
+const FOLDER_LABEL = 'expected.json';
+const PROMPT_VERSIONS_FILE = 'prompt-versions.json'; // Prompt versions of a recording, reused on replay
+
+// ============================================================================
+// HELPER FUNCTIONS
+// ============================================================================
+
+/**
+ * Read and check the command line
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Object} { datasetDir, type, batchSize, batchContext, concurrency, textLayer, preprocess, prompts, record, replay, price, out, summaryOnly }
+ * @throws {Error} On missing or invalid arguments
+ */
+function parseOptions(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      type: { type: 'string' },
+      'batch-size': { type: 'string', default: '5' },
+      'batch-context': { type: 'boolean', default: false },
+      concurrency: { type: 'string' },
+      'text-layer': { type: 'string', default: TEXT_LAYER_MODE },
+      'raw-images': { type: 'boolean', default: false },
+      'image-format': { type: 'string' },
+      'max-dimension': { type: 'string' },
+      prompt: { type: 'string', multiple: true, default: [] },
+      record: { type: 'string' },
+      replay: { type: 'string' },
+      price: { type: 'string' },
+      out: { type: 'string' },
+      'summary-only': { type: 'boolean', default: false },
+      help: { type: 'boolean', default: false }
+    }
+  });
+
+  if (values.help || positionals.length !== 1) {
+    throw new Error(USAGE);
+  }
+  if (values.record && values.replay) {
+    throw new Error('Use either --record or --replay, not both');
+  }
+
+  const type = values.type ? normalizeDocumentType(values.type) : null;
+  if (values.type && !type) {
+    throw new Error(`Unsupported document type: ${values.type}`);
+  }
+
+  if (!TEXT_LAYER_MODES.includes(values['text-layer'])) {
+    throw new Error(`Unsupported text layer mode: ${values['text-layer']}. Use ${TEXT_LAYER_MODES.join(', ')}.`);
+  }
+
+  const prompts = Object.fromEntries(values.prompt.map(entry => {
+    const [name, version] = entry.split('=');
+    if (!name || !/^\d+$/.test(version || '')) {
+      throw new Error(`--prompt takes NAME=VERSION, got: ${entry}`);
+    }
+    return [name, Number(version)];
+  }));
+
+  let price = null;
+  if (values.price) {
+    const [input, output] = values.price.split(',').map(Number);
+    if (!Number.isFinite(input) || !Number.isFinite(output)) {
+      throw new Error(`--price takes INPUT,OUTPUT in USD per million tokens, got: ${values.price}`);
+    }
+    price = { input, output };
+  }
+
+  return {
+    datasetDir: path.resolve(positionals[0]),
+    type,
+    batchSize: Number(values['batch-size']) || 5,
+    batchContext: values['batch-context'],
+    concurrency: Number(values.concurrency) || BATCH_CONCURRENCY,
+    textLayer: values['text-layer'],
+    preprocess: resolvePreprocessOptions(values['raw-images'] ? false : { format: values['image-format'], maxDimension: values['max-dimension'] }),
+    prompts,
+    record: values.record || null,
+    replay: values.replay || null,
+    price,
+    out: values.out || null,
+    summaryOnly: values['summary-only']
+  };
+}
+
+/**
+ * Find the labelled documents of a dataset
+ * @param {string} datasetDir - Dataset folder
+ * @returns {Object[]} [{ name, files, labelPath }] sorted by name
+ */
+function findCases(datasetDir) {
+  if (!fs.existsSync(datasetDir) || !fs.statSync(datasetDir).isDirectory()) {
+    throw new Error(`Dataset folder not found: ${datasetDir}`);
+  }
+
+  const byName = (a, b) => a.localeCompare(b, undefined, { numeric: true });
+  const entries = fs.readdirSync(datasetDir).sort(byName);
+  const cases = [];
+
+  entries.forEach(entry => {
+    const entryPath = path.join(datasetDir, entry);
+
+    // Folder of page images (or PDFs) with expected.json
+    if (fs.statSync(entryPath).isDirectory()) {
+      const labelPath = path.join(entryPath, FOLDER_LABEL);
+      if (!fs.existsSync(labelPath)) return;
+      const files = fs.readdirSync(entryPath).filter(file => DOCUMENT_FILE_PATTERN.test(file)).sort(byName);
+      cases.push({ name: entry, files: files.map(file => path.join(entryPath, file)), labelPath });
+      return;
+    }
+
+    // Single document with <name>.expected.json next to it
+    if (entry.endsWith(LABEL_SUFFIX)) {
+      const name = entry.slice(0, -LABEL_SUFFIX.length);
+      const document = entries.find(other => DOCUMENT_FILE_PATTERN.test(other) && path.parse(other).name === name);
+      if (document) {
+        cases.push({ name, files: [path.join(datasetDir, document)], labelPath: entryPath });
+      } else {
+        console.warn(`⚠️  No document found for label ${entry}`);
+      }
+    }
+  });
+
+  return cases.filter(testCase => {
+    if (testCase.files.length === 0) {
+      console.warn(`⚠️  No documents found in ${testCase.name}/`);
+      return false;
+    }
+    return true;
+  });
+}
+
+/**
+ * Prompt versions for the run
+ * A replay uses the versions the recording was made with, so the requests (and
+ * therefore the recording keys) are the same; --prompt overrides them.
+ * @param {Object} options - Parsed options
+ * @returns {Object} { name: version } for every prompt
+ */
+function runPromptVersions(options) {
+  const recordedFile = options.replay ? path.join(options.replay, PROMPT_VERSIONS_FILE) : null;
+  const recorded = recordedFile && fs.existsSync(recordedFile) ? JSON.parse(fs.readFileSync(recordedFile, 'utf8')) : {};
+  return resolvePromptVersions({ ...recorded, ...options.prompts });
+}
+
+/**
+ * Extract one labelled document and score it
+ * @param {Object} testCase - { name, files, labelPath }
+ * @param {Object} provider - LLM provider
+ * @param {Object} options - Parsed options plus promptVersions
+ * @returns {Promise<Object>} { name, files, documentType, detectedType, durationMs, usage, cost, evaluation, error }
+ */
+async function runCase(testCase, provider, options) {
+  const expected = JSON.parse(fs.readFileSync(testCase.labelPath, 'utf8'));
+  const labelType = expected.document_type ? normalizeDocumentType(expected.document_type) : null;
+  const documentType = options.type || labelType;
+  if (!labelType && (!documentType || documentType === 'AUTO')) {
+    throw new Error(`${testCase.labelPath}: set document_type in the label or pass a document type with --type`);
+  }
+
+  console.log(`\n🧪 ${testCase.name}: ${testCase.files.length} file(s), ${documentType}`);
+  const usage = createUsage();
+  const startedAt = Date.now();
+  let document = null;
+  let error = null;
+
+  try {
+    const { documents } = await extract(testCase.files, {
+      type: documentType,
+      batchSize: options.batchSize,
+      provider,
+      usage,
+      batchContext: options.batchContext,
+      concurrency: options.concurrency,
+      textLayer: options.textLayer,
+      preprocess: options.preprocess,
+      promptVersions: options.promptVersions
+    });
+    // With AUTO the first extracted document is the one scored, as in the API response
+    document = documents.find(doc => doc.data) || null;
+  } catch (caught) {
+    // A failed case scores as nothing extracted; the run goes on
+    console.error(`❌ ${testCase.name}: ${caught.message}`);
+    error = caught.message;
+  }
+
+  return {
+    name: testCase.name,
+    files: testCase.files.map(file => path.basename(file)),
+    documentType: labelType || documentType,
+    detectedType: document?.documentType || null,
+    durationMs: Date.now() - startedAt,
+    usage,
+    cost: estimateCost(usage, options.price || modelPrice(provider.model)),
+    evaluation: evaluateDocument(expected, document?.data || null),
+    error
+  };
+}
+
+/**
+ * Format a rate for the console
+ * @param {number|null} rate - 0-1
+ * @returns {string} e.g. " 95.0%", or "    -" when undefined
+ */
+function percent(rate) {
+  return rate === null ? '     -' : `${(rate * 100).toFixed(1).padStart(5)}%`;
+}
+
+/**
+ * Format a value for the difference listing
+ * @param {*} value - Any value
+ * @returns {string} JSON, shortened to 80 characters
+ */
+function shortValue(value) {
+  const text = JSON.stringify(value ?? null);
+  return text.length > 80 ? `${text.slice(0, 77)}...` : text;
+}
+
+/**
+ * Print the scores per document type
+ * @param {Object} summary - Output of summarizeEvaluations()
+ */
+function printSummary(summary) {
+  console.log('\n' + '='.repeat(60));
+  console.log('📊 EVALUATION SUMMARY');
+  console.log('='.repeat(60));
+
+  Object.entries(summary).forEach(([documentType, result]) => {
+    console.log(`\n${documentType} (${result.documents} document(s)): ` +
+      `precision ${percent(result.overall.precision)}, recall ${percent(result.overall.recall)}, exact match ${percent(result.overall.exactMatch)}`);
+    console.log(`  ${'Field'.padEnd(44)} Precision  Recall   Exact`);
+    Object.entries(result.fields).forEach(([fieldPath, rates]) => {
+      console.log(`  ${fieldPath.padEnd(44)} ${percent(rates.precision)}  ${percent(rates.recall)}  ${percent(rates.exactMatch)}`);
+    });
+
+    Object.entries(result.tables).forEach(([key, table]) => {
+      console.log(`\n  ${key}: ${table.expected} expected, ${table.extracted} extracted, ${table.matched} matched ` +
+        `(row precision ${percent(table.rowPrecision)}, row recall ${percent(table.rowRecall)})`);
+      console.log(`    Fields of matched rows: precision ${percent(table.precision)}, recall ${percent(table.recall)}, exact match ${percent(table.exactMatch)}`);
+      Object.entries(table.columns).forEach(([fieldPath, rates]) => {
+        console.log(`    ${fieldPath.padEnd(42)} ${percent(rates.precision)}  ${percent(rates.recall)}  ${percent(rates.exactMatch)}`);
+      });
+    });
+  });
+}
+
+/**
+ * Print what each document got wrong
+ * @param {Object[]} results - Output of runCase()
+ */
+function printDifferences(results) {
+  results.forEach(result => {
+    const { differences } = result.evaluation;
+    console.log(`\n🔍 ${result.name} (${result.documentType}): ${differences.length} difference(s)` +
+      `${result.error ? ` - extraction failed: ${result.error}` : ''}`);
+    differences.forEach(difference => {
+      console.log(`  - ${difference.path}: expected ${shortValue(difference.expected)}, got ${shortValue(difference.actual)}`);
+    });
+  });
+}
+
+// ============================================================================
+// MAIN EXECUTION
+// ============================================================================
+
+async function main() {
+  let options;
+  try {
+    options = parseOptions(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+
+  try {
+    const cases = findCases(options.datasetDir);
+    if (cases.length === 0) {
+      console.error(`❌ No labelled documents in ${options.datasetDir} (expected <name>${LABEL_SUFFIX} or <folder>/${FOLDER_LABEL})`);
+      process.exit(1);
+    }
+
+    // --replay runs offline against the mock provider; --record keeps every response for it
+    const provider = options.replay
+      ? createProvider({ provider: 'mock', responsesDir: options.replay })
+      : createProvider(options.record ? { recordDir: options.record } : {});
+    options.promptVersions = runPromptVersions(options);
+    if (options.record) {
+      fs.writeFileSync(path.join(options.record, PROMPT_VERSIONS_FILE), JSON.stringify(options.promptVersions, null, 2));
+    }
+
+    console.log(`🚀 Evaluating ${cases.length} document(s) from ${options.datasetDir}`);
+    console.log(`🤖 Provider: ${provider.name}, model: ${provider.model}`);
+
+    // One case at a time; batches within a case still run concurrently
+    const results = [];
+    for (const testCase of cases) {
+      results.push(await runCase(testCase, provider, options));
+    }
+
+    const summary = summarizeEvaluations(results);
+    const usage = createUsage();
+    results.forEach(result => Object.keys(usage).forEach(name => { usage[name] += result.usage[name]; }));
+    const costs = results.map(result => result.cost);
+    const cost = costs.every(value => value !== null) ? costs.reduce((sum, value) => sum + value, 0) : null;
+    const durationMs = results.reduce((sum, result) => sum + result.durationMs, 0);
+
+    if (!options.summaryOnly) {
+      printDifferences(results);
+    }
+    printSummary(summary);
+
+    console.log(`\n💰 ${usage.requests} request(s), ${usage.prompt_tokens} input + ${usage.completion_tokens} output token(s)` +
+      `, ${cost === null ? 'cost unknown (pass --price)' : `$${cost.toFixed(4)}`}` +
+      `, ${(durationMs / results.length / 1000).toFixed(1)}s per document`);
+    if (options.type === 'AUTO') {
+      const correct = results.filter(result => result.detectedType === result.documentType).length;
+      console.log(`🔎 Classification: ${correct}/${results.length} document(s) detected as the labelled type`);
+    }
+    const failed = results.filter(result => result.error);
+    if (failed.length > 0) {
+      console.log(`⚠️  ${failed.length} document(s) failed: ${failed.map(result => result.name).join(', ')}`);
+    }
+
+    if (options.out) {
+      fs.writeFileSync(options.out, JSON.stringify({
+        createdAt: new Date().toISOString(),
+        dataset: options.datasetDir,
+        provider: { name: provider.name, model: provider.model },
+        promptVersions: options.promptVersions,
+        textLayer: options.textLayer,
+        preprocess: options.preprocess,
+        usage,
+        cost,
+        summary,
+        cases: results
+      }, null, 2));
+      console.log(`✅ Report saved to: ${options.out}`);
+    }
+  } catch (error) {
+    console.error('\n❌ Error during evaluation:', error.message);
+    process.exit(1);
+  }
+}
+
+// Run the main function
+main();
@@ -1,641 +1,324 @@
 import fs from 'fs';
 import path from 'path';
-import { fileURLToPath } from 'url';
-import OpenAI from 'openai';
+import { parseArgs } from 'util';
 import dotenv from 'dotenv';
+import { createProvider } from './lib/providers.js';
+import { resolvePromptVersions } from './lib/prompts.js';
+import { BATCH_CONCURRENCY, DOCUMENT_FILE_PATTERN, TEXT_LAYER_MODES, TEXT_LAYER_MODE, SUPPORTED_DOCUMENT_TYPES, normalizeDocumentType, createUsage, extract } from './lib/pipeline.js';
+import { RENDER_FORMATS, renderDocument } from './lib/render.js';
+import { resolvePreprocessOptions } from './lib/preprocess.js';
 
 // Load environment variables
 dotenv.config();
 
-// ESM __dirname equivalent
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
 // ============================================================================
 // CONFIGURATION
 // ============================================================================
-const PDF_PATH = "./sample-docs/invoice.png"; // Hardcoded PDF path
-const OUTPUT_JSON = path.join(__dirname, "extracted.json");
-const OUTPUT_HTML = path.join(__dirname, "view.html");
-
-// OpenAI client
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-});
-
-// Extraction prompt (EXACT as specified)
-const EXTRACTION_PROMPT = `You are a logistics document extraction engine for CargoWise integration.
-
-GOAL
-Extract a CargoWise-ready JSON AND verify, for each image/page provided in this batch, whether it contains the most important key fields. Some fields may appear only on certain pages (e.g., totals on the cost breakdown page, shipper/consignee on the last page, line items across many pages).
-
-CRITICAL RULES
-- Do NOT guess/infer values not explicitly present.
-- Preserve exact spelling/casing/punctuation from the document.
-- Return ONLY valid JSON (no markdown, no commentary).
-- If a value is not present in the entire document, output null and add it to missing_fields[].
-- If a field appears on multiple pages, keep the primary value once in extracted_data, but mark page presence for all pages where seen.
-
-PAGE INDEXING
-- The first image in the input batch is page_index = 1, second is 2, etc.
-- You MUST produce per_page_presence[] entries for every page in the batch.
-
-MUST-EXTRACT FIELDS (for CargoWise)
-Shipment Matching:
-- invoice_number
-- invoice_date
-- bl_number_raw (or hbl_number/mbl_number if present)
-- shipper.name, shipper.address
-- consignee.name, consignee.address
-- port_of_loading
-- port_of_destination or port_of_discharge
-- vessel_name (and voyage_number if present)
-- incoterm (trade term)
-
-Costing/Compliance:
-- currency
-- invoice_total
-- fob_value
-- freight
-- insurance
-- shipping_marks
-- country_of_origin
-- total_cartons (or package_count/package_type if present)
-
-Line Items:
-- Extract all line items one-by-one in document order, across all pages.
-- For each line: description, quantity.value+unit, unit_price.value+currency, line_amount.value+currency, po_number, reference_no/item_code, plus color/size if present.
-
-OUTPUT JSON SCHEMA (STRICT)
-{
-  "document_type": null,
-  "batch_summary": {
-    "page_count": null,
-    "pages_with_header_keys": [],
-    "pages_with_totals": [],
-    "pages_with_parties": [],
-    "pages_with_line_items": [],
-    "pages_with_cost_breakdown": []
-  },
-  "per_page_presence": [
-    {
-      "page_index": null,
-      "detected_sections": {
-        "has_invoice_header": false,
-        "has_parties_block": false,
-        "has_routing_block": false,
-        "has_line_items_table": false,
-        "has_totals_section": false,
-        "has_cost_breakdown": false
-      },
-      "key_fields_found": {
-        "invoice_number": null,
-        "invoice_date": null,
-        "bl_number_raw": null,
-        "vessel_name": null,
-        "voyage_number": null,
-        "port_of_loading": null,
-        "port_of_destination": null,
-        "incoterm": null,
-        "currency": null,
-        "invoice_total": null,
-        "fob_value": null,
-        "freight": null,
-        "insurance": null,
-        "shipper_name": null,
-        "consignee_name": null,
-        "shipping_marks": null,
-        "country_of_origin": null,
-        "total_cartons": null
-      }
-    }
-  ],
-  "extracted_data": {
-    "shipment_keys": {
-      "mbl_number": null,
-      "hbl_number": null,
-      "bl_number_raw": null,
-      "invoice_number": null,
-      "invoice_date": null,
-      "payment_terms": null,
-      "incoterm": null,
-      "mode": null
-    },
-    "routing": {
-      "vessel_name": null,
-      "voyage_number": null,
-      "port_of_loading": null,
-      "port_of_discharge": null,
-      "port_of_destination": null,
-      "place_of_receipt": null,
-      "place_of_delivery": null,
-      "etd": null,
-      "eta": null
-    },
-    "parties": {
-      "shipper": { "name": null, "address": null, "phone": null, "email": null },
-      "consignee": { "name": null, "address": null, "phone": null, "email": null },
-      "notify_party": { "name": null, "address": null, "phone": null, "email": null }
-    },
-    "cargo": {
-      "goods_description": null,
-      "shipping_marks": null,
-      "country_of_origin": null,
-      "package_count": null,
-      "package_type": null,
-      "total_cartons": null,
-      "gross_weight": { "value": null, "unit": null },
-      "net_weight": { "value": null, "unit": null },
-      "volume": { "value": null, "unit": null }
-    },
-    "financials": {
-      "currency": null,
-      "invoice_total": null,
-      "fob_value": null,
-      "freight": null,
-      "insurance": null,
-      "other_charges": []
-    },
-    "line_items": [
-      {
-        "line_no": null,
-        "item_code": null,
-        "reference_no": null,
-        "po_number": null,
-        "description": null,
-        "color": null,
-        "size": null,
-        "quantity": { "value": null, "unit": null },
-        "unit_price": { "value": null, "currency": null },
-        "line_amount": { "value": null, "currency": null },
-        "source_page_index": null
-      }
-    ]
-  },
-  "missing_fields": [],
-  "extraction_confidence": {
-    "overall": null,
-    "header": null,
-    "parties": null,
-    "routing": null,
-    "financials": null,
-    "line_items": null
-  }
-}
-
-IMPORTANT
-- Fill per_page_presence for EVERY page in the batch.
-- Set batch_summary arrays based on detected sections per page.
-- In line_items, include source_page_index for each item.
-- Return JSON only.`;
+const USAGE = `Usage: node index.js <file|folder|glob>... [options]
+
+Extracts every document in the given files with the same conversion, prompts
+and merge pipeline as the server. Each file is one upload: with AUTO, a PDF
+holding several documents gives one result per document. Writes the results
+and a run summary (summary.json) to the output folder.
+
+Inputs:
+  invoice.pdf            A PDF, image (PNG, JPG, JPEG, GIF, WEBP, TIFF, HEIC) or email (EML, MSG)
+  inbox/                 Every supported file directly in the folder
+  "inbox/**/*.pdf"       A glob (quote it so the shell leaves it alone)
+
+Options:
+  --type <type>          AUTO (default) or ${SUPPORTED_DOCUMENT_TYPES.join(', ')}
+  --out-dir <dir>        Output folder (default ./output)
+  --format <formats>     json (default), csv or html; several with commas (json,html)
+  --batch-size <n>       Pages per LLM request (default 5)
+  --batch-context        Pass a summary of earlier batches to later batches
+  --concurrency <n>      Batches sent to the LLM at the same time (default ${BATCH_CONCURRENCY})
+  --text-layer <mode>    PDF pages with text: hybrid (text + low detail image), text or off (default ${TEXT_LAYER_MODE})
+  --raw-images           Send page images unchanged (no rotation, deskew, cropping or downscaling)
+  --image-format <fmt>   Re-encode page images as jpeg or png (default: IMAGE_FORMAT or jpeg)
+  --max-dimension <px>   Longest side of page images (default: IMAGE_MAX_DIMENSION or 2048)
+`;
+
+const DEFAULT_OUT_DIR = './output';
+const FORMATS = Object.keys(RENDER_FORMATS);
 
 // ============================================================================
 // HELPER FUNCTIONS
 // ============================================================================
 
 /**
- * Read PDF file and convert to base64
- * @param {string} pdfPath - Path to PDF file
- * @returns {string} Base64 encoded PDF
+ * Read a count option (pages per request, parallel requests)
+ * @param {string|undefined} value - Option value as given
+ * @param {string} name - Option name, for the error message
+ * @param {number} fallback - Value when the option is not given
+ * @returns {number} Whole number, at least 1
+ * @throws {Error} If the value is not a whole number of at least 1
  */
-function pdfToBase64(pdfPath) {
-  const pdfBuffer = fs.readFileSync(pdfPath);
-  return pdfBuffer.toString('base64');
+function countOption(value, name, fallback) {
+  if (value === undefined) return fallback;
+  const count = Number(value);
+  if (!Number.isInteger(count) || count < 1) {
+    throw new Error(`--${name} must be a whole number of at least 1 (got ${value})`);
+  }
+  return count;
 }
 
 /**
- * Extract data from PDF using OpenAI Vision (direct PDF support)
- * @param {string} pdfPath - Path to PDF file
- * @returns {Promise<Object>} Extracted structured data
+ * Read and check the command line
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Object} { inputs, type, outDir, formats, batchSize, batchContext, concurrency, textLayer, preprocess }
+ * @throws {Error} On missing or invalid arguments
  */
-async function extractDataWithOpenAI(pdfPath) {
-  console.log(`\n🤖 Sending PDF directly to OpenAI Vision API...`);
+function parseOptions(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      type: { type: 'string', default: 'AUTO' },
+      'out-dir': { type: 'string', default: DEFAULT_OUT_DIR },
+      format: { type: 'string', default: 'json' },
+      'batch-size': { type: 'string' },
+      'batch-context': { type: 'boolean', default: false },
+      concurrency: { type: 'string' },
+      'text-layer': { type: 'string', default: TEXT_LAYER_MODE },
+      'raw-images': { type: 'boolean', default: false },
+      'image-format': { type: 'string' },
+      'max-dimension': { type: 'string' },
+      help: { type: 'boolean', default: false }
+    }
+  });
 
-  // Read PDF and convert to base64
-  const base64Pdf = pdfToBase64(pdfPath);
+  if (values.help || positionals.length === 0) {
+    throw new Error(USAGE);
+  }
 
-  try {
-    const response = await openai.chat.completions.create({
-      model: "gpt-4o-mini", // Using gpt-4o-mini (vision-capable, supports PDF)
-      messages: [
-        {
-          role: "user",
-          content: [
-            { type: "text", text: EXTRACTION_PROMPT },
-            {
-              type: "image_url",
-              image_url: {
-                url: `data:application/pdf;base64,${base64Pdf}`
-              }
-            }
-          ]
-        }
-      ],
-      response_format: { type: "json_object" },
-      max_tokens: 4000
-    });
+  const type = normalizeDocumentType(values.type);
+  if (!type) {
+    throw new Error(`Unsupported document type: ${values.type}. Use AUTO, ${SUPPORTED_DOCUMENT_TYPES.join(', ')}.`);
+  }
 
-    const outputText = response.choices[0].message.content;
-    console.log('✅ Received response from OpenAI');
+  if (!TEXT_LAYER_MODES.includes(values['text-layer'])) {
+    throw new Error(`Unsupported text layer mode: ${values['text-layer']}. Use ${TEXT_LAYER_MODES.join(', ')}.`);
+  }
 
-    // Parse JSON from response
-    const extractedData = JSON.parse(outputText);
-    return extractedData;
-  } catch (error) {
-    console.error('❌ Error calling OpenAI API:', error);
-    throw error;
+  const formats = [...new Set(values.format.split(',').map(format => format.trim().toLowerCase()))];
+  const unknown = formats.filter(format => !FORMATS.includes(format));
+  if (unknown.length > 0) {
+    throw new Error(`Unsupported format: ${unknown.join(', ')}. Use ${FORMATS.join(', ')}.`);
   }
+
+  return {
+    inputs: positionals,
+    type,
+    outDir: path.resolve(values['out-dir']),
+    formats,
+    batchSize: countOption(values['batch-size'], 'batch-size', 5),
+    batchContext: values['batch-context'],
+    concurrency: countOption(values.concurrency, 'concurrency', BATCH_CONCURRENCY),
+    textLayer: values['text-layer'],
+    preprocess: resolvePreprocessOptions(values['raw-images'] ? false : { format: values['image-format'], maxDimension: values['max-dimension'] })
+  };
 }
 
 /**
- * Print summary to console
- * @param {Object} data - Extracted data
+ * Convert a glob to a regular expression over slash-separated relative paths
+ * Supports * (within a folder), ? (one character) and ** (any number of folders).
+ * @param {string} glob - e.g., "**\/*.pdf"
+ * @returns {RegExp} Pattern
  */
-function printSummary(data) {
-  console.log('\n' + '='.repeat(60));
-  console.log('📊 EXTRACTION SUMMARY');
-  console.log('='.repeat(60));
-  console.log(`Document Type: ${data.document_type || 'N/A'}`);
-  
-  const keys = data.shipment_keys || {};
-  console.log(`BL Number: ${keys.bl_number_raw || keys.hbl_number || keys.mbl_number || 'N/A'}`);
-  console.log(`Invoice Number: ${keys.invoice_number || 'N/A'}`);
-  
-  const routing = data.routing || {};
-  console.log(`Port of Loading: ${routing.port_of_loading || 'N/A'}`);
-  console.log(`Port of Discharge: ${routing.port_of_discharge || 'N/A'}`);
-  
-  const financials = data.financials || {};
-  console.log(`Invoice Total: ${financials.currency || ''} ${financials.invoice_total || 'N/A'}`);
-  
-  const lineItems = data.line_items || [];
-  console.log(`Number of Line Items: ${lineItems.length}`);
-  console.log('='.repeat(60) + '\n');
+function globToRegExp(glob) {
+  let pattern = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*' && glob[i + 1] === '*') {
+      // "**/" matches zero or more folders, a trailing "**" everything below
+      pattern += glob[i + 2] === '/' ? '(?:.*/)?' : '.*';
+      i += glob[i + 2] === '/' ? 2 : 1;
+    } else if (char === '*') {
+      pattern += '[^/]*';
+    } else if (char === '?') {
+      pattern += '[^/]';
+    } else {
+      pattern += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${pattern}$`, 'i');
 }
 
 /**
- * Generate HTML view from extracted data
- * @param {Object} data - Extracted data
- * @returns {string} HTML content
+ * Every file below a folder
+ * @param {string} dir - Folder
+ * @returns {string[]} File paths
  */
-function generateHTML(data) {
-  const lineItems = data.line_items || [];
-  
-  // Generate line items table rows
-  const lineItemsRows = lineItems.map(item => {
-    const qty = item.quantity || {};
-    const unitPrice = item.unit_price || {};
-    const lineAmount = item.line_amount || {};
-    
-    return `
-      <tr>
-        <td>${item.line_no ?? ''}</td>
-        <td>${item.item_code ?? ''}</td>
-        <td>${item.reference_no ?? ''}</td>
-        <td>${item.po_number ?? ''}</td>
-        <td>${item.description ?? ''}</td>
-        <td>${item.color ?? ''}</td>
-        <td>${item.size ?? ''}</td>
-        <td>${qty.value ?? ''} ${qty.unit ?? ''}</td>
-        <td>${unitPrice.currency ?? ''} ${unitPrice.value ?? ''}</td>
-        <td>${lineAmount.currency ?? ''} ${lineAmount.value ?? ''}</td>
-      </tr>
-    `;
-  }).join('');
-
-  const missingFields = data.missing_fields || [];
-  const missingFieldsList = missingFields.length > 0
-    ? `<ul>${missingFields.map(field => `<li>${field}</li>`).join('')}</ul>`
-    : '<p>None</p>';
-
-  return `<!DOCTYPE html>
-<html lang="en">
-<head>
-  <meta charset="UTF-8">
-  <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>Shipping Document Extraction Results</title>
-  <style>
-    * {
-      margin: 0;
-      padding: 0;
-      box-sizing: border-box;
-    }
-    body {
-      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, sans-serif;
-      line-height: 1.6;
-      color: #333;
-      background: #f5f5f5;
-      padding: 20px;
-    }
-    .container {
-      max-width: 1400px;
-      margin: 0 auto;
-      background: white;
-      padding: 30px;
-      border-radius: 8px;
-      box-shadow: 0 2px 4px rgba(0,0,0,0.1);
-    }
-    h1 {
-      color: #2c3e50;
-      margin-bottom: 30px;
-      border-bottom: 3px solid #3498db;
-      padding-bottom: 10px;
-    }
-    h2 {
-      color: #34495e;
-      margin-top: 30px;
-      margin-bottom: 15px;
-      font-size: 1.3em;
-    }
-    .section {
-      margin-bottom: 30px;
-      padding: 20px;
-      background: #fafafa;
-      border-radius: 5px;
-      border-left: 4px solid #3498db;
-    }
-    .info-grid {
-      display: grid;
-      grid-template-columns: repeat(auto-fit, minmax(250px, 1fr));
-      gap: 15px;
-      margin-top: 15px;
-    }
-    .info-item {
-      padding: 10px;
-      background: white;
-      border-radius: 4px;
-    }
-    .info-label {
-      font-weight: bold;
-      color: #7f8c8d;
-      font-size: 0.9em;
-      margin-bottom: 5px;
-    }
-    .info-value {
-      color: #2c3e50;
-      font-size: 1.1em;
-    }
-    table {
-      width: 100%;
-      border-collapse: collapse;
-      margin-top: 15px;
-      background: white;
-      font-size: 0.9em;
-    }
-    th {
-      background: #3498db;
-      color: white;
-      padding: 12px;
-      text-align: left;
-      font-weight: 600;
-      position: sticky;
-      top: 0;
-    }
-    td {
-      padding: 10px 12px;
-      border-bottom: 1px solid #e0e0e0;
-    }
-    tr:hover {
-      background: #f8f9fa;
-    }
-    .missing-fields {
-      background: #fff3cd;
-      border-left-color: #ffc107;
-    }
-    .missing-fields ul {
-      margin-left: 20px;
-      margin-top: 10px;
-    }
-    .missing-fields li {
-      margin-bottom: 5px;
-    }
-    .json-section {
-      margin-top: 30px;
-    }
-    .json-toggle {
-      background: #6c757d;
-      color: white;
-      border: none;
-      padding: 10px 20px;
-      border-radius: 4px;
-      cursor: pointer;
-      font-size: 1em;
-      margin-bottom: 10px;
-    }
-    .json-toggle:hover {
-      background: #5a6268;
-    }
-    .json-content {
-      display: none;
-      background: #2c3e50;
-      color: #ecf0f1;
-      padding: 20px;
-      border-radius: 4px;
-      overflow-x: auto;
-      font-family: 'Courier New', monospace;
-      font-size: 0.85em;
-      line-height: 1.5;
-    }
-    .json-content.show {
-      display: block;
+function walkFiles(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const entryPath = path.join(dir, entry.name);
+    return entry.isDirectory() ? walkFiles(entryPath) : [entryPath];
+  });
+}
+
+/**
+ * Expand the command line inputs into document files
+ * @param {string[]} inputs - Files, folders or globs
+ * @returns {string[]} Absolute paths of supported files, in input order, without duplicates
+ * @throws {Error} If a named file or folder does not exist
+ */
+function expandInputs(inputs) {
+  const byName = (a, b) => a.localeCompare(b, undefined, { numeric: true });
+  const files = inputs.flatMap(input => {
+    if (fs.existsSync(input)) {
+      if (fs.statSync(input).isFile()) {
+        if (!DOCUMENT_FILE_PATTERN.test(input)) {
+          console.warn(`⚠️  Skipping unsupported file: ${input}`);
+          return [];
+        }
+        return [path.resolve(input)];
+      }
+      return fs.readdirSync(input)
+        .filter(name => DOCUMENT_FILE_PATTERN.test(name) && fs.statSync(path.join(input, name)).isFile())
+        .sort(byName)
+        .map(name => path.resolve(input, name));
     }
-    pre {
-      margin: 0;
-      white-space: pre-wrap;
-      word-wrap: break-word;
+
+    if (!/[*?]/.test(input)) {
+      throw new Error(`File or folder not found: ${input}`);
     }
-  </style>
-</head>
-<body>
-  <div class="container">
-    <h1>📄 Shipping Document Extraction Results</h1>
-
-    <!-- Document Type & Keys -->
-    <div class="section">
-      <h2>Document Information</h2>
-      <div class="info-grid">
-        <div class="info-item">
-          <div class="info-label">Document Type</div>
-          <div class="info-value">${data.document_type || 'N/A'}</div>
-        </div>
-        <div class="info-item">
-          <div class="info-label">MBL Number</div>
-          <div class="info-value">${data.shipment_keys?.mbl_number || 'N/A'}</div>
-        </div>
-        <div class="info-item">
-          <div class="info-label">HBL Number</div>
-          <div class="info-value">${data.shipment_keys?.hbl_number || 'N/A'}</div>
-        </div>
-        <div class="info-item">
-          <div class="info-label">BL Number (Raw)</div>
-          <div class="info-value">${data.shipment_keys?.bl_number_raw || 'N/A'}</div>
-        </div>
-        <div class="info-item">
-          <div class="info-label">Invoice Number</div>
-          <div class="info-value">${data.shipment_keys?.invoice_number || 'N/A'}</div>
-        </div>
-        <div class="info-item">
-          <div class="info-label">Invoice Date</div>
-          <div class="info-value">${data.shipment_keys?.invoice_date || 'N/A'}</div>
-        </div>
-        <div class="info-item">
-          <div class="info-label">Payment Terms</div>
-          <div class="info-value">${data.shipment_keys?.payment_terms || 'N/A'}</div>
-        </div>
-        <div class="info-item">
-          <div class="info-label">Incoterm</div>
-          <div class="info-value">${data.shipment_keys?.incoterm || 'N/A'}</div>
-        </div>
-      </div>
-    </div>
-
-    <!-- Routing -->
-    <div class="section">
-      <h2>Routing Information</h2>
-      <div class="info-grid">
-        <div class="info-item">
-          <div class="info-label">Vessel Name</div>
-          <div class="info-value">${data.routing?.vessel_name || 'N/A'}</div>
-        </div>
-        <div class="info-item">
-          <div class="info-label">Voyage Number</div>
-          <div class="info-value">${data.routing?.voyage_number || 'N/A'}</div>
-        </div>
-        <div class="info-item">
-          <div class="info-label">Port of Loading</div>
-          <div class="info-value">${data.routing?.port_of_loading || 'N/A'}</div>
-        </div>
-        <div class="info-item">
-          <div class="info-label">Port of Discharge</div>
-          <div class="info-value">${data.routing?.port_of_discharge || 'N/A'}</div>
-        </div>
-        <div class="info-item">
-          <div class="info-label">Port of Destination</div>
-          <div class="info-value">${data.routing?.port_of_destination || 'N/A'}</div>
-        </div>
-      </div>
-    </div>
-
-    <!-- Parties -->
-    <div class="section">
-      <h2>Parties</h2>
-      <div class="info-grid">
-        <div class="info-item">
-          <div class="info-label">Shipper</div>
-          <div class="info-value">${data.parties?.shipper?.name || 'N/A'}</div>
-          <div style="font-size: 0.85em; color: #7f8c8d; margin-top: 5px;">${data.parties?.shipper?.address || ''}</div>
-        </div>
-        <div class="info-item">
-          <div class="info-label">Consignee</div>
-          <div class="info-value">${data.parties?.consignee?.name || 'N/A'}</div>
-          <div style="font-size: 0.85em; color: #7f8c8d; margin-top: 5px;">${data.parties?.consignee?.address || ''}</div>
-        </div>
-        <div class="info-item">
-          <div class="info-label">Notify Party</div>
-          <div class="info-value">${data.parties?.notify_party?.name || 'N/A'}</div>
-          <div style="font-size: 0.85em; color: #7f8c8d; margin-top: 5px;">${data.parties?.notify_party?.address || ''}</div>
-        </div>
-      </div>
-    </div>
-
-    <!-- Financials -->
-    <div class="section">
-      <h2>Financial Information</h2>
-      <div class="info-grid">
-        <div class="info-item">
-          <div class="info-label">Currency</div>
-          <div class="info-value">${data.financials?.currency || 'N/A'}</div>
-        </div>
-        <div class="info-item">
-          <div class="info-label">Invoice Total</div>
-          <div class="info-value">${data.financials?.currency || ''} ${data.financials?.invoice_total || 'N/A'}</div>
-        </div>
-        <div class="info-item">
-          <div class="info-label">FOB Value</div>
-          <div class="info-value">${data.financials?.currency || ''} ${data.financials?.fob_value || 'N/A'}</div>
-        </div>
-        <div class="info-item">
-          <div class="info-label">Freight</div>
-          <div class="info-value">${data.financials?.currency || ''} ${data.financials?.freight || 'N/A'}</div>
-        </div>
-        <div class="info-item">
-          <div class="info-label">Insurance</div>
-          <div class="info-value">${data.financials?.currency || ''} ${data.financials?.insurance || 'N/A'}</div>
-        </div>
-      </div>
-    </div>
-
-    <!-- Cargo -->
-    <div class="section">
-      <h2>Cargo Information</h2>
-      <div class="info-grid">
-        <div class="info-item">
-          <div class="info-label">Goods Description</div>
-          <div class="info-value">${data.cargo?.goods_description || 'N/A'}</div>
-        </div>
-        <div class="info-item">
-          <div class="info-label">Shipping Marks</div>
-          <div class="info-value">${data.cargo?.shipping_marks || 'N/A'}</div>
-        </div>
-        <div class="info-item">
-          <div class="info-label">Country of Origin</div>
-          <div class="info-value">${data.cargo?.country_of_origin || 'N/A'}</div>
-        </div>
-        <div class="info-item">
-          <div class="info-label">Total Cartons</div>
-          <div class="info-value">${data.cargo?.total_cartons || 'N/A'}</div>
-        </div>
-      </div>
-    </div>
-
-    <!-- Line Items -->
-    <div class="section">
-      <h2>Line Items (${lineItems.length})</h2>
-      <table>
-        <thead>
-          <tr>
-            <th>Line No</th>
-            <th>Item Code</th>
-            <th>Reference No</th>
-            <th>PO Number</th>
-            <th>Description</th>
-            <th>Color</th>
-            <th>Size</th>
-            <th>Quantity</th>
-            <th>Unit Price</th>
-            <th>Line Amount</th>
-          </tr>
-        </thead>
-        <tbody>
-          ${lineItemsRows || '<tr><td colspan="10">No line items found</td></tr>'}
-        </tbody>
-      </table>
-    </div>
-
-    <!-- Missing Fields -->
-    <div class="section missing-fields">
-      <h2>Missing Fields</h2>
-      ${missingFieldsList}
-    </div>
-
-    <!-- Raw JSON -->
-    <div class="section json-section">
-      <h2>Raw JSON Data</h2>
-      <button class="json-toggle" onclick="toggleJSON()">Show/Hide JSON</button>
-      <div class="json-content" id="jsonContent">
-        <pre>${JSON.stringify(data, null, 2)}</pre>
-      </div>
-    </div>
-  </div>
-
-  <script>
-    function toggleJSON() {
-      const content = document.getElementById('jsonContent');
-      content.classList.toggle('show');
+
+    // Walk from the last folder before the first wildcard
+    const segments = input.split(/[\\/]/);
+    const firstWildcard = segments.findIndex(segment => /[*?]/.test(segment));
+    const baseDir = segments.slice(0, firstWildcard).join(path.sep) || '.';
+    const pattern = globToRegExp(segments.slice(firstWildcard).join('/'));
+    const matches = fs.existsSync(baseDir)
+      ? walkFiles(baseDir)
+        .filter(file => pattern.test(path.relative(baseDir, file).split(path.sep).join('/')) && DOCUMENT_FILE_PATTERN.test(file))
+        .sort(byName)
+        .map(file => path.resolve(file))
+      : [];
+    if (matches.length === 0) {
+      console.warn(`⚠️  No documents match: ${input}`);
     }
-  </script>
-</body>
-</html>`;
+    return matches;
+  });
+
+  return [...new Set(files)];
+}
+
+/**
+ * Output file name for a document, unique within the run
+ * @param {string} filePath - Input file
+ * @param {number} index - Document number within the file (1-based)
+ * @param {number} count - Documents found in the file
+ * @param {Set<string>} used - Names already written in this run (mutated)
+ * @returns {string} Base name without extension (e.g., "pack-2" for the second document of pack.pdf)
+ */
+function outputName(filePath, index, count, used) {
+  const stem = path.parse(filePath).name;
+  const base = count > 1 ? `${stem}-${index}` : stem;
+  let name = base;
+  for (let n = 2; used.has(name); n++) {
+    name = `${base}-${n}`;
+  }
+  used.add(name);
+  return name;
+}
+
+/**
+ * Write the results of one document in every requested format
+ * @param {Object} document - Extracted document (see processDocuments)
+ * @param {string} name - Base name (see outputName)
+ * @param {Object} options - { outDir, formats }
+ * @returns {string[]} Written file names
+ */
+function writeDocument(document, name, options) {
+  return options.formats.map(format => {
+    const { content, extension } = renderDocument(document, format);
+    const fileName = `${name}.${extension}`;
+    fs.writeFileSync(path.join(options.outDir, fileName), content);
+    return fileName;
+  });
+}
+
+/**
+ * Extract one file and write its documents
+ * @param {string} filePath - Input file
+ * @param {Object} provider - LLM provider
+ * @param {Object} options - Parsed options plus promptVersions
+ * @param {Set<string>} usedNames - Output names already written in this run
+ * @returns {Promise<Object>} Summary entry { file, status, error, warnings, usage, durationMs, documents }
+ */
+async function processFile(filePath, provider, options, usedNames) {
+  console.log(`\n📄 Processing: ${filePath}`);
+  const usage = createUsage();
+  const startedAt = Date.now();
+
+  try {
+    const { documents, warnings } = await extract(filePath, {
+      type: options.type,
+      batchSize: options.batchSize,
+      provider,
+      usage,
+      batchContext: options.batchContext,
+      concurrency: options.concurrency,
+      textLayer: options.textLayer,
+      preprocess: options.preprocess,
+      promptVersions: options.promptVersions
+    });
+    warnings.forEach(warning => console.warn(`⚠️  ${warning}`));
+
+    const summaries = documents.map((document, index) => {
+      const outputs = document.data
+        ? writeDocument(document, outputName(filePath, index + 1, documents.length, usedNames), options)
+        : [];
+      outputs.forEach(output => console.log(`✅ Saved ${output}`));
+      return {
+        documentType: document.documentType,
+        reference: document.reference,
+        pageRange: document.pageRange,
+        outputs,
+        validationErrors: document.validationErrors.length,
+        consistencyWarnings: document.consistencyWarnings.length,
+        failedBatches: document.failedBatches.length
+      };
+    });
+
+    return {
+      file: filePath,
+      status: summaries.some(summary => summary.outputs.length > 0) ? 'extracted' : 'not-detected',
+      error: null,
+      warnings,
+      usage,
+      durationMs: Date.now() - startedAt,
+      documents: summaries
+    };
+  } catch (error) {
+    // One bad file should not stop an overnight run
+    console.error(`❌ ${path.basename(filePath)}: ${error.message}`);
+    return { file: filePath, status: 'failed', error: error.message, warnings: [], usage, durationMs: Date.now() - startedAt, documents: [] };
+  }
+}
+
+/**
+ * Print the run summary to console
+ * @param {Object} summary - Run summary (see main)
+ */
+function printSummary(summary) {
+  console.log('\n' + '='.repeat(60));
+  console.log('📊 EXTRACTION SUMMARY');
+  console.log('='.repeat(60));
+  summary.files.forEach(file => {
+    const status = { extracted: '✅', 'not-detected': '⚠️ ', failed: '❌' }[file.status];
+    const documents = file.documents
+      .map(doc => `${doc.documentType} p${doc.pageRange.start}-${doc.pageRange.end}` +
+        `${doc.validationErrors + doc.consistencyWarnings + doc.failedBatches > 0 ? ' (check warnings)' : ''}`)
+      .join(', ');
+    console.log(`${status} ${path.basename(file.file)}: ${file.error || documents || 'no documents'}`);
+    file.warnings.forEach(warning => console.log(`   ⚠️  ${warning}`));
+  });
+  console.log('='.repeat(60));
+  console.log(`Files: ${summary.totals.files} (${summary.totals.failed} failed), documents written: ${summary.totals.documents}`);
+  console.log(`Usage: ${summary.totals.usage.requests} request(s), ${summary.totals.usage.total_tokens} token(s)`);
+  console.log('='.repeat(60) + '\n');
 }
 
 // ============================================================================
@@ -643,37 +326,65 @@ function generateHTML(data) {
 // ============================================================================
 
 async function main() {
+  let options;
   try {
-    console.log('🚀 Starting Shipping Document Extraction Demo\n');
+    options = parseOptions(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+
+  try {
+    console.log('🚀 Starting Shipping Document Extraction\n');
 
-    // Check if PDF exists
-    const pdfFullPath = path.resolve(__dirname, PDF_PATH);
-    if (!fs.existsSync(pdfFullPath)) {
-      console.error(`❌ PDF file not found: ${pdfFullPath}`);
-      console.log('💡 Please ensure the PDF file exists at the specified path.');
+    const files = expandInputs(options.inputs);
+    if (files.length === 0) {
+      console.error('❌ No PDF, image or email files found');
       process.exit(1);
     }
 
-    console.log(`📄 Processing PDF: ${pdfFullPath}`);
-
-    // Extract data directly from PDF using OpenAI Vision
-    const extractedData = await extractDataWithOpenAI(pdfFullPath);
-
-    // Print summary to console
-    printSummary(extractedData);
-
-    // Write JSON to file
-    fs.writeFileSync(OUTPUT_JSON, JSON.stringify(extractedData, null, 2));
-    console.log(`✅ Extracted data saved to: ${OUTPUT_JSON}`);
+    const provider = createProvider();
+    // Every file of the run uses the same prompt versions, even if one is activated meanwhile
+    options.promptVersions = resolvePromptVersions();
+    fs.mkdirSync(options.outDir, { recursive: true });
+    console.log(`📂 ${files.length} file(s), type ${options.type}, output ${options.outDir} (${options.formats.join(', ')})`);
+    console.log(`🤖 Provider: ${provider.name}, model: ${provider.model}`);
+
+    const startedAt = new Date();
+    const usedNames = new Set();
+    const results = [];
+    for (const filePath of files) {
+      results.push(await processFile(filePath, provider, options, usedNames));
+    }
 
-    // Generate HTML view
-    const htmlContent = generateHTML(extractedData);
-    fs.writeFileSync(OUTPUT_HTML, htmlContent);
-    console.log(`✅ HTML view generated: ${OUTPUT_HTML}`);
-    console.log(`\n🌐 Open ${OUTPUT_HTML} in your browser to view the results!\n`);
+    const usage = createUsage();
+    results.forEach(result => Object.keys(usage).forEach(name => { usage[name] += result.usage[name]; }));
+    const summary = {
+      startedAt: startedAt.toISOString(),
+      finishedAt: new Date().toISOString(),
+      provider: { name: provider.name, model: provider.model },
+      promptVersions: options.promptVersions,
+      documentType: options.type,
+      textLayer: options.textLayer,
+      preprocess: options.preprocess,
+      formats: options.formats,
+      totals: {
+        files: results.length,
+        failed: results.filter(result => result.status === 'failed').length,
+        documents: results.reduce((sum, result) => sum + result.documents.filter(doc => doc.outputs.length > 0).length, 0),
+        usage
+      },
+      files: results
+    };
+    fs.writeFileSync(path.join(options.outDir, 'summary.json'), JSON.stringify(summary, null, 2));
 
-    console.log('✅ Extraction complete!');
+    printSummary(summary);
+    console.log(`✅ Run summary saved to: ${path.join(options.outDir, 'summary.json')}`);
 
+    // Non-zero exit when a file failed, so schedulers notice
+    if (summary.totals.failed > 0) {
+      process.exit(2);
+    }
   } catch (error) {
     console.error('\n❌ Error during extraction:', error);
     process.exit(1);
@@ -682,4 +393,3 @@ async function main() {
 
 // Run the main function
 main();
-
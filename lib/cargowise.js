@@ -0,0 +1,471 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { validateXML } from 'xmllint-wasm';
+import { normalizeDate, normalizePort } from './normalize.js';
+import { normalizeContainerType } from './containers.js';
+
+// ============================================================================
+// CARGOWISE EXPORT
+// Maps extracted HBL, MBL and commercial invoice data to CargoWise eAdaptor
+// Universal Shipment XML (UniversalInterchange envelope) and validates it
+// before it is handed out. The bundled XSD (lib/xsd/UniversalShipment.xsd) is
+// a hand-written subset of the eAdaptor schema: it catches exporter mistakes
+// (element order, types, code lists) but is not CargoWise's own validation.
+// Set CARGOWISE_XSD to the official schema to validate against that instead.
+// Values CargoWise would reject (free-text dates, unknown unit codes and
+// container types, non-numeric amounts) are left out and reported as warnings.
+// ============================================================================
+
+const UNIVERSAL_NAMESPACE = 'http://www.cargowise.com/Schemas/Universal/2011/11';
+const XSD_PATH = path.join(path.dirname(fileURLToPath(import.meta.url)), 'xsd', 'UniversalShipment.xsd');
+
+// Extracted unit spellings -> CargoWise unit codes
+const WEIGHT_UNITS = { KG: 'KG', KGS: 'KG', KILO: 'KG', KILOS: 'KG', KILOGRAM: 'KG', KILOGRAMS: 'KG', LB: 'LB', LBS: 'LB', POUNDS: 'LB', MT: 'T', TON: 'T', TONS: 'T', TONNE: 'T', TONNES: 'T' };
+const VOLUME_UNITS = { CBM: 'M3', M3: 'M3', 'M³': 'M3', CUBICMETER: 'M3', CUBICMETERS: 'M3', CUBICMETRE: 'M3', CUBICMETRES: 'M3', CFT: 'CF', CF: 'CF', CUFT: 'CF' };
+const PACKAGE_UNITS = { CTN: 'CTN', CTNS: 'CTN', CARTON: 'CTN', CARTONS: 'CTN', PKG: 'PKG', PKGS: 'PKG', PACKAGE: 'PKG', PACKAGES: 'PKG', PLT: 'PLT', PLTS: 'PLT', PALLET: 'PLT', PALLETS: 'PLT', BAG: 'BAG', BAGS: 'BAG', BOX: 'BOX', BOXES: 'BOX', CASE: 'CAS', CASES: 'CAS', ROLL: 'ROL', ROLLS: 'ROL', BALE: 'BAL', BALES: 'BAL', DRUM: 'DRM', DRUMS: 'DRM', PCS: 'PCE', PC: 'PCE', PIECE: 'PCE', PIECES: 'PCE' };
+const QUANTITY_UNITS = { ...PACKAGE_UNITS, PAIR: 'PR', PAIRS: 'PR', PRS: 'PR', SET: 'SET', SETS: 'SET', DOZ: 'DZN', DOZEN: 'DZN', UNIT: 'UNT', UNITS: 'UNT', EA: 'EA', EACH: 'EA' };
+const INCOTERMS = ['EXW', 'FCA', 'FAS', 'FOB', 'CFR', 'CIF', 'CPT', 'CIP', 'DAP', 'DPU', 'DDP', 'DAT'];
+
+// CargoWise organization address types for the extracted parties
+const PARTY_ADDRESS_TYPES = {
+  shipper: 'ConsignorDocumentaryAddress',
+  consignee: 'ConsigneeDocumentaryAddress',
+  notify_party: 'NotifyParty',
+  carrier: 'ShippingLineAddress',
+  issuing_agent: 'SendingForwarderAddress'
+};
+
+/**
+ * Escape text for XML element content
+ * @param {*} value - Any scalar
+ * @returns {string} Escaped text
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    // Control characters are not allowed in XML 1.0
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+}
+
+/**
+ * Make text safe inside an XML comment
+ * Comments may not contain "--" or end with "-", so every hyphen followed by another one
+ * (or ending the text) gets a space after it.
+ * @param {*} value - Any scalar
+ * @returns {string} Comment text
+ */
+function escapeComment(value) {
+  return String(value)
+    .replace(/-(?=-|$)/g, '- ')
+    // Control characters are not allowed in XML 1.0
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+}
+
+/**
+ * Build an element; empty elements (no text, no children) are left out
+ * @param {string} name - Element name
+ * @param {string|number|Array|null} content - Text, or child elements (strings from element())
+ * @returns {string} XML, '' when there is nothing to write
+ */
+function element(name, content) {
+  if (Array.isArray(content)) {
+    const children = content.filter(Boolean).join('');
+    return children ? `<${name}>${children}</${name}>` : '';
+  }
+  if (content === null || content === undefined || String(content).trim() === '') {
+    return '';
+  }
+  return `<${name}>${escapeXml(String(content).trim())}</${name}>`;
+}
+
+/**
+ * Collects values that could not be exported
+ * @returns {Object} { warnings, skip(path, value, reason) }
+ */
+function createWarnings() {
+  const warnings = [];
+  return {
+    warnings,
+    skip(fieldPath, value, reason) {
+      warnings.push({ path: fieldPath, value, message: reason });
+    }
+  };
+}
+
+/**
+ * Parse an extracted amount ("1,234.50", 1234.5) into an xs:decimal
+ * @param {*} value - Extracted value
+ * @param {string} fieldPath - Field path for warnings
+ * @param {Object} report - From createWarnings()
+ * @returns {string|null} Decimal text, null if missing or not numeric
+ */
+function toDecimal(value, fieldPath, report) {
+  if (value === null || value === undefined || value === '') return null;
+  const text = String(value).replace(/[,\s]/g, '');
+  if (!/^-?\d+(\.\d+)?$/.test(text)) {
+    report.skip(fieldPath, value, 'not a number');
+    return null;
+  }
+  return text;
+}
+
+/**
+ * Parse an extracted date into an xs:dateTime (see normalizeDate for the accepted formats)
+ * Numeric dates with an ambiguous day/month order (01/02/2024) are not converted.
+ * @param {*} value - Extracted value
+ * @param {string} fieldPath - Field path for warnings
+ * @param {Object} report - From createWarnings()
+ * @returns {string|null} YYYY-MM-DDT00:00:00, null if missing or not recognised
+ */
+function toDateTime(value, fieldPath, report) {
+  if (!value) return null;
+  const date = normalizeDate(value);
+  if (!date.resolved) {
+    report.skip(fieldPath, value, date.reason);
+    return null;
+  }
+  return `${date.value}T00:00:00`;
+}
+
+/**
+ * Map an extracted unit to a CargoWise code
+ * @param {*} unit - Extracted unit ("KGS", "Cartons")
+ * @param {Object} codes - Spelling -> code table
+ * @param {string} fieldPath - Field path for warnings
+ * @param {Object} report - From createWarnings()
+ * @returns {string|null} Code, null if missing or unknown
+ */
+function toUnitCode(unit, codes, fieldPath, report) {
+  if (!unit) return null;
+  const key = String(unit).toUpperCase().replace(/[\s.()]/g, '');
+  if (!codes[key]) {
+    report.skip(fieldPath, unit, 'unit not recognised');
+    return null;
+  }
+  return codes[key];
+}
+
+/**
+ * Code element (CargoWise CodeDescriptionPair)
+ * @param {string} name - Element name
+ * @param {string|null} code - Code
+ * @returns {string} XML
+ */
+function codeElement(name, code) {
+  return code ? element(name, [element('Code', code)]) : '';
+}
+
+/**
+ * UNLOCO element; the extracted name is always sent, the code when the port resolves to a
+ * UN/LOCODE (see normalizePort)
+ * @param {string} name - Element name
+ * @param {string} port - Extracted port or place
+ * @returns {string} XML
+ */
+function locationElement(name, port) {
+  if (!port) return '';
+  const { value: code } = normalizePort(port);
+  return element(name, [element('Code', code), element('Name', port)]);
+}
+
+/**
+ * Value + unit pair (weights, volumes, packs)
+ * @param {Object} measurement - { value, unit }
+ * @param {string[]} names - [value element, unit element]
+ * @param {Object} codes - Unit table
+ * @param {string} fieldPath - Field path for warnings
+ * @param {Object} report - From createWarnings()
+ * @returns {string} XML (empty unless both value and unit could be mapped)
+ */
+function measurementElements(measurement, [valueName, unitName], codes, fieldPath, report) {
+  if (!measurement || measurement.value === null || measurement.value === undefined) return '';
+  const value = toDecimal(measurement.value, `${fieldPath}.value`, report);
+  const unit = toUnitCode(measurement.unit, codes, `${fieldPath}.unit`, report);
+  if (value === null || !unit) {
+    if (value !== null && !measurement.unit) report.skip(`${fieldPath}.unit`, null, 'a value without a unit is not exported');
+    return '';
+  }
+  return element(valueName, value) + codeElement(unitName, unit);
+}
+
+/**
+ * Split an extracted address into address lines
+ * @param {string} address - Free-text address
+ * @returns {string[]} [Address1, Address2]
+ */
+function addressLines(address) {
+  if (!address) return [null, null];
+  const lines = String(address).split(/\r?\n|,\s*/).map(line => line.trim()).filter(Boolean);
+  return [lines[0] || null, lines.slice(1).join(', ') || null];
+}
+
+/**
+ * OrganizationAddressCollection from the extracted parties
+ * @param {Object} parties - data.parties
+ * @returns {string} XML
+ */
+function organizationsElement(parties = {}) {
+  const addresses = Object.entries(PARTY_ADDRESS_TYPES)
+    .filter(([key]) => parties?.[key]?.name)
+    .map(([key, addressType]) => {
+      const [address1, address2] = addressLines(parties[key].address);
+      return element('OrganizationAddress', [
+        element('AddressType', addressType),
+        element('Address1', address1),
+        element('Address2', address2),
+        element('CompanyName', parties[key].name)
+      ]);
+    });
+  return element('OrganizationAddressCollection', addresses);
+}
+
+/**
+ * Main sea leg (vessel, voyage, ports, ETD/ETA)
+ * @param {Object} routing - data.routing
+ * @param {Object} report - From createWarnings()
+ * @returns {string} XML
+ */
+function transportLegElement(routing = {}, report) {
+  if (!routing || !(routing.vessel_name || routing.voyage_number || routing.etd || routing.eta)) return '';
+  return element('TransportLegCollection', [
+    element('TransportLeg', [
+      locationElement('PortOfLoading', routing.port_of_loading),
+      locationElement('PortOfDischarge', routing.port_of_discharge),
+      element('LegOrder', 1),
+      element('LegType', 'Main'),
+      element('TransportMode', 'Sea'),
+      element('VesselName', routing.vessel_name),
+      element('VoyageFlightNo', routing.voyage_number),
+      element('EstimatedDeparture', toDateTime(routing.etd, 'routing.etd', report)),
+      element('EstimatedArrival', toDateTime(routing.eta, 'routing.eta', report))
+    ])
+  ]);
+}
+
+/**
+ * ISO 6346 size/type code of an extracted container type ("40' HC" -> 45G1)
+ * @param {*} containerType - Extracted container type
+ * @param {string} fieldPath - Field path for warnings
+ * @param {Object} report - From createWarnings()
+ * @returns {string|null} Code, null if missing or not recognised
+ */
+function toContainerTypeCode(containerType, fieldPath, report) {
+  if (!containerType) return null;
+  const type = normalizeContainerType(containerType);
+  if (!type.resolved) {
+    report.skip(fieldPath, containerType, type.reason);
+    return null;
+  }
+  return type.value;
+}
+
+/**
+ * ContainerCollection (template entries without a number are skipped)
+ * @param {Object[]} containers - data.containers
+ * @param {Object} report - From createWarnings()
+ * @returns {string} XML
+ */
+function containersElement(containers = [], report) {
+  return element('ContainerCollection', (containers || [])
+    .map((container, index) => ({ container, index }))
+    .filter(({ container }) => container?.container_number)
+    .map(({ container, index }) => {
+      const mode = String(container.stuffing_mode || '').toUpperCase().match(/\b(FCL|LCL)\b/);
+      return element('Container', [
+        element('ContainerNumber', String(container.container_number).toUpperCase().replace(/[^A-Z0-9]/g, '')),
+        codeElement('ContainerType', toContainerTypeCode(container.container_type, `containers[${index}].container_type`, report)),
+        codeElement('FCL_LCL_AIR', mode ? mode[1] : null),
+        element('Seal', container.seal_number)
+      ]);
+    }));
+}
+
+/**
+ * Prepaid / collect from the freight term
+ * @param {string} freightTerm - Extracted freight term
+ * @returns {string|null} PPD, CCX or null
+ */
+function paymentMethodCode(freightTerm) {
+  const term = String(freightTerm || '').toUpperCase();
+  if (term.includes('PREPAID')) return 'PPD';
+  if (term.includes('COLLECT')) return 'CCX';
+  return null;
+}
+
+/**
+ * Incoterm code from free text ("FOB SHANGHAI" -> FOB)
+ * @param {string} incoterm - Extracted incoterm
+ * @returns {string|null} Code
+ */
+function incotermCode(incoterm) {
+  const match = String(incoterm || '').toUpperCase().match(new RegExp(`\\b(${INCOTERMS.join('|')})\\b`));
+  return match ? match[1] : null;
+}
+
+/**
+ * CommercialInfo for a commercial invoice
+ * @param {Object} data - Extracted invoice
+ * @param {Object} report - From createWarnings()
+ * @returns {string} XML
+ */
+function commercialInfoElement(data, report) {
+  const currency = data.financials?.currency ? String(data.financials.currency).toUpperCase().trim() : null;
+  if (currency && !/^[A-Z]{3}$/.test(currency)) {
+    report.skip('financials.currency', data.financials.currency, 'not an ISO 4217 currency code');
+  }
+
+  const lines = (data.line_items || []).map((item, index) => {
+    const itemPath = `line_items[${index}]`;
+    return element('CommercialInvoiceLine', [
+      element('LineNo', Number.isInteger(Number(item.line_no)) && Number(item.line_no) > 0 ? Number(item.line_no) : index + 1),
+      element('PartNo', item.item_code),
+      element('OrderNumber', item.po_number),
+      element('Description', [item.description, item.color, item.size].filter(Boolean).join(' / ')),
+      element('InvoiceQuantity', toDecimal(item.quantity?.value, `${itemPath}.quantity.value`, report)),
+      codeElement('InvoiceQuantityUnit', toUnitCode(item.quantity?.unit, QUANTITY_UNITS, `${itemPath}.quantity.unit`, report)),
+      element('UnitPrice', toDecimal(item.unit_price?.value, `${itemPath}.unit_price.value`, report)),
+      element('LinePrice', toDecimal(item.line_amount?.value, `${itemPath}.line_amount.value`, report))
+    ]);
+  });
+
+  return element('CommercialInfo', [
+    element('CommercialInvoiceCollection', [
+      element('CommercialInvoice', [
+        element('InvoiceNumber', data.invoice_number),
+        element('InvoiceDate', toDateTime(data.invoice_date, 'invoice_date', report)),
+        codeElement('IncoTerm', incotermCode(data.incoterm)),
+        codeElement('InvoiceCurrency', /^[A-Z]{3}$/.test(currency || '') ? currency : null),
+        element('InvoiceAmount', toDecimal(data.financials?.invoice_total, 'financials.invoice_total', report)),
+        element('FreightAmount', toDecimal(data.financials?.freight, 'financials.freight', report)),
+        element('InsuranceAmount', toDecimal(data.financials?.insurance, 'financials.insurance', report)),
+        element('PaymentTerms', data.payment_terms),
+        element('CommercialInvoiceLineCollection', lines)
+      ])
+    ])
+  ]);
+}
+
+/**
+ * Shipment element for one extracted document
+ * @param {string} documentType - COMMERCIAL_INVOICE, HBL or MBL
+ * @param {Object} data - Extracted data
+ * @param {Object} report - From createWarnings()
+ * @returns {string} XML
+ */
+function shipmentElement(documentType, data, report) {
+  const isInvoice = documentType === 'COMMERCIAL_INVOICE';
+  const isMaster = documentType === 'MBL';
+  const summary = data.cargo_summary || data.container_summary || data.cargo || {};
+  const routing = data.routing || {};
+  const packs = isInvoice
+    ? { value: summary.total_cartons, unit: summary.total_cartons !== null && summary.total_cartons !== undefined ? 'CTN' : null }
+    : summary.total_packages;
+
+  const dates = [
+    ['BillIssued', data.issue_date, 'issue_date'],
+    ['ShippedOnBoard', data.shipped_on_board_date, 'shipped_on_board_date']
+  ]
+    .map(([type, value, fieldPath]) => [type, toDateTime(value, fieldPath, report)])
+    .filter(([, value]) => value)
+    .map(([type, value]) => element('Date', [element('Type', type), element('IsEstimate', 'false'), element('Value', value)]));
+
+  return element('Shipment', [
+    element('DataContext', [
+      element('DataTargetCollection', [
+        element('DataTarget', [element('Type', isMaster ? 'ForwardingConsol' : 'ForwardingShipment')])
+      ])
+    ]),
+    element('WayBillNumber', data.mbl_number || data.hbl_number),
+    codeElement('WayBillType', isMaster ? 'MWB' : (documentType === 'HBL' ? 'HWB' : null)),
+    codeElement('TransportMode', 'SEA'),
+    codeElement('ShipmentIncoTerm', incotermCode(data.incoterm)),
+    codeElement('PaymentMethod', paymentMethodCode(data.freight_term)),
+    element('GoodsDescription', summary.cargo_description || summary.goods_description),
+    element('MarksAndNumbers', summary.shipping_marks),
+    measurementElements(packs, ['OuterPacks', 'OuterPacksPackageType'], PACKAGE_UNITS, isInvoice ? 'cargo.total_cartons' : 'total_packages', report),
+    measurementElements(summary.gross_weight, ['TotalWeight', 'TotalWeightUnit'], WEIGHT_UNITS, 'gross_weight', report),
+    measurementElements(summary.volume, ['TotalVolume', 'TotalVolumeUnit'], VOLUME_UNITS, 'volume', report),
+    element('ContainerCount', Number.isInteger(Number(summary.total_containers)) ? summary.total_containers : null),
+    locationElement('PortOfOrigin', routing.place_of_receipt),
+    locationElement('PortOfLoading', routing.port_of_loading),
+    locationElement('PortOfDischarge', routing.port_of_discharge),
+    locationElement('PortOfDestination', routing.place_of_delivery || routing.port_of_destination),
+    element('VesselName', routing.vessel_name),
+    element('VoyageFlightNo', routing.voyage_number),
+    isInvoice ? commercialInfoElement(data, report) : '',
+    containersElement(data.containers, report),
+    element('DateCollection', dates),
+    organizationsElement(data.parties),
+    transportLegElement(routing, report)
+  ]);
+}
+
+/**
+ * Build Universal Shipment XML for one extracted document
+ * @param {Object} document - Entry of the extraction response's documents array ({ documentType, data, ... })
+ * @param {Object} options - { senderId, recipientId } for the interchange header
+ * @returns {Object} { xml, warnings } - warnings list values that were left out ({ path, value, message })
+ */
+function buildUniversalShipment(document, options = {}) {
+  if (!document?.data) {
+    throw new Error('Document has no extracted data to export');
+  }
+  if (!['COMMERCIAL_INVOICE', 'HBL', 'MBL'].includes(document.documentType)) {
+    throw new Error(`CargoWise export is not available for ${document.documentType} documents`);
+  }
+
+  const report = createWarnings();
+  const shipment = shipmentElement(document.documentType, document.data, report);
+
+  // Left-out values are listed in a comment so whoever opens the file can see what to key in
+  const comment = report.warnings.length > 0
+    ? `<!-- Not exported:\n${report.warnings.map(w => `  ${escapeComment(w.path)}: ${escapeComment(JSON.stringify(w.value))} (${escapeComment(w.message)})`).join('\n')}\n-->\n`
+    : '';
+
+  const xml = '<?xml version="1.0" encoding="utf-8"?>\n' + comment +
+    `<UniversalInterchange xmlns="${UNIVERSAL_NAMESPACE}" version="1.1">` +
+    element('Header', [
+      element('SenderID', options.senderId || process.env.CARGOWISE_SENDER_ID || 'EXTRACTOR'),
+      element('RecipientID', options.recipientId || process.env.CARGOWISE_RECIPIENT_ID || 'CARGOWISE')
+    ]) +
+    `<Body><UniversalShipment version="1.1">${shipment}</UniversalShipment></Body>` +
+    '</UniversalInterchange>\n';
+
+  return { xml, warnings: report.warnings };
+}
+
+/**
+ * Schema files to validate against: CARGOWISE_XSD (the official eAdaptor schema) when set, else the bundled subset
+ * The other .xsd files next to CARGOWISE_XSD are loaded too, for the schemas it includes or imports.
+ * @returns {Object} { schema, preload } for validateXML
+ */
+function schemaFiles() {
+  const schemaPath = process.env.CARGOWISE_XSD ? path.resolve(process.env.CARGOWISE_XSD) : XSD_PATH;
+  const read = file => ({ fileName: path.basename(file), contents: fs.readFileSync(file, 'utf8') });
+  const preload = process.env.CARGOWISE_XSD
+    ? fs.readdirSync(path.dirname(schemaPath))
+      .filter(file => file.toLowerCase().endsWith('.xsd') && file !== path.basename(schemaPath))
+      .map(file => read(path.join(path.dirname(schemaPath), file)))
+    : [];
+  return { schema: [read(schemaPath)], preload };
+}
+
+/**
+ * Validate XML against the Universal Shipment XSD (see schemaFiles)
+ * @param {string} xml - Universal Shipment XML
+ * @returns {Promise<Object[]>} [{ line, message }], empty when valid
+ */
+async function validateUniversalShipment(xml) {
+  const result = await validateXML({
+    xml: [{ fileName: 'shipment.xml', contents: xml }],
+    ...schemaFiles()
+  });
+
+  return result.errors.map(error => ({ line: error.loc?.lineNumber ?? null, message: error.message }));
+}
+
+export { buildUniversalShipment, validateUniversalShipment };
@@ -0,0 +1,170 @@
+// ============================================================================
+// CONCURRENCY & RETRIES
+// Helpers to run LLM batches in parallel under a cap and to retry transient
+// failures (429 rate limits, 5xx, dropped connections) with backoff.
+// ============================================================================
+
+const DEFAULT_MAX_RETRIES = 4;
+const DEFAULT_BASE_DELAY_MS = 1000;
+const DEFAULT_MAX_DELAY_MS = 30000;
+const MAX_RETRY_AFTER_MS = 120000; // Ignore absurd Retry-After values
+
+/**
+ * Run an async function over items with at most `limit` calls in flight
+ * Results keep the input order. The first rejection stops new work and rejects.
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum concurrent calls (>= 1)
+ * @param {Function} fn - async (item, index) => result
+ * @returns {Promise<Array>} Results in input order
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+  let failed = false;
+
+  async function worker() {
+    while (!failed && nextIndex < items.length) {
+      const index = nextIndex++;
+      try {
+        results[index] = await fn(items[index], index);
+      } catch (error) {
+        failed = true;
+        throw error;
+      }
+    }
+  }
+
+  const workerCount = Math.max(1, Math.min(limit || 1, items.length));
+  await Promise.all(Array.from({ length: workerCount }, worker));
+  return results;
+}
+
+/**
+ * Wait, unless the signal aborts first
+ * @param {number} ms - Milliseconds to wait
+ * @param {AbortSignal} signal - Optional abort signal
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Check whether an LLM error is worth retrying
+ * @param {Error} error - Error thrown by the provider (OpenAI SDK errors carry `status`)
+ * @returns {boolean} True for 408, 409, 429, 5xx and connection errors
+ */
+function isRetryableError(error) {
+  if (!error || error.name === 'AbortError' || error.name === 'APIUserAbortError') {
+    return false;
+  }
+
+  const status = error.status;
+  if (typeof status === 'number') {
+    return status === 408 || status === 409 || status === 429 || status >= 500;
+  }
+
+  // No HTTP status: network failure or timeout before a response arrived
+  return error.name === 'APIConnectionError' || error.name === 'APIConnectionTimeoutError' ||
+    ['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN'].includes(error.code);
+}
+
+/**
+ * Read the delay the server asked for (retry-after-ms or Retry-After seconds / HTTP date)
+ * @param {Error} error - Provider error with optional `headers`
+ * @returns {number|null} Delay in ms, null if the server did not ask for one
+ */
+function retryAfterMs(error) {
+  const headers = error?.headers;
+  if (!headers) return null;
+
+  // fetch Headers return null for a missing header, plain objects undefined; both mean "not sent"
+  const get = name => {
+    const value = typeof headers.get === 'function' ? headers.get(name) : headers[name];
+    return value === null || value === undefined || String(value).trim() === '' ? null : String(value).trim();
+  };
+
+  const retryAfterMsHeader = get('retry-after-ms');
+  if (retryAfterMsHeader !== null) {
+    const ms = Number(retryAfterMsHeader);
+    if (Number.isFinite(ms) && ms >= 0) {
+      return ms;
+    }
+  }
+
+  const retryAfter = get('retry-after');
+  if (retryAfter === null) return null;
+
+  const seconds = Number(retryAfter);
+  if (Number.isFinite(seconds)) {
+    return seconds * 1000;
+  }
+
+  const date = Date.parse(retryAfter);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Delay before the next attempt: Retry-After when given, otherwise exponential backoff with full jitter
+ * @param {Error} error - Error of the failed attempt
+ * @param {number} attempt - Failed attempt number (0-based)
+ * @param {Object} options - { baseDelayMs, maxDelayMs }
+ * @returns {number} Delay in ms
+ */
+function retryDelayMs(error, attempt, { baseDelayMs = DEFAULT_BASE_DELAY_MS, maxDelayMs = DEFAULT_MAX_DELAY_MS } = {}) {
+  const requested = retryAfterMs(error);
+  if (requested !== null) {
+    return Math.min(requested, MAX_RETRY_AFTER_MS);
+  }
+
+  const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+  return Math.round(Math.random() * ceiling);
+}
+
+/**
+ * Wrap a provider so transient failures are retried with backoff
+ * @param {Object} provider - Provider (see lib/providers.js)
+ * @param {Object} options - { maxRetries, baseDelayMs, maxDelayMs }
+ * @returns {Object} Provider with the same shape
+ */
+function withRetries(provider, options = {}) {
+  const maxRetries = options.maxRetries ?? DEFAULT_MAX_RETRIES;
+
+  return {
+    ...provider,
+    async complete(request) {
+      for (let attempt = 0; ; attempt++) {
+        try {
+          return await provider.complete(request);
+        } catch (error) {
+          if (request.signal?.aborted || attempt >= maxRetries || !isRetryableError(error)) {
+            throw error;
+          }
+
+          const delay = retryDelayMs(error, attempt, options);
+          console.warn(`⚠️  ${provider.name} request failed (${error.status || error.code || error.name}), ` +
+            `retry ${attempt + 1}/${maxRetries} in ${(delay / 1000).toFixed(1)}s...`);
+          await sleep(delay, request.signal);
+        }
+      }
+    }
+  };
+}
+
+export { mapWithConcurrency, withRetries, isRetryableError, retryDelayMs };
@@ -0,0 +1,410 @@
+import { checkContainerNumber } from './containers.js';
+import { normalizeUnit } from './normalize.js';
+
+// ============================================================================
+// CONSISTENCY RULES
+// Checks extracted values against each other after extraction, the way an
+// operator would: line arithmetic, invoice totals, CIF/CFR build-up and
+// currencies on invoices; container and seal numbers on bills of lading;
+// line totals on packing lists; AWB numbers and weights on air waybills.
+// Each document type lists its rules (see lib/document-types/). Violations
+// are returned as structured warnings; the data itself is never changed.
+// ============================================================================
+
+// Amounts match when they differ by at most the larger of these:
+// one cent, or 0.5% (unit prices are often printed rounded)
+const ABSOLUTE_TOLERANCE = 0.01;
+const RELATIVE_TOLERANCE = 0.005;
+
+/**
+ * Read an amount ("1,234.50" and numbers are accepted)
+ * @param {*} value - Extracted value
+ * @returns {number|null} Number, null if missing or not numeric
+ */
+function toAmount(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const number = typeof value === 'number' ? value : Number(String(value).replace(/,/g, '').trim());
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Rows of an extracted table (line items, containers)
+ * Rules read rows with optional chaining, so null rows are skipped without shifting the indexes in paths.
+ * @param {*} value - Extracted value
+ * @returns {Array} The array, empty if the value is not one
+ */
+function rowsOf(value) {
+  return Array.isArray(value) ? value : [];
+}
+
+/**
+ * Round for display in messages (floating point sums)
+ * @param {number} value - Amount
+ * @returns {number} Rounded to 4 decimals
+ */
+function round(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+/**
+ * Check whether two amounts agree within tolerance
+ * @param {number} actual - Extracted amount
+ * @param {number} expected - Amount computed from other fields
+ * @param {Object} tolerance - { absolute, relative }
+ * @returns {boolean} True if they agree
+ */
+function withinTolerance(actual, expected, { absolute, relative }) {
+  return Math.abs(actual - expected) <= Math.max(absolute, relative * Math.abs(expected));
+}
+
+/**
+ * Normalize a currency for comparison ("usd " -> "USD")
+ * @param {*} currency - Extracted currency
+ * @returns {string|null} Currency, null if missing
+ */
+function normalizeCurrency(currency) {
+  const text = String(currency ?? '').trim().toUpperCase();
+  return text || null;
+}
+
+/**
+ * quantity x unit price = line amount, per line item
+ * @param {Object} data - Extracted invoice
+ * @param {Object} tolerance - { absolute, relative }
+ * @returns {Object[]} Warnings
+ */
+function checkLineAmounts(data, tolerance) {
+  return rowsOf(data.line_items).flatMap((item, index) => {
+    const quantity = toAmount(item?.quantity?.value);
+    const unitPrice = toAmount(item?.unit_price?.value);
+    const lineAmount = toAmount(item?.line_amount?.value);
+    if (quantity === null || unitPrice === null || lineAmount === null) return [];
+
+    const expected = quantity * unitPrice;
+    if (withinTolerance(lineAmount, expected, tolerance)) return [];
+
+    return [{
+      rule: 'line_amount',
+      path: `line_items[${index}].line_amount.value`,
+      message: `Line ${item.line_no ?? index + 1}: quantity ${quantity} × unit price ${unitPrice} = ${round(expected)}, but the line amount is ${lineAmount}`,
+      expected: round(expected),
+      actual: lineAmount
+    }];
+  });
+}
+
+/**
+ * Line amounts add up to the FOB value or the invoice total
+ * Skipped when any line has no amount (the sum would be meaningless).
+ * @param {Object} data - Extracted invoice
+ * @param {Object} tolerance - { absolute, relative }
+ * @returns {Object[]} Warnings
+ */
+function checkLineTotal(data, tolerance) {
+  const amounts = rowsOf(data.line_items).map(item => toAmount(item?.line_amount?.value));
+  if (amounts.length === 0 || amounts.includes(null)) return [];
+
+  const sum = amounts.reduce((total, amount) => total + amount, 0);
+  const targets = [
+    { path: 'financials.fob_value', label: 'FOB value', value: toAmount(data.financials?.fob_value) },
+    { path: 'financials.invoice_total', label: 'invoice total', value: toAmount(data.financials?.invoice_total) }
+  ].filter(target => target.value !== null);
+
+  if (targets.length === 0 || targets.some(target => withinTolerance(target.value, sum, tolerance))) return [];
+
+  return [{
+    rule: 'line_total',
+    path: targets[0].path,
+    message: `Line amounts add up to ${round(sum)}, which matches neither the ${targets.map(target => `${target.label} (${target.value})`).join(' nor the ')}`,
+    expected: round(sum),
+    actual: targets[0].value
+  }];
+}
+
+/**
+ * FOB + freight (+ insurance for CIF) = invoice total, for CIF and CFR invoices
+ * @param {Object} data - Extracted invoice
+ * @param {Object} tolerance - { absolute, relative }
+ * @returns {Object[]} Warnings
+ */
+function checkIncotermTotal(data, tolerance) {
+  const incoterm = String(data.incoterm || '').toUpperCase().match(/\b(CIF|CFR|C&F|CNF)\b/)?.[1];
+  if (!incoterm) return [];
+
+  const fob = toAmount(data.financials?.fob_value);
+  const freight = toAmount(data.financials?.freight);
+  const insurance = toAmount(data.financials?.insurance) ?? 0;
+  const total = toAmount(data.financials?.invoice_total);
+  if (fob === null || freight === null || total === null) return [];
+
+  const isCif = incoterm === 'CIF';
+  const expected = fob + freight + (isCif ? insurance : 0);
+  if (withinTolerance(total, expected, tolerance)) return [];
+
+  return [{
+    rule: 'incoterm_total',
+    path: 'financials.invoice_total',
+    message: `${isCif ? 'CIF' : 'CFR'} invoice: FOB ${fob} + freight ${freight}${isCif ? ` + insurance ${insurance}` : ''} = ${round(expected)}, but the invoice total is ${total}`,
+    expected: round(expected),
+    actual: total
+  }];
+}
+
+/**
+ * Line item currencies match the invoice currency
+ * Without an invoice currency, lines are compared with the first line's currency.
+ * @param {Object} data - Extracted invoice
+ * @returns {Object[]} Warnings
+ */
+function checkCurrencies(data) {
+  const lineCurrencies = rowsOf(data.line_items).flatMap((item, index) => [
+    { path: `line_items[${index}].unit_price.currency`, lineNo: item?.line_no ?? index + 1, currency: normalizeCurrency(item?.unit_price?.currency) },
+    { path: `line_items[${index}].line_amount.currency`, lineNo: item?.line_no ?? index + 1, currency: normalizeCurrency(item?.line_amount?.currency) }
+  ]).filter(entry => entry.currency);
+
+  const invoiceCurrency = normalizeCurrency(data.financials?.currency);
+  const expected = invoiceCurrency || lineCurrencies[0]?.currency;
+  if (!expected) return [];
+
+  return lineCurrencies
+    .filter(entry => entry.currency !== expected)
+    .map(entry => ({
+      rule: 'currency',
+      path: entry.path,
+      message: `Line ${entry.lineNo}: currency ${entry.currency} differs from the ${invoiceCurrency ? 'invoice' : 'first line\'s'} currency ${expected}`,
+      expected,
+      actual: entry.currency
+    }));
+}
+
+/**
+ * Container numbers follow ISO 6346 (owner code and check digit) and appear once
+ * @param {Object} data - Extracted HBL or MBL
+ * @returns {Object[]} Warnings
+ */
+function checkContainerNumbers(data) {
+  const seen = new Map();
+
+  return rowsOf(data.containers).flatMap((container, index) => {
+    if (!container?.container_number) return [];
+    const path = `containers[${index}].container_number`;
+    const check = checkContainerNumber(container.container_number);
+
+    if (seen.has(check.number)) {
+      return [{
+        rule: 'container_duplicate',
+        path,
+        message: `Container ${container.container_number} is listed twice (also containers[${seen.get(check.number)}])`,
+        expected: null,
+        actual: container.container_number
+      }];
+    }
+    seen.set(check.number, index);
+
+    if (check.valid) return [];
+    return [{
+      rule: 'container_number',
+      path,
+      message: `Container ${container.container_number}: ${check.reason}`,
+      expected: check.expectedCheckDigit ?? null,
+      actual: container.container_number
+    }];
+  });
+}
+
+/**
+ * Seal numbers are plain seal numbers, not container numbers or free text
+ * @param {Object} data - Extracted HBL or MBL
+ * @returns {Object[]} Warnings
+ */
+function checkSealNumbers(data) {
+  return rowsOf(data.containers).flatMap((container, index) => {
+    const seal = String(container?.seal_number ?? '').trim();
+    if (!seal) return [];
+
+    const path = `containers[${index}].seal_number`;
+    if (checkContainerNumber(seal).valid) {
+      return [{ rule: 'seal_number', path, message: `Seal ${seal} is a container number; container and seal may be swapped`, expected: null, actual: seal }];
+    }
+    // Several seals are printed as "SL123 / SL456"
+    if (seal.split(/[\s/,;]+/).some(part => !/^[A-Z0-9-]{3,20}$/i.test(part))) {
+      return [{ rule: 'seal_number', path, message: `Seal ${seal} does not look like a seal number`, expected: null, actual: seal }];
+    }
+    return [];
+  });
+}
+
+/**
+ * Add up one measurement over the line items
+ * @param {Object[]} items - Line items
+ * @param {string} field - Measurement field (e.g., gross_weight)
+ * @returns {Object|null} { sum, unit } - null when a line has no value or the units differ
+ */
+function sumMeasurement(items, field) {
+  const values = items.map(item => ({ value: toAmount(item?.[field]?.value), unit: normalizeUnit(item?.[field]?.unit).value }));
+  if (values.length === 0 || values.some(entry => entry.value === null)) return null;
+  if (new Set(values.map(entry => entry.unit)).size > 1) return null;
+  return { sum: values.reduce((total, entry) => total + entry.value, 0), unit: values[0].unit };
+}
+
+/**
+ * Packing list lines add up to the printed totals (packages, net and gross weight, volume)
+ * Skipped per total when a line has no value or the lines use different units.
+ * @param {Object} data - Extracted packing list
+ * @param {Object} tolerance - { absolute, relative }
+ * @returns {Object[]} Warnings
+ */
+function checkPackingTotals(data, tolerance) {
+  const items = rowsOf(data.line_items);
+  const totals = [
+    { field: 'packages', total: 'total_packages', label: 'packages' },
+    { field: 'net_weight', total: 'net_weight', label: 'net weight' },
+    { field: 'gross_weight', total: 'gross_weight', label: 'gross weight' },
+    { field: 'volume', total: 'volume', label: 'volume' }
+  ];
+
+  return totals.flatMap(({ field, total, label }) => {
+    const lines = sumMeasurement(items, field);
+    const printed = toAmount(data.totals?.[total]?.value);
+    if (!lines || printed === null) return [];
+
+    // Lines in KGS and a total in LBS cannot be compared without converting
+    const totalUnit = normalizeUnit(data.totals[total].unit).value;
+    if (lines.unit && totalUnit && lines.unit !== totalUnit) return [];
+
+    // Package counts must match exactly
+    const agrees = field === 'packages' ? lines.sum === printed : withinTolerance(printed, lines.sum, tolerance);
+    if (agrees) return [];
+
+    return [{
+      rule: 'packing_total',
+      path: `totals.${total}.value`,
+      message: `Line ${label} add${label === 'packages' ? '' : 's'} up to ${round(lines.sum)}, but the total ${label} is ${printed}`,
+      expected: round(lines.sum),
+      actual: printed
+    }];
+  });
+}
+
+/**
+ * Net weight does not exceed gross weight, per line and in the totals
+ * @param {Object} data - Extracted packing list
+ * @returns {Object[]} Warnings
+ */
+function checkNetWeights(data) {
+  const entries = [
+    ...rowsOf(data.line_items).map((item, index) => ({ node: item, path: `line_items[${index}]`, label: `Line ${item?.line_no ?? index + 1}` })),
+    { node: data.totals, path: 'totals', label: 'Totals' }
+  ];
+
+  return entries.flatMap(({ node, path, label }) => {
+    const net = toAmount(node?.net_weight?.value);
+    const gross = toAmount(node?.gross_weight?.value);
+    if (net === null || gross === null || net <= gross) return [];
+    if (normalizeUnit(node.net_weight.unit).value !== normalizeUnit(node.gross_weight.unit).value) return [];
+
+    return [{
+      rule: 'net_weight',
+      path: `${path}.net_weight.value`,
+      message: `${label}: net weight ${net} is more than the gross weight ${gross}`,
+      expected: null,
+      actual: net
+    }];
+  });
+}
+
+/**
+ * Check an IATA air waybill number: 3-digit airline prefix and 8-digit serial, whose last digit is the first seven modulo 7
+ * @param {*} awbNumber - Extracted number ("176-1234 5675" is accepted)
+ * @returns {string|null} Reason the number is invalid, null when valid
+ */
+function awbNumberProblem(awbNumber) {
+  const digits = String(awbNumber ?? '').replace(/[\s-]/g, '');
+  if (!/^\d{11}$/.test(digits)) {
+    return 'not in the IATA format (3-digit airline prefix and 8 digits)';
+  }
+  const expected = Number(digits.slice(3, 10)) % 7;
+  return Number(digits[10]) === expected ? null : `check digit is ${digits[10]}, expected ${expected}`;
+}
+
+/**
+ * MAWB numbers follow the IATA format and check digit (HAWB numbers are the forwarder's own)
+ * @param {Object} data - Extracted air waybill
+ * @returns {Object[]} Warnings
+ */
+function checkAwbNumbers(data) {
+  const numbers = [
+    // Without awb_type, a number in airline format is checked as a MAWB
+    { path: 'awb_number', value: data.awb_number, isMaster: data.awb_type === 'MAWB' || (!data.awb_type && /^\d{3}[\s-]?\d{4}\s?\d{4}$/.test(String(data.awb_number ?? '').trim())) },
+    { path: 'master_awb_number', value: data.master_awb_number, isMaster: true }
+  ];
+
+  return numbers
+    .filter(entry => entry.isMaster && entry.value)
+    .flatMap(entry => {
+      const problem = awbNumberProblem(entry.value);
+      return problem ? [{ rule: 'awb_number', path: entry.path, message: `AWB ${entry.value}: ${problem}`, expected: null, actual: entry.value }] : [];
+    });
+}
+
+/**
+ * Unit code of an air waybill weight (AWBs print K for kilograms and L for pounds)
+ * @param {*} unit - Extracted unit
+ * @returns {string|null} UN/ECE code
+ */
+function awbWeightUnit(unit) {
+  const code = String(unit ?? '').trim().toUpperCase();
+  return { K: 'KGM', L: 'LBR' }[code] || normalizeUnit(unit).value;
+}
+
+/**
+ * Chargeable weight is never below the gross weight (it is the higher of gross and volumetric weight)
+ * @param {Object} data - Extracted air waybill
+ * @returns {Object[]} Warnings
+ */
+function checkChargeableWeight(data) {
+  const gross = toAmount(data.cargo?.gross_weight?.value);
+  const chargeable = toAmount(data.cargo?.chargeable_weight?.value);
+  if (gross === null || chargeable === null || chargeable >= gross) return [];
+  if (awbWeightUnit(data.cargo.gross_weight.unit) !== awbWeightUnit(data.cargo.chargeable_weight.unit)) return [];
+
+  return [{
+    rule: 'chargeable_weight',
+    path: 'cargo.chargeable_weight.value',
+    message: `Chargeable weight ${chargeable} is below the gross weight ${gross}`,
+    expected: gross,
+    actual: chargeable
+  }];
+}
+
+/**
+ * Run consistency rules on a document
+ * @param {Function[]} rules - Rules of the document type (see lib/document-types/)
+ * @param {Object} data - Extracted (or reviewed) data
+ * @param {Object} options - { absoluteTolerance, relativeTolerance }
+ * @returns {Object[]} [{ rule, path, message, expected, actual }]
+ */
+function runConsistencyRules(rules, data, options = {}) {
+  if (!data) return [];
+
+  const tolerance = {
+    absolute: options.absoluteTolerance ?? ABSOLUTE_TOLERANCE,
+    relative: options.relativeTolerance ?? RELATIVE_TOLERANCE
+  };
+
+  return rules.flatMap(rule => rule(data, tolerance));
+}
+
+export {
+  checkLineAmounts,
+  checkLineTotal,
+  checkIncotermTotal,
+  checkCurrencies,
+  checkContainerNumbers,
+  checkSealNumbers,
+  checkPackingTotals,
+  checkNetWeights,
+  checkAwbNumbers,
+  checkChargeableWeight,
+  runConsistencyRules
+};
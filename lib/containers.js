@@ -0,0 +1,124 @@
+// ============================================================================
+// CONTAINERS (ISO 6346)
+// Container numbers are an owner code (three letters + category U, J or Z),
+// a six-digit serial and a check digit. These helpers validate them, map the
+// size/type spellings found on BLs to ISO 6346 codes, and split container and
+// seal numbers the model returned glued together ("MSCU1234565/SL998877").
+// ============================================================================
+
+// Letter values for the check digit: A = 10, skipping multiples of 11
+const LETTER_VALUES = Object.fromEntries('ABCDEFGHIJKLMNOPQRSTUVWXYZ'.split('').reduce((entries, letter) => {
+  let value = entries.length ? entries[entries.length - 1][1] + 1 : 10;
+  if (value % 11 === 0) value++;
+  return [...entries, [letter, value]];
+}, []));
+
+// Container number anywhere in a string, allowing "MSCU 123456-5" and "MSCU 123456 5"
+const CONTAINER_PATTERN = /\b([A-Z]{3}[UJZ])\s?(\d{6})\s?-?\s?(\d)\b/;
+
+// Common spellings -> ISO 6346 size/type code
+const TYPE_CODES = {
+  '20GP': '22G1', '20DC': '22G1', '20DV': '22G1', '20DRY': '22G1', '20STD': '22G1', '20ST': '22G1', '20STANDARD': '22G1', '20': '22G1',
+  '40GP': '42G1', '40DC': '42G1', '40DV': '42G1', '40DRY': '42G1', '40STD': '42G1', '40ST': '42G1', '40STANDARD': '42G1', '40': '42G1',
+  '40HC': '45G1', '40HQ': '45G1', '40HCDRY': '45G1', '40HIGHCUBE': '45G1', '40HICUBE': '45G1', '40HCGP': '45G1',
+  '45HC': 'L5G1', '45HQ': 'L5G1', '45HIGHCUBE': 'L5G1', '45': 'L5G1',
+  '20RF': '22R1', '20RE': '22R1', '20REEFER': '22R1',
+  '40RF': '42R1', '40RE': '42R1', '40REEFER': '42R1',
+  '40RH': '45R1', '40RQ': '45R1', '40HR': '45R1', '40HCRF': '45R1', '40REEFERHC': '45R1',
+  '20OT': '22U1', '20OPENTOP': '22U1', '40OT': '42U1', '40OPENTOP': '42U1',
+  '20FR': '22P1', '20FLATRACK': '22P1', '40FR': '42P1', '40FLATRACK': '42P1',
+  '20TK': '22T1', '20TANK': '22T1'
+};
+
+/**
+ * ISO 6346 check digit of an owner code and serial number
+ * @param {string} prefix - First 10 characters (e.g., "MSCU123456")
+ * @returns {number} Check digit (0-9)
+ */
+function checkDigit(prefix) {
+  const sum = prefix.split('').reduce((total, char, index) => {
+    const value = /\d/.test(char) ? Number(char) : LETTER_VALUES[char];
+    return total + value * 2 ** index;
+  }, 0);
+  return (sum % 11) % 10;
+}
+
+/**
+ * Validate a container number (owner code format and check digit)
+ * @param {*} containerNumber - Extracted number ("MSCU 123456-5" is accepted)
+ * @returns {Object} { valid, number: compact form, reason, expectedCheckDigit }
+ */
+function checkContainerNumber(containerNumber) {
+  const number = String(containerNumber ?? '').toUpperCase().replace(/[\s-]/g, '');
+
+  if (!/^[A-Z]{4}\d{7}$/.test(number)) {
+    return { valid: false, number, reason: 'not in the ISO 6346 format (4 letters, 7 digits)' };
+  }
+  if (!/^[A-Z]{3}[UJZ]/.test(number)) {
+    return { valid: false, number, reason: `equipment category ${number[3]} is not U, J or Z` };
+  }
+
+  const expectedCheckDigit = checkDigit(number.slice(0, 10));
+  if (Number(number[10]) !== expectedCheckDigit) {
+    return { valid: false, number, reason: `check digit is ${number[10]}, expected ${expectedCheckDigit}`, expectedCheckDigit };
+  }
+  return { valid: true, number };
+}
+
+/**
+ * Map a container type to its ISO 6346 size/type code ("40HC", "40' HQ", "40 HIGH CUBE" -> 45G1)
+ * @param {*} raw - Extracted container type
+ * @returns {Object} { value, resolved, reason } (same shape as lib/normalize.js)
+ */
+function normalizeContainerType(raw) {
+  const text = String(raw ?? '').toUpperCase();
+  const compact = text.replace(/^\d+\s*X\s*/, '').replace(/['"’′\s\-_.]|FT|FEET|FOOT/g, '');
+
+  // Already an ISO 6346 size/type code (22G1, 45G1, L5G1)
+  if (/^[0-9L][0-9][A-Z][0-9]$/.test(compact)) {
+    return { value: compact, resolved: true };
+  }
+  if (TYPE_CODES[compact]) {
+    return { value: TYPE_CODES[compact], resolved: true };
+  }
+  return { value: null, resolved: false, reason: 'container type not recognised' };
+}
+
+/**
+ * Split container numbers glued to a seal or type ("MSCU1234565/SL998877", "MSCU1234565 40HC")
+ * The container number is rewritten in compact form; the rest fills an empty container_type (when it
+ * is a type) or seal_number. Containers without a number are checked for one in seal_number.
+ * @param {Object} data - Extracted HBL or MBL (containers are mutated)
+ * @returns {Object[]} [{ raw, container_number, seal_number, container_type }] - one entry per split
+ */
+function splitContainers(data) {
+  const splits = [];
+
+  (data?.containers || []).forEach(container => {
+    const field = container.container_number ? 'container_number' : 'seal_number';
+    const raw = String(container[field] ?? '').trim();
+    const match = raw.toUpperCase().match(CONTAINER_PATTERN);
+    if (!match) return;
+
+    const number = `${match[1]}${match[2]}${match[3]}`;
+    const rest = (raw.slice(0, match.index) + ' ' + raw.slice(match.index + match[0].length))
+      .replace(/\b(?:SEALS|SEAL\s*(?:NOS?|NUMBER|#)?|S\/N)(?![A-Z0-9])[\s.:#]*/gi, ' ')
+      .replace(/^[\s/,;:|+&-]+|[\s/,;:|+&-]+$/g, '')
+      .trim();
+    if (field === 'container_number' && !rest) return;
+
+    // Never overwrite a different seal or type that was extracted separately
+    const target = field === 'seal_number' ? 'seal_number' : (normalizeContainerType(rest).resolved ? 'container_type' : 'seal_number');
+    const existing = field === 'container_number' ? container[target] : null;
+    if (existing && String(existing).toUpperCase().replace(/\s/g, '') !== rest.toUpperCase().replace(/\s/g, '')) return;
+
+    container.container_number = number;
+    container[target] = rest || null;
+
+    splits.push({ raw, container_number: number, seal_number: container.seal_number, container_type: container.container_type });
+  });
+
+  return splits;
+}
+
+export { checkContainerNumber, normalizeContainerType, splitContainers };
@@ -0,0 +1,107 @@
+// ============================================================================
+// CROSS-BATCH CONTEXT
+// Each batch is a separate OpenAI call. This builds a compact summary of what
+// earlier batches found so later batches can continue tables and numbering.
+// ============================================================================
+
+// Keys summarised separately (or not useful as header context)
+const NON_HEADER_KEYS = ['document_type', 'line_items', 'containers', 'missing_fields', 'extraction_confidence'];
+
+// Long values (addresses, descriptions) are cut to keep the context small
+const MAX_VALUE_LENGTH = 80;
+
+/**
+ * Collect non-null scalar fields as dotted paths (first batch that found a field wins)
+ * @param {Object} data - Batch result (or nested object)
+ * @param {Object} target - Path -> value (mutated)
+ * @param {string} prefix - Path prefix
+ */
+function collectHeaderFields(data, target, prefix = '') {
+  Object.entries(data || {}).forEach(([key, value]) => {
+    if (!prefix && NON_HEADER_KEYS.includes(key)) return;
+    const fieldPath = prefix ? `${prefix}.${key}` : key;
+
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      collectHeaderFields(value, target, fieldPath);
+    } else if (value !== null && value !== undefined && value !== '' && !Array.isArray(value) && !(fieldPath in target)) {
+      const text = String(value);
+      target[fieldPath] = text.length > MAX_VALUE_LENGTH ? `${text.slice(0, MAX_VALUE_LENGTH)}…` : value;
+    }
+  });
+}
+
+/**
+ * Line item columns that earlier batches actually filled, in schema order
+ * @param {Object[]} lineItems - Line items from earlier batches
+ * @returns {string[]} Column names
+ */
+function usedLineItemColumns(lineItems) {
+  const columns = [];
+  lineItems.forEach(item => {
+    Object.entries(item || {}).forEach(([key, value]) => {
+      const filled = value && typeof value === 'object'
+        ? Object.values(value).some(v => v !== null && v !== undefined && v !== '')
+        : value !== null && value !== undefined && value !== '';
+      if (filled && !columns.includes(key)) {
+        columns.push(key);
+      }
+    });
+  });
+  return columns;
+}
+
+/**
+ * Build the context text for a batch from the results of earlier batches
+ * @param {Object[]} previousResults - Parsed results of earlier batches, in order
+ * @param {Object} pages - { firstPage, lastPage, totalPages } of the current batch (1-based)
+ * @returns {string|null} Text to append after the extraction prompt, null for the first batch
+ */
+function buildBatchContext(previousResults, { firstPage, lastPage, totalPages }) {
+  if (!previousResults || previousResults.length === 0) {
+    return null;
+  }
+
+  const headerFields = {};
+  previousResults.forEach(result => collectHeaderFields(result, headerFields));
+
+  // Malformed answers (a null result, line_items: [null]) contribute nothing
+  const lineItems = previousResults
+    .flatMap(result => (Array.isArray(result?.line_items) ? result.line_items : []))
+    .filter(item => item && typeof item === 'object');
+  const containers = previousResults
+    .flatMap(result => (Array.isArray(result?.containers) ? result.containers : []))
+    .map(container => container?.container_number)
+    .filter(Boolean);
+
+  const lines = [
+    'CONTEXT FROM EARLIER BATCHES',
+    `- This batch contains pages ${firstPage}-${lastPage} of ${totalPages}. Pages 1-${firstPage - 1} were already processed.`,
+    '- Extract only what is shown on THESE pages, using the same OUTPUT JSON SCHEMA.',
+    '- Do not repeat header values below unless they are printed again on these pages.'
+  ];
+
+  if (Object.keys(headerFields).length > 0) {
+    lines.push(`- Header fields already found: ${JSON.stringify(headerFields)}`);
+  }
+
+  if (lineItems.length > 0) {
+    const lastItem = lineItems[lineItems.length - 1];
+    const lastLineNo = [...lineItems].reverse().map(item => item.line_no).find(no => no !== null && no !== undefined);
+    const numericLineNo = Number(lastLineNo);
+
+    lines.push(`- ${lineItems.length} line item(s) already extracted. Table columns in use (in order): ${usedLineItemColumns(lineItems).join(', ')}.`);
+    lines.push(`- Last line item so far: ${JSON.stringify({ line_no: lastItem.line_no ?? null, description: lastItem.description ?? null })}.`);
+    lines.push('- A line item table at the top of these pages without column headers is a continuation of the same table: map its columns in the same order.');
+    if (Number.isFinite(numericLineNo)) {
+      lines.push(`- If rows have no printed line number, continue numbering from ${numericLineNo + 1}; never restart at 1.`);
+    }
+  }
+
+  if (containers.length > 0) {
+    lines.push(`- Containers already found: ${containers.join(', ')}. List each container only once; repeat one only to add a missing seal or type.`);
+  }
+
+  return lines.join('\n');
+}
+
+export { buildBatchContext };
@@ -0,0 +1,61 @@
+import { AIR_WAYBILL_PROMPT } from '../../constants.js';
+import { AIR_WAYBILL_SCHEMA } from '../schemas.js';
+import { checkAwbNumbers, checkChargeableWeight } from '../consistency.js';
+import { text, measurement, party, section } from './ui.js';
+
+export default {
+  type: 'AIR_WAYBILL',
+  label: 'Air Waybill',
+  aliases: ['AWB', 'MAWB', 'HAWB'],
+  classification: 'air waybill, master (MAWB, airline prefix + 8-digit number) or house (HAWB, issued by a forwarder).',
+  prompt: AIR_WAYBILL_PROMPT,
+  schema: AIR_WAYBILL_SCHEMA,
+  referenceField: 'awb_number',
+  rules: [checkAwbNumbers, checkChargeableWeight],
+  // Not reconciled with sea documents: no totals
+  totals: null,
+  ui: {
+    sections: [
+      section('Document Information', [
+        text('AWB Number', 'awb_number'),
+        text('AWB Type', 'awb_type'),
+        text('Master AWB Number', 'master_awb_number'),
+        text('Issue Date', 'issue_date'),
+        text('Handling Information', 'handling_information')
+      ]),
+      section('Routing Information', [
+        text('Airport of Departure', 'routing.airport_of_departure'),
+        text('Airport of Destination', 'routing.airport_of_destination'),
+        text('Flight Number', 'routing.flight_number'),
+        text('Flight Date', 'routing.flight_date'),
+        text('Transshipment Airports', 'routing.transshipment_airports')
+      ]),
+      section('Parties', [
+        party('Shipper', 'parties.shipper'),
+        party('Consignee', 'parties.consignee'),
+        party('Notify Party', 'parties.notify_party'),
+        party('Issuing Agent', 'parties.issuing_agent'),
+        party('Carrier', 'parties.carrier', false)
+      ]),
+      section('Charges', [
+        text('Currency', 'charges.currency'),
+        text('Freight Term', 'charges.freight_term'),
+        text('Weight Charge', 'charges.weight_charge'),
+        text('Other Charges', 'charges.other_charges'),
+        text('Total Prepaid', 'charges.total_prepaid'),
+        text('Total Collect', 'charges.total_collect'),
+        text('Declared Value for Carriage', 'charges.declared_value_for_carriage'),
+        text('Declared Value for Customs', 'charges.declared_value_for_customs')
+      ]),
+      section('Cargo Information', [
+        text('Number of Pieces', 'cargo.number_of_pieces'),
+        measurement('Gross Weight', 'cargo.gross_weight'),
+        measurement('Chargeable Weight', 'cargo.chargeable_weight'),
+        measurement('Volume', 'cargo.volume'),
+        text('Rate Class', 'cargo.rate_class'),
+        text('Goods Description', 'cargo.goods_description')
+      ])
+    ],
+    tables: []
+  }
+};
@@ -0,0 +1,68 @@
+import { COMMERCIAL_INVOICE_PROMPT } from '../../constants.js';
+import { COMMERCIAL_INVOICE_SCHEMA } from '../schemas.js';
+import { checkLineAmounts, checkLineTotal, checkIncotermTotal, checkCurrencies } from '../consistency.js';
+import { text, measurement, party, section, column, table } from './ui.js';
+
+export default {
+  type: 'COMMERCIAL_INVOICE',
+  label: 'Commercial Invoice',
+  aliases: ['INVOICE'],
+  classification: 'commercial invoice, proforma invoice, invoice continuation pages with line items or totals.',
+  prompt: COMMERCIAL_INVOICE_PROMPT,
+  schema: COMMERCIAL_INVOICE_SCHEMA,
+  referenceField: 'invoice_number',
+  rules: [checkLineAmounts, checkLineTotal, checkIncotermTotal, checkCurrencies],
+  // Shipment totals compared by the reconciliation (see lib/reconcile.js)
+  totals: { block: 'cargo', packages: 'total_cartons' },
+  ui: {
+    sections: [
+      section('Document Information', [
+        text('Invoice Number', 'invoice_number'),
+        text('Invoice Date', 'invoice_date'),
+        text('Payment Terms', 'payment_terms'),
+        text('Incoterm', 'incoterm')
+      ]),
+      section('Routing Information', [
+        text('Port of Loading', 'routing.port_of_loading'),
+        text('Port of Discharge', 'routing.port_of_discharge'),
+        text('Port of Destination', 'routing.port_of_destination'),
+        text('Vessel Name', 'routing.vessel_name'),
+        text('Voyage Number', 'routing.voyage_number')
+      ]),
+      section('Parties', [
+        party('Shipper', 'parties.shipper'),
+        party('Consignee', 'parties.consignee'),
+        party('Notify Party', 'parties.notify_party')
+      ]),
+      section('Financial Information', [
+        text('Currency', 'financials.currency'),
+        text('Invoice Total', 'financials.invoice_total'),
+        text('FOB Value', 'financials.fob_value'),
+        text('Freight', 'financials.freight'),
+        text('Insurance', 'financials.insurance')
+      ]),
+      section('Cargo Information', [
+        text('Goods Description', 'cargo.goods_description'),
+        text('Shipping Marks', 'cargo.shipping_marks'),
+        text('Country of Origin', 'cargo.country_of_origin'),
+        text('Total Cartons', 'cargo.total_cartons'),
+        measurement('Gross Weight', 'cargo.gross_weight'),
+        measurement('Volume', 'cargo.volume')
+      ])
+    ],
+    tables: [
+      table('line_items', 'Line Items', 'line item', [
+        column('Line No', 'line_no'),
+        column('Item Code', 'item_code'),
+        column('Reference No', 'reference_no'),
+        column('PO Number', 'po_number'),
+        column('Description', 'description'),
+        column('Color', 'color'),
+        column('Size', 'size'),
+        column('Quantity', 'quantity.value:qty', 'quantity.unit:unit'),
+        column('Unit Price', 'unit_price.currency:cur', 'unit_price.value:price'),
+        column('Line Amount', 'line_amount.currency:cur', 'line_amount.value:amount')
+      ])
+    ]
+  }
+};
@@ -0,0 +1,50 @@
+import { HBLPROMPT } from '../../constants.js';
+import { HBL_SCHEMA } from '../schemas.js';
+import { checkContainerNumbers, checkSealNumbers } from '../consistency.js';
+import { text, measurement, party, section, containersTable } from './ui.js';
+
+export default {
+  type: 'HBL',
+  label: 'HBL',
+  aliases: [],
+  classification: 'house bill of lading issued by a forwarder/NVOCC (usually titled "House Bill of Lading" or issued by a freight forwarder).',
+  prompt: HBLPROMPT,
+  schema: HBL_SCHEMA,
+  referenceField: 'hbl_number',
+  rules: [checkContainerNumbers, checkSealNumbers],
+  totals: { block: 'cargo_summary', packages: 'total_packages' },
+  ui: {
+    sections: [
+      section('Document Information', [
+        text('HBL Number', 'hbl_number'),
+        text('Issue Date', 'issue_date'),
+        text('Bill Status', 'bill_status'),
+        text('Freight Term', 'freight_term')
+      ]),
+      section('Routing Information', [
+        text('Place of Receipt', 'routing.place_of_receipt'),
+        text('Port of Loading', 'routing.port_of_loading'),
+        text('Port of Discharge', 'routing.port_of_discharge'),
+        text('Place of Delivery', 'routing.place_of_delivery'),
+        text('Vessel Name', 'routing.vessel_name'),
+        text('Voyage Number', 'routing.voyage_number'),
+        text('ETD', 'routing.etd'),
+        text('ETA', 'routing.eta')
+      ]),
+      section('Parties', [
+        party('Shipper', 'parties.shipper'),
+        party('Consignee', 'parties.consignee'),
+        party('Notify Party', 'parties.notify_party')
+      ]),
+      section('Cargo Information', [
+        text('Cargo Description', 'cargo_summary.cargo_description'),
+        measurement('Total Packages', 'cargo_summary.total_packages'),
+        measurement('Gross Weight', 'cargo_summary.gross_weight'),
+        measurement('Volume', 'cargo_summary.volume'),
+        text('Shipping Marks', 'cargo_summary.shipping_marks'),
+        text('Country of Origin', 'cargo_summary.country_of_origin')
+      ])
+    ],
+    tables: [containersTable]
+  }
+};
@@ -0,0 +1,92 @@
+import { createValidator, numericKeys } from '../schemas.js';
+import { runConsistencyRules } from '../consistency.js';
+import commercialInvoice from './commercial-invoice.js';
+import hbl from './hbl.js';
+import mbl from './mbl.js';
+import packingList from './packing-list.js';
+import airWaybill from './air-waybill.js';
+
+// ============================================================================
+// DOCUMENT TYPES
+// Each supported document type is one definition module in this folder that
+// bundles everything the pipeline needs: the extraction prompt (seed of the
+// prompt registry), the JSON Schema, the consistency rules, the reference
+// field, the totals used by the reconciliation and the review UI layout.
+// To add a type, write its prompt (constants.js) and schema (lib/schemas.js),
+// add a definition module and list it below.
+// ============================================================================
+
+const DEFINITIONS = [commercialInvoice, hbl, mbl, packingList, airWaybill];
+
+const byType = new Map(DEFINITIONS.map(definition => [definition.type, {
+  ...definition,
+  validate: createValidator(definition.schema)
+}]));
+
+/**
+ * Names of all document types
+ * @returns {string[]} Types in definition order (e.g., COMMERCIAL_INVOICE, HBL, ...)
+ */
+function documentTypeNames() {
+  return [...byType.keys()];
+}
+
+/**
+ * Look up a document type
+ * @param {string} type - Type name (aliases such as INVOICE or AWB are accepted)
+ * @returns {Object|null} Definition, null if unknown
+ */
+function getDocumentType(type) {
+  const name = String(type || '').toUpperCase();
+  return byType.get(name) || [...byType.values()].find(definition => definition.aliases.includes(name)) || null;
+}
+
+/**
+ * Document types as shown to the browser (no prompt, schema or rule functions)
+ * @returns {Object[]} [{ type, label, referenceField, numericFields, ui }]
+ */
+function describeDocumentTypes() {
+  return [...byType.values()].map(definition => ({
+    type: definition.type,
+    label: definition.label,
+    referenceField: definition.referenceField,
+    numericFields: numericKeys(definition.schema),
+    ui: definition.ui
+  }));
+}
+
+/**
+ * Allowed document types for the classification prompt, one line per type
+ * @returns {string} Lines like: - "HBL": house bill of lading ...
+ */
+function classificationList() {
+  return [...byType.values()].map(definition => `- "${definition.type}": ${definition.classification}`).join('\n');
+}
+
+/**
+ * Validate extracted data against the JSON Schema of its document type
+ * @param {string} documentType - Document type
+ * @param {Object} data - Parsed model output
+ * @returns {Object[]} Validation errors ({ path, message }), empty when valid
+ */
+function validateExtraction(documentType, data) {
+  const definition = getDocumentType(documentType);
+  if (!definition) {
+    throw new Error(`No JSON Schema defined for document type: ${documentType}`);
+  }
+  return definition.validate(data);
+}
+
+/**
+ * Run the consistency rules of a document's type
+ * @param {string} documentType - Document type
+ * @param {Object} data - Extracted (or reviewed) data
+ * @param {Object} options - { absoluteTolerance, relativeTolerance }
+ * @returns {Object[]} [{ rule, path, message, expected, actual }] - empty for unknown types
+ */
+function checkConsistency(documentType, data, options = {}) {
+  const definition = getDocumentType(documentType);
+  return definition ? runConsistencyRules(definition.rules, data, options) : [];
+}
+
+export { documentTypeNames, getDocumentType, describeDocumentTypes, classificationList, validateExtraction, checkConsistency };
@@ -0,0 +1,52 @@
+import { MBL_PROMPT } from '../../constants.js';
+import { MBL_SCHEMA } from '../schemas.js';
+import { checkContainerNumbers, checkSealNumbers } from '../consistency.js';
+import { text, measurement, party, section, containersTable } from './ui.js';
+
+export default {
+  type: 'MBL',
+  label: 'MBL',
+  aliases: [],
+  classification: 'master bill of lading issued by the ocean carrier (e.g., Maersk, MSC, CMA CGM, COSCO, Hapag-Lloyd).',
+  prompt: MBL_PROMPT,
+  schema: MBL_SCHEMA,
+  referenceField: 'mbl_number',
+  rules: [checkContainerNumbers, checkSealNumbers],
+  totals: { block: 'container_summary', packages: 'total_packages' },
+  ui: {
+    sections: [
+      section('Document Information', [
+        text('MBL Number', 'mbl_number'),
+        text('Issue Date', 'issue_date'),
+        text('Shipped On Board Date', 'shipped_on_board_date'),
+        text('Bill Status', 'bill_status'),
+        text('Freight Term', 'freight_term')
+      ]),
+      section('Routing Information', [
+        text('Place of Receipt', 'routing.place_of_receipt'),
+        text('Port of Loading', 'routing.port_of_loading'),
+        text('Port of Discharge', 'routing.port_of_discharge'),
+        text('Place of Delivery', 'routing.place_of_delivery'),
+        text('Vessel Name', 'routing.vessel_name'),
+        text('Voyage Number', 'routing.voyage_number'),
+        text('ETD', 'routing.etd'),
+        text('ETA', 'routing.eta')
+      ]),
+      section('Parties', [
+        party('Shipper', 'parties.shipper'),
+        party('Consignee', 'parties.consignee'),
+        party('Notify Party', 'parties.notify_party'),
+        party('Carrier', 'parties.carrier', false),
+        party('Issuing Agent', 'parties.issuing_agent')
+      ]),
+      section('Cargo Information', [
+        measurement('Total Packages', 'container_summary.total_packages'),
+        measurement('Gross Weight', 'container_summary.gross_weight'),
+        measurement('Volume', 'container_summary.volume'),
+        text('Country of Origin', 'container_summary.country_of_origin'),
+        text('Total Containers', 'container_summary.total_containers')
+      ])
+    ],
+    tables: [containersTable]
+  }
+};
@@ -0,0 +1,57 @@
+import { PACKING_LIST_PROMPT } from '../../constants.js';
+import { PACKING_LIST_SCHEMA } from '../schemas.js';
+import { checkPackingTotals, checkNetWeights, checkContainerNumbers, checkSealNumbers } from '../consistency.js';
+import { text, measurement, party, section, column, table, containersTable } from './ui.js';
+
+export default {
+  type: 'PACKING_LIST',
+  label: 'Packing List',
+  aliases: ['PL'],
+  classification: 'packing list / packing declaration with cartons, weights and measurements per item.',
+  prompt: PACKING_LIST_PROMPT,
+  schema: PACKING_LIST_SCHEMA,
+  referenceField: 'packing_list_number',
+  rules: [checkPackingTotals, checkNetWeights, checkContainerNumbers, checkSealNumbers],
+  totals: { block: 'totals', packages: 'total_packages' },
+  ui: {
+    sections: [
+      section('Document Information', [
+        text('Packing List Number', 'packing_list_number'),
+        text('Packing List Date', 'packing_list_date'),
+        text('Invoice Number', 'invoice_number')
+      ]),
+      section('Routing Information', [
+        text('Port of Loading', 'routing.port_of_loading'),
+        text('Port of Discharge', 'routing.port_of_discharge'),
+        text('Vessel Name', 'routing.vessel_name'),
+        text('Voyage Number', 'routing.voyage_number')
+      ]),
+      section('Parties', [
+        party('Shipper', 'parties.shipper'),
+        party('Consignee', 'parties.consignee')
+      ]),
+      section('Totals', [
+        measurement('Total Packages', 'totals.total_packages'),
+        measurement('Net Weight', 'totals.net_weight'),
+        measurement('Gross Weight', 'totals.gross_weight'),
+        measurement('Volume', 'totals.volume'),
+        text('Shipping Marks', 'shipping_marks')
+      ])
+    ],
+    tables: [
+      table('line_items', 'Line Items', 'line item', [
+        column('Line No', 'line_no'),
+        column('Item Code', 'item_code'),
+        column('PO Number', 'po_number'),
+        column('Description', 'description'),
+        column('Cartons', 'carton_range'),
+        column('Packages', 'packages.value:qty', 'packages.unit:unit'),
+        column('Quantity', 'quantity.value:qty', 'quantity.unit:unit'),
+        column('Net Weight', 'net_weight.value:value', 'net_weight.unit:unit'),
+        column('Gross Weight', 'gross_weight.value:value', 'gross_weight.unit:unit'),
+        column('Volume', 'volume.value:value', 'volume.unit:unit')
+      ]),
+      containersTable
+    ]
+  }
+};
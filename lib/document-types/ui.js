@@ -0,0 +1,85 @@
+// ============================================================================
+// REVIEW UI LAYOUT
+// Building blocks for the ui section of a document type definition. The
+// review UI renders the sections and tables in the order given; every entry
+// is plain JSON so it can be sent to the browser as is.
+// ============================================================================
+
+/**
+ * Editable text field
+ * @param {string} label - Field label
+ * @param {string} path - JSON path (e.g., "routing.vessel_name")
+ * @returns {Object} Field
+ */
+function text(label, path) {
+  return { kind: 'text', label, path };
+}
+
+/**
+ * { value, unit } field shown as two inputs
+ * @param {string} label - Field label
+ * @param {string} path - JSON path of the measurement object
+ * @returns {Object} Field
+ */
+function measurement(label, path) {
+  return { kind: 'measurement', label, path };
+}
+
+/**
+ * Party (name, and address unless withAddress is false)
+ * @param {string} label - Field label
+ * @param {string} path - JSON path of the party object
+ * @param {boolean} withAddress - Show the address input
+ * @returns {Object} Field
+ */
+function party(label, path, withAddress = true) {
+  return { kind: 'party', label, path, withAddress };
+}
+
+/**
+ * Grid of fields under a heading
+ * @param {string} title - Heading
+ * @param {Object[]} fields - Fields (text, measurement, party)
+ * @returns {Object} Section
+ */
+function section(title, fields) {
+  return { title, fields };
+}
+
+/**
+ * Table column; several inputs share a cell ("quantity.value" and "quantity.unit")
+ * @param {string} label - Column heading
+ * @param {...string} paths - Paths relative to the row; "path:placeholder" sets the input placeholder
+ * @returns {Object} Column { label, fields: [{ path, placeholder }] }
+ */
+function column(label, ...paths) {
+  return {
+    label,
+    fields: paths.map(entry => {
+      const [path, placeholder = ''] = entry.split(':');
+      return { path, placeholder };
+    })
+  };
+}
+
+/**
+ * Editable table over an array of the document (line items, containers)
+ * @param {string} key - Array property (e.g., "line_items")
+ * @param {string} title - Heading
+ * @param {string} rowLabel - Name of one row for the add/remove buttons (e.g., "line item")
+ * @param {Object[]} columns - Columns
+ * @returns {Object} Table
+ */
+function table(key, title, rowLabel, columns) {
+  return { key, title, rowLabel, columns };
+}
+
+// Container table shared by bills of lading and packing lists
+const containersTable = table('containers', 'Containers', 'container', [
+  column('Container Number', 'container_number'),
+  column('Seal Number', 'seal_number'),
+  column('Container Type', 'container_type'),
+  column('Stuffing Mode', 'stuffing_mode')
+]);
+
+export { text, measurement, party, section, column, table, containersTable };
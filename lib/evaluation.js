@@ -0,0 +1,335 @@
+import { isEmpty } from './values.js';
+
+// ============================================================================
+// EVALUATION
+// Scores extracted documents against labelled ground truth. Fields are
+// compared one by one and counted per JSON path: precision (extracted values
+// that are correct), recall (labelled values that were extracted correctly)
+// and exact match (equal, including fields both leave empty). Arrays of rows
+// (line items, containers) are matched row by row before their fields are
+// compared, so one missed line does not shift every line after it.
+// ============================================================================
+
+// Fields that describe the extraction itself rather than the document
+const IGNORED_FIELDS = ['document_type', 'missing_fields', 'extraction_confidence'];
+
+// Two rows are the same row when at least half of their fields agree
+const ROW_MATCH_THRESHOLD = 0.5;
+
+// USD per million tokens, for the cost estimate (override with --price)
+const MODEL_PRICES = {
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'gpt-4.1': { input: 2, output: 8 }
+};
+
+/**
+ * Check whether a value is unscored: empty in the lib/values.js sense, or an
+ * empty array. Labels often write "no containers" as [] while the model
+ * returns null (or the reverse); both mean nothing is there, so neither should
+ * count as an extracted or expected value.
+ * @param {*} value - Any value
+ * @returns {boolean} True for empty values and empty arrays
+ */
+function isUnscored(value) {
+  return isEmpty(value) || (Array.isArray(value) && value.length === 0);
+}
+
+/**
+ * Compare an extracted value with the labelled one
+ * Whitespace runs count as one space; case and punctuation must match.
+ * @param {*} expected - Labelled value
+ * @param {*} actual - Extracted value
+ * @returns {boolean} True when equal (two empty values are equal)
+ */
+function valuesEqual(expected, actual) {
+  if (isUnscored(expected) || isUnscored(actual)) {
+    return isUnscored(expected) && isUnscored(actual);
+  }
+  if (typeof expected === 'number' && typeof actual === 'number') {
+    return Math.abs(expected - actual) < 1e-6;
+  }
+  if (typeof expected === 'string' && typeof actual === 'string') {
+    return expected.replace(/\s+/g, ' ').trim() === actual.replace(/\s+/g, ' ').trim();
+  }
+  return JSON.stringify(expected) === JSON.stringify(actual);
+}
+
+/**
+ * Check whether a value is an array of rows (objects)
+ * @param {*} value - Any value
+ * @returns {boolean} True for arrays whose items are all objects
+ */
+function isRowArray(value) {
+  return Array.isArray(value) && value.length > 0 && value.every(item => item && typeof item === 'object' && !Array.isArray(item));
+}
+
+/**
+ * Leaf values of a document by JSON path (e.g., "parties.shipper.name")
+ * Arrays are one value; tables are scored separately (see tableKeys).
+ * @param {Object} data - Document data
+ * @param {string[]} tables - Top-level keys to leave out
+ * @param {string} prefix - Path of data
+ * @returns {Object} { path: value }
+ */
+function flattenFields(data, tables = [], prefix = '') {
+  const fields = {};
+  Object.entries(data || {}).forEach(([key, value]) => {
+    if (!prefix && (IGNORED_FIELDS.includes(key) || tables.includes(key))) return;
+    const fieldPath = prefix ? `${prefix}.${key}` : key;
+
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      Object.assign(fields, flattenFields(value, [], fieldPath));
+    } else {
+      fields[fieldPath] = value;
+    }
+  });
+  return fields;
+}
+
+/**
+ * Top-level arrays of rows in either document (line_items, containers)
+ * @param {Object} expected - Labelled data
+ * @param {Object} actual - Extracted data
+ * @returns {string[]} Keys
+ */
+function tableKeys(expected, actual) {
+  const keys = [...Object.keys(expected || {}), ...Object.keys(actual || {})]
+    .filter(key => isRowArray(expected?.[key]) || isRowArray(actual?.[key]));
+  return [...new Set(keys)];
+}
+
+/**
+ * Compare two flattened field sets
+ * @param {Object} expectedFields - { path: value } from the label
+ * @param {Object} actualFields - { path: value } from the extraction
+ * @returns {Object[]} [{ path, expected, actual, equal }] for every path in either set
+ */
+function compareFields(expectedFields, actualFields) {
+  const paths = [...new Set([...Object.keys(expectedFields), ...Object.keys(actualFields)])];
+  return paths.map(fieldPath => {
+    const expected = expectedFields[fieldPath] ?? null;
+    const actual = actualFields[fieldPath] ?? null;
+    return { path: fieldPath, expected, actual, equal: valuesEqual(expected, actual) };
+  });
+}
+
+/**
+ * Share of the fields two rows agree on (fields empty in both are left out)
+ * @param {Object} expected - Labelled row
+ * @param {Object} actual - Extracted row
+ * @returns {number} 0-1
+ */
+function rowSimilarity(expected, actual) {
+  const fields = compareFields(flattenFields(expected), flattenFields(actual))
+    .filter(field => !isUnscored(field.expected) || !isUnscored(field.actual));
+  return fields.length === 0 ? 0 : fields.filter(field => field.equal).length / fields.length;
+}
+
+/**
+ * Pair labelled rows with extracted rows, most similar pairs first
+ * @param {Object[]} expectedRows - Labelled rows
+ * @param {Object[]} actualRows - Extracted rows
+ * @returns {Object} { pairs: [{ expected, actual, similarity }] (row indexes), missed: [index], extra: [index] }
+ */
+function matchRows(expectedRows, actualRows) {
+  const candidates = expectedRows.flatMap((expectedRow, expected) => actualRows.map((actualRow, actual) => ({
+    expected,
+    actual,
+    similarity: rowSimilarity(expectedRow, actualRow)
+  })))
+    .filter(candidate => candidate.similarity >= ROW_MATCH_THRESHOLD)
+    // Ties go to the row at the same position
+    .sort((a, b) => b.similarity - a.similarity || Math.abs(a.expected - a.actual) - Math.abs(b.expected - b.actual));
+
+  const pairs = [];
+  const usedExpected = new Set();
+  const usedActual = new Set();
+  candidates.forEach(candidate => {
+    if (usedExpected.has(candidate.expected) || usedActual.has(candidate.actual)) return;
+    usedExpected.add(candidate.expected);
+    usedActual.add(candidate.actual);
+    pairs.push(candidate);
+  });
+
+  return {
+    pairs: pairs.sort((a, b) => a.expected - b.expected),
+    missed: expectedRows.map((row, index) => index).filter(index => !usedExpected.has(index)),
+    extra: actualRows.map((row, index) => index).filter(index => !usedActual.has(index))
+  };
+}
+
+/**
+ * Empty per-field counter
+ * @returns {Object} { expected, extracted, correct, exact, total }
+ */
+function createFieldCounts() {
+  return { expected: 0, extracted: 0, correct: 0, exact: 0, total: 0 };
+}
+
+/**
+ * Count one compared field
+ * @param {Object} counts - Counter from createFieldCounts() (mutated)
+ * @param {Object} field - { expected, actual, equal } from compareFields()
+ */
+function countField(counts, field) {
+  counts.total++;
+  if (!isUnscored(field.expected)) counts.expected++;
+  if (!isUnscored(field.actual)) counts.extracted++;
+  if (field.equal) {
+    counts.exact++;
+    if (!isUnscored(field.expected)) counts.correct++;
+  }
+}
+
+/**
+ * Score one extracted document against its label
+ * @param {Object} expected - Labelled data
+ * @param {Object|null} actual - Extracted data (null when nothing was extracted)
+ * @returns {Object} { fields: { path: counts }, tables: { key: { expected, extracted, matched, columns: { path: counts } } },
+ *   differences: [{ path, expected, actual }] }
+ */
+function evaluateDocument(expected, actual) {
+  const fields = {};
+  const tables = {};
+  const differences = [];
+
+  const keys = tableKeys(expected, actual);
+  compareFields(flattenFields(expected, keys), flattenFields(actual, keys)).forEach(field => {
+    countField(fields[field.path] = createFieldCounts(), field);
+    if (!field.equal) {
+      differences.push({ path: field.path, expected: field.expected, actual: field.actual });
+    }
+  });
+
+  keys.forEach(key => {
+    const expectedRows = Array.isArray(expected?.[key]) ? expected[key] : [];
+    const actualRows = Array.isArray(actual?.[key]) ? actual[key] : [];
+    const { pairs, missed, extra } = matchRows(expectedRows, actualRows);
+    const columns = {};
+
+    pairs.forEach(pair => {
+      compareFields(flattenFields(expectedRows[pair.expected]), flattenFields(actualRows[pair.actual])).forEach(field => {
+        countField(columns[field.path] ||= createFieldCounts(), field);
+        if (!field.equal) {
+          differences.push({ path: `${key}[${pair.expected}].${field.path}`, expected: field.expected, actual: field.actual });
+        }
+      });
+    });
+    missed.forEach(index => differences.push({ path: `${key}[${index}]`, expected: expectedRows[index], actual: null }));
+    extra.forEach(index => differences.push({ path: `${key}[+${index}]`, expected: null, actual: actualRows[index] }));
+
+    tables[key] = { expected: expectedRows.length, extracted: actualRows.length, matched: pairs.length, columns };
+  });
+
+  return { fields, tables, differences };
+}
+
+/**
+ * Add up counters
+ * @param {Object[]} countList - Counters from createFieldCounts()
+ * @returns {Object} Sum
+ */
+function sumCounts(countList) {
+  const sum = createFieldCounts();
+  countList.forEach(counts => Object.keys(sum).forEach(name => { sum[name] += counts[name]; }));
+  return sum;
+}
+
+/**
+ * Add up counters of the same path
+ * @param {Object[]} countSets - { path: counts } objects
+ * @returns {Object} { path: counts }
+ */
+function addCounts(countSets) {
+  const paths = [...new Set(countSets.flatMap(counts => Object.keys(counts)))];
+  return Object.fromEntries(paths.map(fieldPath => [
+    fieldPath,
+    sumCounts(countSets.map(counts => counts[fieldPath]).filter(Boolean))
+  ]));
+}
+
+/**
+ * Rates of a counter
+ * @param {Object} counts - { expected, extracted, correct, exact, total }
+ * @returns {Object} { precision, recall, exactMatch } - null when there is nothing to divide by
+ */
+function rates(counts) {
+  const ratio = (part, whole) => whole === 0 ? null : Math.round((part / whole) * 1000) / 1000;
+  return {
+    precision: ratio(counts.correct, counts.extracted),
+    recall: ratio(counts.correct, counts.expected),
+    exactMatch: ratio(counts.exact, counts.total)
+  };
+}
+
+/**
+ * Estimated cost of a run
+ * @param {Object} usage - { prompt_tokens, completion_tokens }
+ * @param {Object|null} price - { input, output } in USD per million tokens, null when unknown
+ * @returns {number|null} USD
+ */
+function estimateCost(usage, price) {
+  if (!price || !usage) return null;
+  return (usage.prompt_tokens * price.input + usage.completion_tokens * price.output) / 1e6;
+}
+
+/**
+ * Price of a model (see MODEL_PRICES)
+ * @param {string} model - Model name (dated snapshots such as gpt-4o-2024-08-06 use the base model's price)
+ * @returns {Object|null} { input, output }
+ */
+function modelPrice(model) {
+  const name = Object.keys(MODEL_PRICES)
+    .sort((a, b) => b.length - a.length)
+    .find(known => model === known || String(model).startsWith(`${known}-`));
+  return name ? MODEL_PRICES[name] : null;
+}
+
+/**
+ * Aggregate document scores per document type
+ * @param {Object[]} cases - [{ documentType, evaluation }] (evaluation from evaluateDocument())
+ * @returns {Object} { documentType: { documents, overall, fields: { path: counts + rates }, tables: { key: { ..., rowPrecision, rowRecall, columns } } } }
+ */
+function summarizeEvaluations(cases) {
+  const byType = {};
+  cases.forEach(({ documentType, evaluation }) => {
+    (byType[documentType] ||= []).push(evaluation);
+  });
+
+  const withRates = counts => Object.fromEntries(Object.entries(counts)
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([fieldPath, fieldCounts]) => [fieldPath, { ...fieldCounts, ...rates(fieldCounts) }]));
+
+  return Object.fromEntries(Object.entries(byType).map(([documentType, evaluations]) => {
+    const fields = addCounts(evaluations.map(evaluation => evaluation.fields));
+    const tableNames = [...new Set(evaluations.flatMap(evaluation => Object.keys(evaluation.tables)))];
+
+    const tables = Object.fromEntries(tableNames.map(key => {
+      const results = evaluations.map(evaluation => evaluation.tables[key]).filter(Boolean);
+      const rows = { expected: 0, extracted: 0, matched: 0 };
+      results.forEach(result => Object.keys(rows).forEach(name => { rows[name] += result[name]; }));
+      const columns = addCounts(results.map(result => result.columns));
+      const rowRates = rates({ correct: rows.matched, extracted: rows.extracted, expected: rows.expected, exact: 0, total: 0 });
+
+      return [key, {
+        ...rows,
+        rowPrecision: rowRates.precision,
+        rowRecall: rowRates.recall,
+        // Field accuracy over the matched rows
+        ...rates(sumCounts(Object.values(columns))),
+        columns: withRates(columns)
+      }];
+    }));
+
+    return [documentType, {
+      documents: evaluations.length,
+      overall: rates(sumCounts(Object.values(fields))),
+      fields: withRates(fields),
+      tables
+    }];
+  }));
+}
+
+export { valuesEqual, matchRows, evaluateDocument, summarizeEvaluations, estimateCost, modelPrice, rates };
@@ -0,0 +1,248 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { reviewStatus, reviewedData } from './review.js';
+import { documentTypeNames, getDocumentType } from './document-types/index.js';
+
+// ============================================================================
+// EXTRACTION HISTORY
+// File store for finished extractions: one JSON file per extraction in
+// EXTRACTIONS_DIR (default ./extractions). Each record keeps the source files,
+// document types, prompt versions, provider/model, token usage and the full
+// API response, so any result can be traced back to the upload that produced it.
+// Reviewer corrections are added to the same record (see lib/review.js).
+// index.json keeps the summary of every record, so listings do not have to
+// read and parse each record; it is rebuilt from the records when it is
+// missing or does not match the record files.
+// ============================================================================
+
+const DEFAULT_EXTRACTIONS_DIR = './extractions';
+const INDEX_FILE = 'index.json';
+const RECORD_FILE_PATTERN = /^[0-9a-f-]{36}\.json$/i;
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// Header fields that identify a document (invoice, BL, AWB number...), searched by the reference filter
+const REFERENCE_FIELDS = [...new Set(documentTypeNames().map(type => getDocumentType(type).referenceField))];
+
+/**
+ * Directory holding the extraction records
+ * @returns {string} Absolute path
+ */
+function extractionsDir() {
+  return path.resolve(process.env.EXTRACTIONS_DIR || DEFAULT_EXTRACTIONS_DIR);
+}
+
+/**
+ * Path of one record (ids are UUIDs; anything else is rejected)
+ * @param {string} id - Extraction id
+ * @returns {string|null} File path, null for an invalid id
+ */
+function recordPath(id) {
+  if (!/^[0-9a-f-]{36}$/i.test(String(id))) {
+    return null;
+  }
+  return path.join(extractionsDir(), `${id}.json`);
+}
+
+/**
+ * Describe a source file so the record survives the upload being deleted
+ * @param {string} filePath - Uploaded file
+ * @returns {Object} { name, size, sha256 } (size and sha256 are null if the file is gone)
+ */
+function describeSourceFile(filePath) {
+  const name = path.basename(filePath);
+  try {
+    const content = fs.readFileSync(filePath);
+    return { name, size: content.length, sha256: crypto.createHash('sha256').update(content).digest('hex') };
+  } catch (error) {
+    return { name, size: null, sha256: null };
+  }
+}
+
+/**
+ * Document numbers found in the extracted documents (the reference field of each type)
+ * @param {Object[]} documents - documents array of the extraction response
+ * @returns {string[]} Unique references
+ */
+function collectReferences(documents = []) {
+  const references = documents.flatMap(doc => [
+    doc.reference,
+    ...REFERENCE_FIELDS.map(field => doc.data?.[field])
+  ]);
+  return [...new Set(references.filter(Boolean).map(ref => String(ref).trim()))];
+}
+
+/**
+ * Document numbers of a stored extraction, taking reviewer corrections into account
+ * A reviewed document is searched by its corrected numbers only, not by what the model read.
+ * @param {Object} record - Stored record
+ * @returns {string[]} Unique references
+ */
+function recordReferences(record) {
+  const documents = record.result?.documents || [];
+  return collectReferences(documents.map((doc, index) => (record.reviews?.[index]
+    ? { data: reviewedData(record, index) }
+    : doc)));
+}
+
+/**
+ * Record without the (large) result and review data, for listings
+ * @param {Object} record - Stored record
+ * @returns {Object} Summary with reviewStatus (pending, corrected, approved)
+ */
+function summarizeExtraction(record) {
+  const { result, reviews, ...summary } = record;
+  return { ...summary, reviewStatus: reviewStatus(record) };
+}
+
+/**
+ * Store the listing index
+ * Written to a temporary file first, so a crash never leaves half an index.
+ * @param {Object} index - { id: summary }
+ */
+function writeIndex(index) {
+  const indexPath = path.join(extractionsDir(), INDEX_FILE);
+  fs.writeFileSync(`${indexPath}.tmp`, JSON.stringify(index));
+  fs.renameSync(`${indexPath}.tmp`, indexPath);
+}
+
+/**
+ * Summaries of every stored record, from the index
+ * The index is rebuilt from the records when it is missing, unreadable or lists other
+ * records than the folder holds (e.g., records copied in or deleted by hand).
+ * @returns {Object} { id: summary }
+ */
+function readIndex() {
+  const dir = extractionsDir();
+  const ids = fs.readdirSync(dir).filter(file => RECORD_FILE_PATTERN.test(file)).map(file => file.slice(0, -'.json'.length));
+
+  try {
+    const index = JSON.parse(fs.readFileSync(path.join(dir, INDEX_FILE), 'utf8'));
+    if (ids.length === Object.keys(index).length && ids.every(id => index[id])) {
+      return index;
+    }
+  } catch (error) {
+    // Missing or unreadable: rebuilt below
+  }
+
+  const index = {};
+  ids.forEach(id => {
+    try {
+      index[id] = summarizeExtraction(JSON.parse(fs.readFileSync(path.join(dir, `${id}.json`), 'utf8')));
+    } catch (error) {
+      console.warn(`⚠️  Skipping unreadable extraction record ${id}.json: ${error.message}`);
+    }
+  });
+  writeIndex(index);
+  console.log(`🗄️  Rebuilt the extraction index (${Object.keys(index).length} record(s))`);
+  return index;
+}
+
+/**
+ * Add or replace a record's entry in the index
+ * @param {Object} record - Stored record
+ */
+function indexExtraction(record) {
+  writeIndex({ ...readIndex(), [record.id]: summarizeExtraction(record) });
+}
+
+/**
+ * Store a finished extraction
+ * @param {Object} extraction - { filePaths, requestedDocumentType, provider: { name, model }, promptVersions, usage, result }
+ *   where result is the /api/extract response body
+ * @returns {Object} Stored record
+ */
+function saveExtraction({ filePaths, requestedDocumentType, provider, promptVersions, usage, result }) {
+  const dir = extractionsDir();
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  const documents = result.documents || [];
+  const record = {
+    id: crypto.randomUUID(),
+    createdAt: new Date().toISOString(),
+    success: result.success === true,
+    files: filePaths.map(describeSourceFile),
+    requestedDocumentType,
+    documentTypes: [...new Set(documents.filter(doc => doc.data).map(doc => doc.documentType))],
+    references: collectReferences(documents),
+    provider,
+    promptVersions,
+    usage,
+    result
+  };
+
+  fs.writeFileSync(recordPath(record.id), JSON.stringify(record, null, 2));
+  indexExtraction(record);
+  console.log(`🗄️  Stored extraction ${record.id}`);
+  return record;
+}
+
+/**
+ * Write back a stored extraction after it changed (e.g., a review was added)
+ * The references are refreshed, so corrected document numbers are found by the reference filter.
+ * @param {Object} record - Record loaded with getExtraction()
+ * @returns {Object} Record
+ */
+function updateExtraction(record) {
+  const filePath = recordPath(record.id);
+  if (!filePath || !fs.existsSync(filePath)) {
+    throw new Error(`Extraction not found: ${record.id}`);
+  }
+  record.references = recordReferences(record);
+  fs.writeFileSync(filePath, JSON.stringify(record, null, 2));
+  indexExtraction(record);
+  return record;
+}
+
+/**
+ * Load one stored extraction
+ * @param {string} id - Extraction id
+ * @returns {Object|null} Record, null if not found
+ */
+function getExtraction(id) {
+  const filePath = recordPath(id);
+  if (!filePath || !fs.existsSync(filePath)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * List stored extractions, newest first
+ * @param {Object} filters - { type, from, to, reference, status, limit, offset }
+ *   type: document type contained in the extraction (aliases such as INVOICE are accepted); from/to: ISO dates (inclusive);
+ *   reference: case-insensitive substring of an invoice, HBL or MBL number; status: review status
+ * @returns {Object} { total, extractions } - matching count and the requested page of summaries
+ */
+function listExtractions(filters = {}) {
+  const dir = extractionsDir();
+  if (!fs.existsSync(dir)) {
+    return { total: 0, extractions: [] };
+  }
+
+  // An unknown type matches nothing rather than everything
+  const type = filters.type ? getDocumentType(filters.type)?.type || String(filters.type).toUpperCase() : null;
+  const from = filters.from ? Date.parse(filters.from) : null;
+  // A bare date ("2024-05-01") as upper bound includes that whole day
+  const to = filters.to ? Date.parse(filters.to) + (/^\d{4}-\d{2}-\d{2}$/.test(filters.to) ? 24 * 60 * 60 * 1000 - 1 : 0) : null;
+  const reference = filters.reference ? String(filters.reference).trim().toUpperCase() : null;
+  const status = filters.status ? String(filters.status).toLowerCase() : null;
+  const limit = Math.min(Number(filters.limit) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+  const offset = Number(filters.offset) || 0;
+
+  const matches = Object.values(readIndex())
+    .filter(record =>
+      (!type || record.documentTypes.includes(type)) &&
+      (from === null || Date.parse(record.createdAt) >= from) &&
+      (to === null || Date.parse(record.createdAt) <= to) &&
+      (!reference || record.references.some(ref => ref.toUpperCase().includes(reference))) &&
+      (!status || record.reviewStatus === status))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+  return { total: matches.length, extractions: matches.slice(offset, offset + limit) };
+}
+
+export { saveExtraction, updateExtraction, getExtraction, listExtractions };
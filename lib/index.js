@@ -0,0 +1,20 @@
+// ============================================================================
+// LIBRARY ENTRY POINT
+// What services importing the extractor need, without the server or the
+// command line:
+//
+//   import { extract, renderDocument } from 'shipping-document-extractor';
+//   const { documents, usage } = await extract(['pack.pdf'], { type: 'AUTO', batchSize: 5 });
+//
+// The provider comes from the environment (see lib/providers.js) unless one
+// is passed with the options.
+// ============================================================================
+
+export { extract, createUsage, normalizeDocumentType, SUPPORTED_DOCUMENT_TYPES, DOCUMENT_FILE_PATTERN } from './pipeline.js';
+export { createProvider, withRecording } from './providers.js';
+export { listPrompts, resolvePromptVersions } from './prompts.js';
+export { describeDocumentTypes, getDocumentType, validateExtraction, checkConsistency } from './document-types/index.js';
+export { normalizeDocument } from './normalize.js';
+export { reconcileDocuments } from './reconcile.js';
+export { RENDER_FORMATS, renderDocument } from './render.js';
+export { buildUniversalShipment, validateUniversalShipment } from './cargowise.js';
@@ -0,0 +1,229 @@
+import fs from 'fs';
+import path from 'path';
+import sharp from 'sharp';
+import heicConvert from 'heic-convert';
+import { simpleParser } from 'mailparser';
+import msgreader from '@kenjiuno/msgreader';
+
+// ============================================================================
+// INPUT FORMATS
+// Uploads arrive as PDFs and images, but also as multi-page TIFF faxes, iPhone
+// HEIC photos and emails (.eml, Outlook .msg) with the documents attached.
+// Every upload is expanded into sources the pipeline knows: a PDF, or a list of
+// page images. Email attachments are unpacked; the email itself is kept as
+// context for the documents it carried.
+// ============================================================================
+
+const MsgReader = msgreader.default || msgreader; // CommonJS module with a default export
+
+const DOCUMENT_FILE_PATTERN = /\.(pdf|png|jpg|jpeg|gif|webp|tif|tiff|heic|heif|eml|msg)$/i; // Files the pipeline accepts
+const MAX_EMAIL_DEPTH = 3; // Emails attached to emails (forwards) are unpacked this deep
+const EMAIL_BODY_MAX_CHARS = 4000; // Longer bodies are mostly quoted replies and signatures
+
+/**
+ * Kind of an input file, by extension
+ * @param {string} fileName - File name or path
+ * @returns {string|null} pdf, image, tiff, heic, eml, msg, or null if unsupported
+ */
+function inputKind(fileName) {
+  const ext = path.extname(fileName).toLowerCase().slice(1);
+  if (ext === 'pdf') return 'pdf';
+  if (['png', 'jpg', 'jpeg', 'gif', 'webp'].includes(ext)) return 'image';
+  if (['tif', 'tiff'].includes(ext)) return 'tiff';
+  if (['heic', 'heif'].includes(ext)) return 'heic';
+  if (['eml', 'msg'].includes(ext)) return ext;
+  return null;
+}
+
+/**
+ * Split a (multi-page) TIFF into one PNG per page
+ * @param {string} filePath - TIFF file
+ * @param {string} outDir - Job working directory
+ * @param {string} prefix - File name prefix, unique within the job
+ * @returns {Promise<string[]>} Page images in page order
+ */
+async function splitTiff(filePath, outDir, prefix) {
+  const { pages = 1 } = await sharp(filePath).metadata();
+  const imagePaths = [];
+  for (let page = 0; page < pages; page++) {
+    const imagePath = path.join(outDir, `${prefix}-page-${page + 1}.png`);
+    await sharp(filePath, { page, failOn: 'none' }).png().toFile(imagePath);
+    imagePaths.push(imagePath);
+  }
+  console.log(`🗂️  Split TIFF ${path.basename(filePath)} into ${pages} page(s)`);
+  return imagePaths;
+}
+
+/**
+ * Convert a HEIC/HEIF photo to JPEG (sharp's bundled libheif cannot decode HEIC)
+ * @param {string} filePath - HEIC file
+ * @param {string} outDir - Job working directory
+ * @param {string} prefix - File name prefix, unique within the job
+ * @returns {Promise<string>} JPEG path
+ */
+async function convertHeic(filePath, outDir, prefix) {
+  let output;
+  try {
+    output = await heicConvert({ buffer: fs.readFileSync(filePath), format: 'JPEG', quality: 0.92 });
+  } catch (error) {
+    throw new Error(`${path.basename(filePath)} is not a readable HEIC photo: ${error.message}`);
+  }
+  const imagePath = path.join(outDir, `${prefix}-photo.jpg`);
+  fs.writeFileSync(imagePath, Buffer.from(output));
+  return imagePath;
+}
+
+/**
+ * Read an .eml file
+ * @param {string} filePath - Email file
+ * @returns {Promise<Object>} { subject, from, date, body, attachments: [{ fileName, content, inline }] }
+ */
+async function readEml(filePath) {
+  const mail = await simpleParser(fs.readFileSync(filePath));
+  return {
+    subject: mail.subject || null,
+    from: mail.from?.text || null,
+    date: mail.date ? mail.date.toISOString() : null,
+    body: mail.text || '',
+    attachments: mail.attachments.map((attachment, index) => ({
+      fileName: attachment.filename || (attachment.contentType === 'message/rfc822' ? `attached-email-${index + 1}.eml` : `attachment-${index + 1}`),
+      content: attachment.content,
+      // Pictures referenced from the body (logos, signatures)
+      inline: attachment.related === true
+    }))
+  };
+}
+
+/**
+ * Read an Outlook .msg file
+ * @param {string} filePath - Email file
+ * @returns {Object} { subject, from, date, body, attachments: [{ fileName, content, inline }] }
+ * @throws {Error} If the file is not an Outlook message
+ */
+function readMsg(filePath) {
+  const reader = new MsgReader(fs.readFileSync(filePath));
+  const message = reader.getFileData();
+  if (message.error) {
+    throw new Error(`${path.basename(filePath)} is not a readable Outlook message: ${message.error}`);
+  }
+
+  const attachments = (message.attachments || []).flatMap(attachment => {
+    if (attachment.innerMsgContent) {
+      console.warn(`⚠️  Skipping embedded Outlook message in ${path.basename(filePath)}: ${attachment.name || 'unnamed'}`);
+      return [];
+    }
+    const { fileName, content } = reader.getAttachment(attachment);
+    return [{
+      fileName: fileName || attachment.fileNameShort || 'attachment',
+      content: Buffer.from(content),
+      inline: Boolean(attachment.pidContentId) || attachment.attachmentHidden === true
+    }];
+  });
+
+  return {
+    subject: message.subject || null,
+    from: [message.senderName, message.senderEmail ? `<${message.senderEmail}>` : null].filter(Boolean).join(' ') || null,
+    date: message.messageDeliveryTime || message.clientSubmitTime || null,
+    body: message.body || '',
+    attachments
+  };
+}
+
+/**
+ * Expand one input file into sources
+ * @param {string} filePath - File to expand
+ * @param {string} name - Display name (attachments: "email.eml/invoice.pdf")
+ * @param {string} outDir - Job working directory
+ * @param {string} prefix - File name prefix, unique within the job
+ * @param {Object|null} email - Email the file was attached to (see formatEmailContext)
+ * @param {number} depth - Emails unpacked so far
+ * @returns {Promise<Object[]>} Sources { name, filePath, imagePaths, email }
+ */
+async function expandFile(filePath, name, outDir, prefix, email, depth) {
+  const kind = inputKind(filePath);
+
+  if (kind === 'pdf' || kind === 'image') {
+    return [{ name, filePath, imagePaths: [filePath], email }];
+  }
+  if (kind === 'tiff') {
+    return [{ name, filePath, imagePaths: await splitTiff(filePath, outDir, prefix), email }];
+  }
+  if (kind === 'heic') {
+    return [{ name, filePath, imagePaths: [await convertHeic(filePath, outDir, prefix)], email }];
+  }
+  if (kind !== 'eml' && kind !== 'msg') {
+    console.warn(`⚠️  Skipping unsupported file: ${name}`);
+    return [];
+  }
+
+  if (depth >= MAX_EMAIL_DEPTH) {
+    console.warn(`⚠️  Skipping ${name}: emails nested more than ${MAX_EMAIL_DEPTH} deep`);
+    return [];
+  }
+
+  const message = kind === 'eml' ? await readEml(filePath) : readMsg(filePath);
+  const context = { file: name, subject: message.subject, from: message.from, date: message.date, body: message.body };
+  console.log(`📧 Email ${name}: "${message.subject || '(no subject)'}", ${message.attachments.length} attachment(s)`);
+
+  const sources = [];
+  for (const [index, attachment] of message.attachments.entries()) {
+    // Attachment names come from the sender: drop any folders, and keep only safe characters on disk
+    const fileName = path.basename(attachment.fileName.replace(/\\/g, '/'));
+    const attachmentName = `${name}/${fileName}`;
+    if (attachment.inline && inputKind(fileName) === 'image') {
+      console.log(`  ⏭️  Skipping inline image ${fileName}`);
+      continue;
+    }
+    if (!inputKind(fileName)) {
+      console.log(`  ⏭️  Skipping unsupported attachment ${fileName}`);
+      continue;
+    }
+
+    const safeName = fileName.replace(/[^A-Za-z0-9._-]/g, '_');
+    const attachmentPath = path.join(outDir, `${prefix}-att${index + 1}-${safeName}`);
+    fs.writeFileSync(attachmentPath, attachment.content);
+    sources.push(...await expandFile(attachmentPath, attachmentName, outDir, `${prefix}-att${index + 1}`, context, depth + 1));
+  }
+
+  if (sources.length === 0) {
+    console.warn(`⚠️  ${name} has no PDF, image or email attachments`);
+  }
+  return sources;
+}
+
+/**
+ * Expand uploaded files into the sources the pipeline converts to pages
+ * TIFFs are split into pages and HEIC photos converted to JPEG; emails are replaced
+ * by their attachments (PDFs, images, TIFFs, HEICs and attached emails), each
+ * carrying the email it came with.
+ * @param {string[]} filePaths - Uploaded files
+ * @param {string} outDir - Job working directory for converted pages and unpacked attachments
+ * @returns {Promise<Object[]>} Sources { name, filePath, imagePaths, email } in upload order;
+ *   filePath is a PDF or the file the images came from, email is null for files that were not attached to one
+ */
+async function expandInputFiles(filePaths, outDir) {
+  const sources = [];
+  for (const [index, filePath] of filePaths.entries()) {
+    sources.push(...await expandFile(filePath, path.basename(filePath), outDir, `input${index + 1}`, null, 0));
+  }
+  return sources;
+}
+
+/**
+ * Email context for the extraction prompt
+ * @param {Object} email - { file, subject, from, date, body } (see expandInputFiles)
+ * @returns {string} Header lines and the body, shortened to EMAIL_BODY_MAX_CHARS
+ */
+function formatEmailContext(email) {
+  const body = email.body.replace(/\r\n/g, '\n').replace(/\n{3,}/g, '\n\n').trim();
+  return [
+    `Email: ${email.file}`,
+    email.from ? `From: ${email.from}` : null,
+    email.date ? `Date: ${email.date}` : null,
+    `Subject: ${email.subject || '(no subject)'}`,
+    '',
+    body.length > EMAIL_BODY_MAX_CHARS ? `${body.slice(0, EMAIL_BODY_MAX_CHARS)}\n[...]` : body
+  ].filter(line => line !== null).join('\n');
+}
+
+export { DOCUMENT_FILE_PATTERN, expandInputFiles, formatEmailContext };
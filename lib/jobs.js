@@ -0,0 +1,166 @@
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+
+// ============================================================================
+// EXTRACTION JOBS
+// In-memory job registry for long-running extractions. Each job keeps its
+// progress events so a client that connects late still sees the full history.
+// ============================================================================
+
+const JOB_TTL_MS = 60 * 60 * 1000; // Finished jobs are kept for 1 hour
+const TERMINAL_STATUSES = ['completed', 'failed', 'cancelled'];
+
+const jobs = new Map();
+
+/**
+ * Create a queued job
+ * @param {Object} params - Request parameters to keep with the job (files, type, ...)
+ * @returns {Object} Job
+ */
+function createJob(params = {}) {
+  const job = {
+    id: crypto.randomUUID(),
+    status: 'queued',
+    params,
+    progress: null,
+    events: [],
+    result: null,
+    error: null,
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString(),
+    finishedAt: null,
+    abortController: new AbortController(),
+    emitter: new EventEmitter()
+  };
+
+  jobs.set(job.id, job);
+  return job;
+}
+
+/**
+ * Look up a job
+ * @param {string} id - Job id
+ * @returns {Object|undefined} Job
+ */
+function getJob(id) {
+  return jobs.get(id);
+}
+
+/**
+ * Check whether a job has finished (successfully or not)
+ * @param {Object} job - Job
+ * @returns {boolean} True for completed, failed and cancelled jobs
+ */
+function isFinished(job) {
+  return TERMINAL_STATUSES.includes(job.status);
+}
+
+/**
+ * Record an event on the job and notify subscribers
+ * @param {Object} job - Job
+ * @param {string} type - Event name (status, progress, completed, failed, cancelled)
+ * @param {Object} data - Event payload
+ */
+function emitJobEvent(job, type, data = {}) {
+  const event = { id: job.events.length + 1, type, data: { ...data, status: job.status, at: new Date().toISOString() } };
+  job.events.push(event);
+  job.updatedAt = event.data.at;
+  job.emitter.emit('event', event);
+}
+
+/**
+ * Record a progress update (stage, batch X/Y, message)
+ * @param {Object} job - Job
+ * @param {Object} progress - { stage, message, batch, totalBatches, ... }
+ */
+function reportProgress(job, progress) {
+  if (isFinished(job)) return;
+  job.progress = progress;
+  emitJobEvent(job, 'progress', progress);
+}
+
+/**
+ * Run a job's work function and record its outcome
+ * @param {Object} job - Job
+ * @param {Function} work - async ({ signal, onProgress }) => result
+ * @returns {Promise<void>} Resolves when the job finished (never rejects)
+ */
+async function runJob(job, work) {
+  job.status = 'running';
+  emitJobEvent(job, 'status');
+
+  try {
+    const result = await work({
+      signal: job.abortController.signal,
+      onProgress: progress => reportProgress(job, progress)
+    });
+
+    if (job.abortController.signal.aborted) {
+      return; // cancelJob() already recorded the outcome
+    }
+
+    job.status = 'completed';
+    job.result = result;
+    emitJobEvent(job, 'completed');
+  } catch (error) {
+    if (job.abortController.signal.aborted) {
+      return;
+    }
+
+    job.status = 'failed';
+    job.error = error.message || 'An error occurred during extraction';
+    emitJobEvent(job, 'failed', { error: job.error });
+  } finally {
+    job.finishedAt = job.finishedAt || new Date().toISOString();
+    job.emitter.removeAllListeners();
+    setTimeout(() => jobs.delete(job.id), JOB_TTL_MS).unref();
+  }
+}
+
+/**
+ * Cancel a queued or running job (in-flight LLM calls are aborted)
+ * @param {Object} job - Job
+ * @returns {boolean} False if the job had already finished
+ */
+function cancelJob(job) {
+  if (isFinished(job)) {
+    return false;
+  }
+
+  job.status = 'cancelled';
+  job.finishedAt = new Date().toISOString();
+  emitJobEvent(job, 'cancelled');
+  job.abortController.abort();
+  return true;
+}
+
+/**
+ * Subscribe to a job's events
+ * @param {Object} job - Job
+ * @param {Function} listener - Called with each new event
+ * @returns {Function} Unsubscribe function
+ */
+function subscribeToJob(job, listener) {
+  job.emitter.on('event', listener);
+  return () => job.emitter.off('event', listener);
+}
+
+/**
+ * Public view of a job (no internals such as the abort controller)
+ * @param {Object} job - Job
+ * @returns {Object} Serializable job status
+ */
+function serializeJob(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    progress: job.progress,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    finishedAt: job.finishedAt,
+    error: job.error,
+    result: job.result
+  };
+}
+
+export { createJob, getJob, runJob, cancelJob, subscribeToJob, serializeJob, isFinished };
@@ -0,0 +1,239 @@
+import { isEmpty, valueAtPath } from './values.js';
+
+// ============================================================================
+// MULTI-BATCH MERGE
+// Large documents are extracted in batches of pages; every batch returns a full
+// JSON object for the same document. These helpers fold them into one result.
+// ============================================================================
+
+// Keys merged with dedicated rules instead of the generic field merge
+const SPECIAL_KEYS = ['line_items', 'containers', 'missing_fields', 'extraction_confidence'];
+
+/**
+ * Normalize a scalar for comparison (case, whitespace and thousands separators are ignored)
+ * @param {*} value - Scalar value
+ * @returns {string} Comparable representation
+ */
+function comparable(value) {
+  const text = String(value).toUpperCase().replace(/\s+/g, ' ').trim();
+  const numeric = text.replace(/,/g, '');
+  return numeric !== '' && !isNaN(numeric) ? String(Number(numeric)) : text;
+}
+
+/**
+ * Normalize a container number for de-duplication (e.g., "MSCU 123456-5" -> "MSCU1234565")
+ * @param {string} containerNumber - Container number as extracted
+ * @returns {string|null} Key or null if no number was extracted
+ */
+function containerKey(containerNumber) {
+  if (isEmpty(containerNumber)) return null;
+  return String(containerNumber).toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+/**
+ * Record a disagreement between batches
+ * @param {Map} conflicts - Conflicts by path
+ * @param {string} fieldPath - Dotted field path
+ * @param {*} keptValue - Value already in the merged result
+ * @param {number} keptBatch - Batch (1-based) the kept value came from
+ * @param {*} otherValue - Disagreeing value
+ * @param {number} otherBatch - Batch (1-based) the disagreeing value came from
+ */
+function addConflict(conflicts, fieldPath, keptValue, keptBatch, otherValue, otherBatch) {
+  if (!conflicts.has(fieldPath)) {
+    conflicts.set(fieldPath, { path: fieldPath, kept: keptValue, values: [{ batch: keptBatch, value: keptValue }] });
+  }
+  const conflict = conflicts.get(fieldPath);
+  if (!conflict.values.some(v => comparable(v.value) === comparable(otherValue))) {
+    conflict.values.push({ batch: otherBatch, value: otherValue });
+  }
+}
+
+/**
+ * Merge one batch's object into the merged object, filling nulls and reporting disagreements
+ * @param {Object} target - Merged object (mutated)
+ * @param {Object} source - Object from a later batch
+ * @param {Object} context - { conflicts, sources, batch, prefix }
+ */
+function mergeFields(target, source, context) {
+  const { conflicts, sources, batch, prefix } = context;
+
+  Object.entries(source || {}).forEach(([key, value]) => {
+    if (!prefix && SPECIAL_KEYS.includes(key)) return;
+
+    const fieldPath = prefix ? `${prefix}.${key}` : key;
+    const current = target[key];
+
+    if (isEmpty(value)) return;
+
+    if (isEmpty(current)) {
+      target[key] = JSON.parse(JSON.stringify(value));
+      if (typeof value === 'object' && !Array.isArray(value)) {
+        recordSources(value, sources, batch, fieldPath);
+      } else {
+        sources.set(fieldPath, batch);
+      }
+      return;
+    }
+
+    if (Array.isArray(current) && Array.isArray(value)) {
+      // Generic arrays (e.g., other_charges): union without duplicates
+      const seen = new Set(current.map(item => JSON.stringify(item)));
+      value.forEach(item => {
+        if (!seen.has(JSON.stringify(item))) {
+          current.push(item);
+          seen.add(JSON.stringify(item));
+        }
+      });
+      return;
+    }
+
+    if (typeof current === 'object' && typeof value === 'object') {
+      mergeFields(current, value, { ...context, prefix: fieldPath });
+      return;
+    }
+
+    if (fieldPath !== 'document_type' && comparable(current) !== comparable(value)) {
+      addConflict(conflicts, fieldPath, current, sources.get(fieldPath) || 1, value, batch);
+    }
+  });
+}
+
+/**
+ * Record which batch every non-empty field came from
+ * @param {Object} data - Batch data (or a nested object of it)
+ * @param {Map} sources - Field path -> batch number (mutated)
+ * @param {number} batch - Batch number (1-based)
+ * @param {string} prefix - Path prefix
+ */
+function recordSources(data, sources, batch, prefix = '') {
+  Object.entries(data || {}).forEach(([key, value]) => {
+    if (!prefix && SPECIAL_KEYS.includes(key)) return;
+    const fieldPath = prefix ? `${prefix}.${key}` : key;
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      recordSources(value, sources, batch, fieldPath);
+    } else if (!isEmpty(value)) {
+      sources.set(fieldPath, batch);
+    }
+  });
+}
+
+/**
+ * Union containers across batches, de-duplicated by container number
+ * Duplicate entries fill each other's null fields; differing seals/types are reported as conflicts.
+ * @param {Object[]} extractedDataArray - Batch results
+ * @param {Map} conflicts - Conflicts by path (mutated)
+ * @returns {Object[]} Merged containers in first-seen order
+ */
+function mergeContainers(extractedDataArray, conflicts) {
+  const merged = [];
+  const byNumber = new Map();
+  const batchOf = new Map();
+
+  extractedDataArray.forEach((data, index) => {
+    const batch = index + 1;
+    (data.containers || []).forEach(container => {
+      // Skip the empty template entry the prompt schema shows
+      if (!container || Object.values(container).every(isEmpty)) return;
+
+      const key = containerKey(container.container_number);
+      if (!key) {
+        merged.push({ ...container });
+        return;
+      }
+
+      const existing = byNumber.get(key);
+      if (!existing) {
+        const copy = { ...container };
+        byNumber.set(key, copy);
+        batchOf.set(key, batch);
+        merged.push(copy);
+        return;
+      }
+
+      Object.entries(container).forEach(([field, value]) => {
+        // Same number written differently ("MSCU 123456-5") is not a conflict
+        if (isEmpty(value) || field === 'container_number') return;
+        if (isEmpty(existing[field])) {
+          existing[field] = value;
+        } else if (comparable(existing[field]) !== comparable(value)) {
+          addConflict(conflicts, `containers[${key}].${field}`, existing[field], batchOf.get(key), value, batch);
+        }
+      });
+    });
+  });
+
+  return merged;
+}
+
+/**
+ * Merge extracted data from multiple batches
+ * - line_items (commercial invoices, packing lists) are concatenated in page order
+ * - containers (HBL/MBL, packing lists) are unioned and de-duplicated by container number
+ * - null header, party, routing and summary fields are filled from later batches
+ * - fields where two batches disagree keep the first value and are reported as conflicts
+ * @param {Object[]} extractedDataArray - Array of extracted data objects
+ * @param {string} documentType - Document type (see lib/document-types/)
+ * @returns {Object} { data, conflicts } - merged data and [{ path, kept, values: [{ batch, value }] }]
+ */
+function mergeExtractedData(extractedDataArray, documentType) {
+  if (extractedDataArray.length === 0) {
+    return { data: null, conflicts: [] };
+  }
+
+  if (extractedDataArray.length === 1) {
+    return { data: extractedDataArray[0], conflicts: [] };
+  }
+
+  // Start with the first result
+  const merged = JSON.parse(JSON.stringify(extractedDataArray[0]));
+  const conflicts = new Map();
+  const sources = new Map();
+  recordSources(merged, sources, 1);
+
+  // Fill header, party, routing and summary fields from later batches
+  extractedDataArray.slice(1).forEach((data, index) => {
+    mergeFields(merged, data, { conflicts, sources, batch: index + 2, prefix: '' });
+  });
+
+  if (extractedDataArray.some(data => Array.isArray(data.containers))) {
+    merged.containers = mergeContainers(extractedDataArray, conflicts);
+  }
+
+  if (documentType === 'COMMERCIAL_INVOICE' || extractedDataArray.some(data => Array.isArray(data.line_items))) {
+    // Merge line items from all batches
+    merged.line_items = extractedDataArray.flatMap(data => data.line_items || []);
+  }
+
+  // Update counts
+  if (extractedDataArray.some(data => data.extraction_confidence)) {
+    const overallScores = extractedDataArray
+      .map(data => data.extraction_confidence?.overall)
+      .filter(score => typeof score === 'number');
+    merged.extraction_confidence = {
+      ...merged.extraction_confidence,
+      overall: overallScores.length > 0
+        ? overallScores.reduce((sum, score) => sum + score, 0) / overallScores.length
+        : null
+    };
+    if (merged.line_items) {
+      merged.extraction_confidence.line_items = merged.line_items.length;
+    }
+  }
+
+  // Combine missing fields (unique), dropping fields a later batch did find
+  if (extractedDataArray.some(data => Array.isArray(data.missing_fields))) {
+    const allMissingFields = extractedDataArray.flatMap(data => data.missing_fields || []);
+    merged.missing_fields = [...new Set(allMissingFields)]
+      .filter(field => isEmpty(valueAtPath(merged, field)));
+  }
+
+  const conflictList = [...conflicts.values()];
+  console.log(`\n📊 Merged ${extractedDataArray.length} batch(es): ` +
+    `${merged.line_items?.length ?? 0} line item(s), ${merged.containers?.length ?? 0} container(s), ` +
+    `${conflictList.length} conflict(s)`);
+
+  return { data: merged, conflicts: conflictList };
+}
+
+export { mergeExtractedData, containerKey };
@@ -0,0 +1,266 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { normalizeContainerType } from './containers.js';
+
+// ============================================================================
+// NORMALIZATION
+// The prompts keep raw strings for dates, ports, countries, Incoterms and
+// units ("12-Mar-24", "SHANGHAI, CHINA", "K.G.S"). These helpers resolve them
+// to ISO dates, UN/LOCODEs, ISO 3166 alpha-2 countries, Incoterms 2020 codes
+// and UN/ECE unit codes using the reference tables in lib/reference/, and
+// container types to ISO 6346 codes (see lib/containers.js).
+// The extracted data is left as is; normalized values are returned next to it.
+// ============================================================================
+
+const REFERENCE_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'reference');
+const MONTHS = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+
+// Fields resolved by normalizeDocument(), by key name
+const DATE_FIELDS = ['invoice_date', 'issue_date', 'shipped_on_board_date', 'etd', 'eta', 'packing_list_date', 'flight_date'];
+const PORT_FIELDS = ['port_of_loading', 'port_of_discharge', 'port_of_destination', 'place_of_receipt', 'place_of_delivery'];
+const COUNTRY_FIELDS = ['country_of_origin'];
+const INCOTERM_FIELDS = ['incoterm'];
+const UNIT_FIELDS = ['unit'];
+const CONTAINER_TYPE_FIELDS = ['container_type'];
+
+/**
+ * Load a bundled reference table
+ * @param {string} name - File name in lib/reference/
+ * @returns {*} Parsed JSON
+ */
+function loadReference(name) {
+  return JSON.parse(fs.readFileSync(path.join(REFERENCE_DIR, name), 'utf8'));
+}
+
+/**
+ * Comparable form of a name: upper case, no accents or punctuation, single spaces
+ * @param {*} text - Any value
+ * @returns {string} Key ("Côte d'Ivoire" -> "COTE D IVOIRE")
+ */
+function toKey(text) {
+  return String(text ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toUpperCase()
+    .replace(/[^A-Z0-9&]+/g, ' ')
+    .trim();
+}
+
+// ============================================================================
+// REFERENCE TABLES (loaded once)
+// ============================================================================
+
+const countryData = loadReference('countries.json');
+const COUNTRIES = new Map(countryData.countries.map(([alpha2, alpha3, name]) => [alpha2, { alpha2, alpha3, name }]));
+const COUNTRY_LOOKUP = new Map([
+  ...countryData.countries.flatMap(([alpha2, alpha3, name]) => [[alpha2, alpha2], [alpha3, alpha2], [toKey(name), alpha2]]),
+  ...Object.entries(countryData.aliases).map(([alias, alpha2]) => [toKey(alias), alpha2])
+]);
+
+const PORTS = new Map(loadReference('unlocode.json').map(port => [port.code, port]));
+const PORT_LOOKUP = new Map([...PORTS.values()].flatMap(port => [
+  [port.code, port.code],
+  [toKey(port.name), port.code],
+  ...(port.aliases || []).map(alias => [toKey(alias), port.code])
+]));
+
+const incotermData = loadReference('incoterms.json');
+
+const UNITS = loadReference('units.json');
+const UNIT_LOOKUP = new Map(Object.entries(UNITS).flatMap(([code, unit]) => unit.aliases.map(alias => [alias, code])));
+
+// ============================================================================
+// SINGLE VALUES
+// Every normalizer returns { value, resolved, label?, reason? }; value is null
+// when the raw text could not be resolved, and reason says why.
+// ============================================================================
+
+/**
+ * Unresolved result
+ * @param {string} reason - Why the value could not be normalized
+ * @returns {Object} { value: null, resolved: false, reason }
+ */
+function unresolved(reason) {
+  return { value: null, resolved: false, reason };
+}
+
+/**
+ * Expand a two-digit year (documents are recent: 24 -> 2024)
+ * @param {string} year - Year as printed
+ * @returns {number} Four-digit year
+ */
+function fullYear(year) {
+  return year.length === 2 ? 2000 + Number(year) : Number(year);
+}
+
+/**
+ * Normalize a date to ISO 8601 (YYYY-MM-DD)
+ * Accepts ISO and year-first dates, "12-Mar-24", "12 March 2024", "MAR 12 2024", "March 12th, 2024"
+ * and numeric day/month dates where the order is clear (one part above 12).
+ * @param {*} raw - Extracted date
+ * @returns {Object} { value, resolved, reason }
+ */
+function normalizeDate(raw) {
+  const text = String(raw ?? '').trim().toUpperCase();
+  let year, month, day, match;
+
+  if ((match = text.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})(?:[T\s].*)?$/)) || (match = text.match(/^(\d{4})(\d{2})(\d{2})$/))) {
+    [year, month, day] = [Number(match[1]), Number(match[2]), Number(match[3])];
+  } else if ((match = text.match(/^(\d{1,2})(?:ST|ND|RD|TH)?[\s\-./]*(?:OF\s+)?([A-Z]{3})[A-Z]*\.?[\s\-./,]*(\d{4}|\d{2})$/))) {
+    [year, month, day] = [fullYear(match[3]), MONTHS.indexOf(match[2]) + 1, Number(match[1])];
+  } else if ((match = text.match(/^([A-Z]{3})[A-Z]*\.?[\s\-./]*(\d{1,2})(?:ST|ND|RD|TH)?[\s\-./,]*(\d{4}|\d{2})$/))) {
+    [year, month, day] = [fullYear(match[3]), MONTHS.indexOf(match[1]) + 1, Number(match[2])];
+  } else if ((match = text.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4}|\d{2})$/))) {
+    const [first, second] = [Number(match[1]), Number(match[2])];
+    if (first <= 12 && second <= 12 && first !== second) {
+      return unresolved('ambiguous day/month order');
+    }
+    // 25/03/2024 is day first, 03/25/2024 month first
+    [year, month, day] = [fullYear(match[3]), first > 12 ? second : first, first > 12 ? first : second];
+  } else {
+    return unresolved('date format not recognised');
+  }
+
+  const date = month > 0 ? new Date(Date.UTC(year, month - 1, day)) : null;
+  if (!date || date.getUTCDate() !== day || date.getUTCMonth() !== month - 1) {
+    return unresolved('not a valid calendar date');
+  }
+  return { value: date.toISOString().slice(0, 10), resolved: true };
+}
+
+/**
+ * Normalize a country to ISO 3166-1 alpha-2
+ * Accepts codes (CN, CHN), names and common variants ("P.R. CHINA", "MADE IN VIETNAM").
+ * @param {*} raw - Extracted country
+ * @returns {Object} { value, resolved, label, reason }
+ */
+function normalizeCountry(raw) {
+  const key = toKey(raw).replace(/^(MADE IN|ORIGIN|COUNTRY OF ORIGIN)\s+/, '').replace(/^THE\s+/, '');
+  const alpha2 = COUNTRY_LOOKUP.get(key) || COUNTRY_LOOKUP.get(`THE ${key}`);
+  if (!alpha2) {
+    return unresolved('country not found in ISO 3166 table');
+  }
+  return { value: alpha2, resolved: true, label: COUNTRIES.get(alpha2).name };
+}
+
+/**
+ * Normalize a port or place to a UN/LOCODE
+ * Accepts codes ("CNSHA", "CN SHA"), names and aliases ("PUSAN", "NHAVA SHEVA"), with or without
+ * a country ("SHANGHAI, CHINA"), "PORT OF" prefix or terminal suffix ("SHANGHAI (CY)").
+ * Only locations in the bundled table of main ports (lib/reference/unlocode.json) are resolved.
+ * @param {*} raw - Extracted port
+ * @returns {Object} { value, resolved, label, reason }
+ */
+function normalizePort(raw) {
+  const text = String(raw ?? '').trim();
+  const compact = text.toUpperCase().replace(/\s+/g, '');
+  if (/^[A-Z]{2}[A-Z2-9]{3}$/.test(compact) && PORTS.has(compact)) {
+    return { value: compact, resolved: true, label: PORTS.get(compact).name };
+  }
+
+  // "SHANGHAI, CHINA", "SHANGHAI (CY)", "PORT OF SHANGHAI", "SHANGHAI PORT", "SHANGHAI CHINA"
+  const candidates = [text, text.split(/[,(/]/)[0]].map(toKey).flatMap(key => {
+    const stripped = key.replace(/^PORT OF\s+/, '').replace(/\s+(PORT|CY|CFS|TERMINAL|SEAPORT|HARBOUR|HARBOR)$/, '');
+    const words = stripped.split(' ');
+    const withoutCountry = words.findIndex((word, index) => index > 0 && COUNTRY_LOOKUP.has(words.slice(index).join(' ')));
+    return [key, stripped, withoutCountry > 0 ? words.slice(0, withoutCountry).join(' ') : null];
+  }).filter(Boolean);
+
+  const code = candidates.map(candidate => PORT_LOOKUP.get(candidate)).find(Boolean);
+  if (code) {
+    return { value: code, resolved: true, label: PORTS.get(code).name };
+  }
+
+  // Five letters could be a code of a smaller location, or just a name (PARIS); left for the reviewer
+  if (/^[A-Z]{2}[A-Z2-9]{3}$/.test(compact) && COUNTRIES.has(compact.slice(0, 2))) {
+    return unresolved('possible UN/LOCODE, not in the bundled table');
+  }
+
+  return unresolved('port not found in UN/LOCODE table');
+}
+
+/**
+ * Normalize an Incoterm to its Incoterms 2020 code
+ * Accepts free text ("FOB SHANGHAI", "C&F LOS ANGELES"); older terms are mapped to their 2020 successor (DAT -> DPU).
+ * @param {*} raw - Extracted Incoterm
+ * @returns {Object} { value, resolved, label, reason }
+ */
+function normalizeIncoterm(raw) {
+  const words = String(raw ?? '').toUpperCase().replace(/[^A-Z&+]+/g, ' ').trim();
+  const hasTerm = term => ` ${words} `.includes(` ${term.replace(/[^A-Z&+]+/g, ' ')} `);
+
+  const code = Object.keys(incotermData.terms).find(hasTerm) ||
+    incotermData.aliases[Object.keys(incotermData.aliases).find(hasTerm)];
+  if (code) {
+    return { value: code, resolved: true, label: incotermData.terms[code] };
+  }
+
+  const replaced = Object.keys(incotermData.replaced).find(hasTerm);
+  if (replaced) {
+    const successor = incotermData.replaced[replaced];
+    return { value: successor, resolved: true, label: incotermData.terms[successor], reason: `${replaced} is not an Incoterms 2020 term; mapped to ${successor}` };
+  }
+
+  return unresolved('not an Incoterms 2020 term');
+}
+
+/**
+ * Normalize a unit to its UN/ECE code (Recommendation 20 for measures, 21 for packages)
+ * @param {*} raw - Extracted unit ("KGS", "K.G.S", "Cartons")
+ * @returns {Object} { value, resolved, label, reason }
+ */
+function normalizeUnit(raw) {
+  const key = String(raw ?? '').toUpperCase().replace(/[\s.()]/g, '');
+  const code = UNIT_LOOKUP.get(key) || UNIT_LOOKUP.get(key.replace(/S$/, ''));
+  if (!code) {
+    return unresolved('unit not found in UN/ECE table');
+  }
+  return { value: code, resolved: true, label: UNITS[code].name };
+}
+
+// ============================================================================
+// DOCUMENTS
+// ============================================================================
+
+const NORMALIZERS = [
+  { kind: 'date', fields: DATE_FIELDS, normalize: normalizeDate },
+  { kind: 'port', fields: PORT_FIELDS, normalize: normalizePort },
+  { kind: 'country', fields: COUNTRY_FIELDS, normalize: normalizeCountry },
+  { kind: 'incoterm', fields: INCOTERM_FIELDS, normalize: normalizeIncoterm },
+  { kind: 'unit', fields: UNIT_FIELDS, normalize: normalizeUnit },
+  { kind: 'container_type', fields: CONTAINER_TYPE_FIELDS, normalize: normalizeContainerType }
+];
+
+/**
+ * Normalize every date, port, country, Incoterm, unit and container type of an extracted document
+ * Fields are found by key name anywhere in the data (e.g., routing.etd, line_items[2].quantity.unit).
+ * @param {Object} data - Extracted (or reviewed) data
+ * @returns {Object} Path -> { kind, raw, value, resolved, label?, reason? } for every non-empty field
+ */
+function normalizeDocument(data) {
+  const normalized = {};
+
+  const visit = (node, nodePath) => {
+    if (Array.isArray(node)) {
+      node.forEach((item, index) => visit(item, `${nodePath}[${index}]`));
+      return;
+    }
+    if (!node || typeof node !== 'object') return;
+
+    Object.entries(node).forEach(([key, value]) => {
+      const fieldPath = nodePath ? `${nodePath}.${key}` : key;
+      const normalizer = NORMALIZERS.find(entry => entry.fields.includes(key));
+      if (normalizer && (typeof value === 'string' || typeof value === 'number') && String(value).trim() !== '') {
+        normalized[fieldPath] = { kind: normalizer.kind, raw: value, ...normalizer.normalize(value) };
+      } else if (value && typeof value === 'object') {
+        visit(value, fieldPath);
+      }
+    });
+  };
+
+  visit(data, '');
+  return normalized;
+}
+
+export { normalizeDocument, normalizeDate, normalizeCountry, normalizePort, normalizeIncoterm, normalizeUnit };
@@ -0,0 +1,1150 @@
+import fs from 'fs';
+import path from 'path';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { fileURLToPath } from 'url';
+import { PROVENANCE_PROMPT, TEXT_LAYER_PROMPT, EMAIL_CONTEXT_PROMPT } from '../constants.js';
+import { formatValidationErrors } from './schemas.js';
+import { mergeExtractedData, containerKey } from './merge.js';
+import { takeProvenance, resolveProvenance } from './provenance.js';
+import { normalizeDocument } from './normalize.js';
+import { splitContainers } from './containers.js';
+import { documentTypeNames, getDocumentType, classificationList, validateExtraction, checkConsistency } from './document-types/index.js';
+import { DOCUMENT_TYPES_PLACEHOLDER, getPrompt, resolvePromptVersions } from './prompts.js';
+import { createProvider } from './providers.js';
+import { buildBatchContext } from './context.js';
+import { mapWithConcurrency } from './concurrency.js';
+import { resolvePreprocessOptions, preprocessImages } from './preprocess.js';
+import { DOCUMENT_FILE_PATTERN, expandInputFiles, formatEmailContext } from './inputs.js';
+
+// ============================================================================
+// EXTRACTION PIPELINE
+// Files in, documents out: uploads are expanded (TIFF pages, HEIC photos, email
+// attachments - see lib/inputs.js), PDFs are converted to page images (and their text
+// layer read), page images are cleaned up (see lib/preprocess.js), pages are
+// classified and split into documents (AUTO), each
+// document is extracted in batches with its type's prompt, and the batches
+// are merged and checked.
+// extract() is the entry point for the server, the command line tools and
+// services importing the library (see lib/index.js).
+// ============================================================================
+
+// Project root; converted pages go to temp_images/ and page image paths are stored relative to it
+const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const TEMP_IMAGES_DIR = "./temp_images"; // Temporary directory for PDF conversion
+const MAX_REPAIR_ATTEMPTS = 2; // Repair requests per batch when the response fails schema validation
+const BATCH_CONCURRENCY = Number(process.env.BATCH_CONCURRENCY) || 3; // Batches sent to the LLM at the same time
+// How PDF pages with a text layer are sent: hybrid = text plus a low detail image,
+// text = text only, off = full image like scanned pages (see buildPageContents)
+const TEXT_LAYER_MODES = ['hybrid', 'text', 'off'];
+const TEXT_LAYER_MODE = process.env.PDF_TEXT_LAYER || 'hybrid';
+const MIN_TEXT_LAYER_CHARS = 40; // Pages with less text are treated as scanned
+
+// Platforms pdf-poppler bundles poppler for; it ends the process when imported anywhere else
+const POPPLER_PLATFORMS = ['darwin', 'win32'];
+let popplerModule = null; // Loaded on first use (see loadPoppler)
+// Library path the bundled macOS binaries were linked against; pdf-poppler only repoints pdfinfo, pdftocairo and pdfimages
+const POPPLER_BUILD_DYLIB = '/usr/local/Cellar/poppler/0.66.0/lib/libpoppler.77.dylib';
+let pdftotextReady = null; // Repointed once per process (see preparePdftotext)
+
+// Document types with a definition (prompt, schema, rules, UI layout - see lib/document-types/)
+const SUPPORTED_DOCUMENT_TYPES = documentTypeNames();
+
+/**
+ * Normalize a requested document type (aliases, casing, missing value)
+ * @param {string} documentType - Requested document type
+ * @returns {string|null} A supported document type or AUTO, null if unsupported
+ */
+function normalizeDocumentType(documentType) {
+  if (!documentType) {
+    return 'AUTO'; // Classify the document when no type was selected
+  }
+
+  if (String(documentType).toUpperCase() === 'AUTO') {
+    return 'AUTO';
+  }
+  return getDocumentType(documentType)?.type || null;
+}
+
+/**
+ * Check a count option (pages per request, batches in flight)
+ * @param {*} value - Option value
+ * @returns {boolean} True for a whole number of at least 1
+ */
+function isValidCount(value) {
+  return Number.isInteger(value) && value >= 1;
+}
+
+/**
+ * Load a prompt from the registry (see lib/prompts.js)
+ * @param {string} name - Document type or CLASSIFICATION
+ * @param {Object} promptVersions - { name: version } pinned for the run (default: the active version)
+ * @returns {Object} Prompt version { version, text, ... }
+ */
+function loadPrompt(name, promptVersions = {}) {
+  const prompt = getPrompt(name, promptVersions[name]);
+  if (!prompt) {
+    throw new Error(`Prompt ${name} version ${promptVersions[name]} not found`);
+  }
+  return prompt;
+}
+
+/**
+ * Full extraction prompt: the document type's prompt plus the provenance instructions
+ * @param {Object} prompt - Prompt version (see loadPrompt)
+ * @returns {string} Prompt text
+ */
+function buildExtractionPrompt(prompt) {
+  return `${prompt.text}\n\n${PROVENANCE_PROMPT}`;
+}
+
+/**
+ * Full classification prompt: the prompt with the document types filled in
+ * Versions created before the placeholder existed get the list appended, so they still know every type.
+ * @param {Object} prompt - CLASSIFICATION prompt version (see loadPrompt)
+ * @returns {string} Prompt text
+ */
+function buildClassificationPrompt(prompt) {
+  if (prompt.text.includes(DOCUMENT_TYPES_PLACEHOLDER)) {
+    return prompt.text.replace(DOCUMENT_TYPES_PLACEHOLDER, classificationList());
+  }
+  console.warn(`⚠️  CLASSIFICATION version ${prompt.version} has no ${DOCUMENT_TYPES_PLACEHOLDER} placeholder, appending the document types`);
+  return `${prompt.text}\n\nALLOWED DOCUMENT TYPES (in addition to "UNKNOWN")\n${classificationList()}`;
+}
+
+// ============================================================================
+// HELPER FUNCTIONS
+// ============================================================================
+
+/**
+ * Read image file and convert to base64
+ * @param {string} imagePath - Path to image file
+ * @returns {Object} Object with base64 string and MIME type
+ */
+function imageToBase64(imagePath) {
+  // Check if file exists
+  if (!fs.existsSync(imagePath)) {
+    throw new Error(`Image file not found: ${imagePath}`);
+  }
+  
+  const imageBuffer = fs.readFileSync(imagePath);
+  
+  // Verify it's actually an image file (check file signature/magic bytes)
+  // Check PNG: 89 50 4E 47 (PNG signature)
+  const isPNG = imageBuffer[0] === 0x89 && 
+                imageBuffer[1] === 0x50 && 
+                imageBuffer[2] === 0x4E && 
+                imageBuffer[3] === 0x47;
+  
+  // Check JPEG: FF D8 FF
+  const isJPEG = imageBuffer[0] === 0xFF && 
+                 imageBuffer[1] === 0xD8 && 
+                 imageBuffer[2] === 0xFF;
+  
+  // Check GIF: 47 49 46 38 (GIF8)
+  const isGIF = imageBuffer[0] === 0x47 && 
+                imageBuffer[1] === 0x49 && 
+                imageBuffer[2] === 0x46 && 
+                imageBuffer[3] === 0x38;
+  
+  // Check WEBP: RIFF...WEBP
+  const isWEBP = imageBuffer[0] === 0x52 && 
+                 imageBuffer[1] === 0x49 && 
+                 imageBuffer[2] === 0x46 && 
+                 imageBuffer[3] === 0x46 &&
+                 imageBuffer[8] === 0x57 && 
+                 imageBuffer[9] === 0x45 && 
+                 imageBuffer[10] === 0x42 && 
+                 imageBuffer[11] === 0x50;
+  
+  // Determine MIME type from file signature (most reliable)
+  let mimeType;
+  if (isPNG) {
+    mimeType = 'image/png';
+  } else if (isJPEG) {
+    mimeType = 'image/jpeg';
+  } else if (isGIF) {
+    mimeType = 'image/gif';
+  } else if (isWEBP) {
+    mimeType = 'image/webp';
+  } else {
+    // Fallback to extension if signature doesn't match
+    const ext = path.extname(imagePath).toLowerCase();
+    const mimeTypes = {
+      '.png': 'image/png',
+      '.jpg': 'image/jpeg',
+      '.jpeg': 'image/jpeg',
+      '.gif': 'image/gif',
+      '.webp': 'image/webp'
+    };
+    mimeType = mimeTypes[ext] || 'image/png';
+    console.warn(`⚠️  Could not detect image type from signature, using extension: ${ext} -> ${mimeType}`);
+  }
+  
+  const base64 = imageBuffer.toString('base64');
+  
+  // Verify the detected MIME type matches the file content
+  const ext = path.extname(imagePath).toLowerCase();
+  if (ext === '.png' && !isPNG) {
+    console.warn(`⚠️  Warning: File has .png extension but signature doesn't match PNG format`);
+  } else if ((ext === '.jpg' || ext === '.jpeg') && !isJPEG) {
+    console.warn(`⚠️  Warning: File has .jpg/.jpeg extension but signature doesn't match JPEG format`);
+  } else if (ext === '.gif' && !isGIF) {
+    console.warn(`⚠️  Warning: File has .gif extension but signature doesn't match GIF format`);
+  }
+  
+  return { base64, mimeType };
+}
+
+/**
+ * Create an isolated working directory for one extraction job
+ * Every job converts PDFs into its own folder under temp_images/, so concurrent
+ * extractions never see (or delete) each other's page images.
+ * @returns {string} Absolute path of the new directory
+ */
+function createJobTempDir() {
+  const tempRoot = path.join(ROOT_DIR, TEMP_IMAGES_DIR);
+  if (!fs.existsSync(tempRoot)) {
+    fs.mkdirSync(tempRoot, { recursive: true });
+  }
+  return fs.mkdtempSync(path.join(tempRoot, 'job-'));
+}
+
+/**
+ * Load pdf-poppler on first use
+ * pdf-poppler calls process.exit() when it is imported on an unsupported platform, so it is
+ * only loaded once a PDF needs converting - importing the library (see lib/index.js) never
+ * ends the host process.
+ * @returns {Promise<Object>} The pdf-poppler module ({ path, convert, ... })
+ * @throws {Error} On platforms pdf-poppler does not support
+ */
+async function loadPoppler() {
+  if (!POPPLER_PLATFORMS.includes(process.platform)) {
+    throw new Error(`PDF conversion is not supported on ${process.platform}: pdf-poppler bundles poppler for macOS and Windows only`);
+  }
+  if (!popplerModule) {
+    popplerModule = (await import('pdf-poppler')).default;
+  }
+  return popplerModule;
+}
+
+/**
+ * Convert PDF to images (one per page)
+ * @param {string} pdfPath - Path to PDF file
+ * @param {string} outDir - Job working directory (see createJobTempDir)
+ * @param {string} prefix - File name prefix, unique within the job (e.g., "file1")
+ * @returns {Promise<string[]>} Array of image file paths
+ */
+async function convertPdfToImages(pdfPath, outDir, prefix = 'page') {
+  console.log(`\n📄 Converting PDF to images: ${pdfPath}`);
+
+  const options = {
+    format: 'png',
+    out_dir: outDir,
+    out_prefix: prefix,
+    page: null // Convert all pages
+  };
+
+  try {
+    const pdf = await loadPoppler();
+    await pdf.convert(pdfPath, options);
+    
+    // Get this PDF's generated image files (e.g., "file1-01.png"), sorted by page number
+    const pagePattern = new RegExp(`^${prefix}-(\\d+)\\.png$`);
+    const files = fs.readdirSync(outDir)
+      .filter(file => pagePattern.test(file))
+      .sort((a, b) => parseInt(a.match(pagePattern)[1]) - parseInt(b.match(pagePattern)[1]))
+      .map(file => path.join(outDir, file));
+
+    console.log(`✅ Converted ${files.length} page(s) to images`);
+    return files;
+  } catch (error) {
+    console.error('❌ Error converting PDF:', error);
+    throw new Error(`Failed to convert PDF to images: ${error.message}`);
+  }
+}
+
+/**
+ * Path of the bundled pdftotext, ready to run
+ * On macOS the binary still points at the libpoppler of the machine it was built on; it is
+ * repointed at the bundled library the same way pdf-poppler does for its own binaries.
+ * @param {Object} pdf - The pdf-poppler module (see loadPoppler)
+ * @returns {Promise<string>} Binary path
+ */
+async function preparePdftotext(pdf) {
+  const binary = path.join(pdf.path, 'pdftotext');
+  if (process.platform !== 'darwin') return binary;
+
+  if (!pdftotextReady) {
+    const bundledDylib = path.join(pdf.path, '..', 'lib', 'libpoppler.77.0.0.dylib');
+    pdftotextReady = promisify(execFile)('install_name_tool', ['-change', POPPLER_BUILD_DYLIB, bundledDylib, binary])
+      .catch(error => {
+        // Let the next PDF try again
+        pdftotextReady = null;
+        throw error;
+      });
+  }
+  await pdftotextReady;
+  return binary;
+}
+
+/**
+ * Read the text layer of a PDF, one string per page
+ * pdftotext (bundled with pdf-poppler) keeps the layout, so table columns stay aligned.
+ * @param {string} pdfPath - Path to PDF file
+ * @returns {Promise<string[]>} Text per page in page order
+ * @throws {Error} If pdftotext cannot be run or cannot read the file
+ */
+async function extractPdfText(pdfPath) {
+  const pdf = await loadPoppler();
+  const { stdout } = await promisify(execFile)(
+    await preparePdftotext(pdf),
+    ['-layout', '-enc', 'UTF-8', pdfPath, '-'],
+    { encoding: 'utf8', maxBuffer: 50 * 1024 * 1024 }
+  );
+
+  // Pages are separated by form feeds; trailing spaces and blank edges are noise
+  return stdout.split('\f').map(page => page
+    .split('\n')
+    .map(line => line.trimEnd())
+    .join('\n')
+    .replace(/^\n+|\n+$/g, ''));
+}
+
+/**
+ * Check whether a page's text layer is worth sending instead of the full image
+ * Scanned pages have no text (or a few stray characters); PDFs with broken font
+ * encodings give mostly symbols, which are no better than the image.
+ * @param {string} text - Page text (see extractPdfText)
+ * @returns {boolean} True if the page carries usable text
+ */
+function hasTextLayer(text) {
+  const characters = (text || '').replace(/\s/g, '');
+  if (characters.length < MIN_TEXT_LAYER_CHARS) return false;
+
+  const readable = characters.match(/[\p{L}\p{N}]/gu)?.length || 0;
+  return readable / characters.length >= 0.5;
+}
+
+/**
+ * Remove a job's working directory and every page image in it
+ * @param {string} jobDir - Directory created by createJobTempDir
+ */
+function cleanupJobTempDir(jobDir) {
+  const tempRoot = path.join(ROOT_DIR, TEMP_IMAGES_DIR);
+
+  // Never delete anything outside temp_images/
+  if (!jobDir || path.dirname(path.resolve(jobDir)) !== path.resolve(tempRoot)) {
+    console.warn(`⚠️  Warning: Refusing to clean up unexpected temp path: ${jobDir}`);
+    return;
+  }
+
+  try {
+    fs.rmSync(jobDir, { recursive: true, force: true });
+  } catch (error) {
+    console.warn('⚠️  Warning: Could not clean up temp images:', error.message);
+  }
+}
+
+/**
+ * Remove job directories older than the retention period
+ * Page images of successful runs are kept so reviewers can see where a value was read from.
+ * @param {number} retentionHours - How long page images are kept
+ */
+function sweepExpiredJobDirs(retentionHours) {
+  const tempRoot = path.join(ROOT_DIR, TEMP_IMAGES_DIR);
+  if (!fs.existsSync(tempRoot)) return;
+
+  const cutoff = Date.now() - retentionHours * 60 * 60 * 1000;
+  fs.readdirSync(tempRoot)
+    .filter(name => name.startsWith('job-'))
+    .map(name => path.join(tempRoot, name))
+    .filter(jobDir => {
+      try {
+        return fs.statSync(jobDir).mtimeMs < cutoff;
+      } catch (error) {
+        return false;
+      }
+    })
+    .forEach(jobDir => {
+      console.log(`🧹 Removing expired page images: ${path.basename(jobDir)}`);
+      cleanupJobTempDir(jobDir);
+    });
+}
+
+/**
+ * Check if file is a PDF
+ * @param {string} filePath - Path to file
+ * @returns {boolean} True if file is a PDF
+ */
+function isPdfFile(filePath) {
+  const ext = path.extname(filePath).toLowerCase();
+  if (ext !== '.pdf') return false;
+  
+  // Also check file signature
+  try {
+    const buffer = fs.readFileSync(filePath, { start: 0, end: 4 });
+    // PDF signature: %PDF
+    return buffer[0] === 0x25 && buffer[1] === 0x50 && buffer[2] === 0x44 && buffer[3] === 0x46;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Build the message content for the pages of one extraction batch
+ * Batches without text layer pages are sent as images, exactly as before. Otherwise
+ * each page is marked "PAGE <n>" (see TEXT_LAYER_PROMPT): text layer pages carry
+ * their text (hybrid: plus a low detail image), scanned pages their full image.
+ * @param {string[]} imagePaths - Page images of the batch
+ * @param {Array<string|null>} pageTexts - Text layer per page, null for scanned pages and images
+ * @param {string} detail - Image detail level for scanned pages
+ * @param {string} textLayer - hybrid or text (see TEXT_LAYER_MODES)
+ * @returns {Object[]} Content parts
+ */
+function buildPageContents(imagePaths, pageTexts, detail, textLayer) {
+  if (!pageTexts.some(Boolean)) {
+    return imagePaths.map(imagePath => buildImageContent(imagePath, detail));
+  }
+
+  return imagePaths.flatMap((imagePath, index) => {
+    const text = pageTexts[index];
+    if (!text) {
+      return [{ type: "text", text: `PAGE ${index + 1} (scanned)` }, buildImageContent(imagePath, detail)];
+    }
+
+    console.log(`  📝 ${path.basename(imagePath)} (text layer, ${text.length} characters)`);
+    return [
+      { type: "text", text: `PAGE ${index + 1} (text layer)\n${text}` },
+      // The low detail image shows the layout; the text carries the values
+      ...(textLayer === 'text' ? [] : [buildImageContent(imagePath, 'low')])
+    ];
+  });
+}
+
+/**
+ * Build the OpenAI message content for one image
+ * @param {string} imagePath - Path to image file
+ * @param {string} detail - OpenAI image detail level (auto, low or high)
+ * @returns {Object} image_url content part
+ */
+function buildImageContent(imagePath, detail) {
+  const { base64, mimeType } = imageToBase64(imagePath);
+
+  // Ensure MIME type is valid
+  const validMimeTypes = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+  if (!validMimeTypes.includes(mimeType)) {
+    throw new Error(`Invalid MIME type detected: ${mimeType}`);
+  }
+
+  console.log(`  📸 ${path.basename(imagePath)} (${mimeType}, ${(base64.length / 1024).toFixed(1)} KB)`);
+
+  return {
+    type: "image_url",
+    image_url: {
+      url: `data:${mimeType};base64,${base64}`,
+      detail
+    }
+  };
+}
+
+/**
+ * Split a list into batches
+ * @param {Array} items - Items to split
+ * @param {number} batchSize - Maximum items per batch
+ * @returns {Array[]} Batches
+ */
+function toBatches(items, batchSize) {
+  const batches = [];
+  for (let i = 0; i < items.length; i += batchSize) {
+    batches.push(items.slice(i, i + batchSize));
+  }
+  return batches;
+}
+
+/**
+ * Empty token usage counter for one extraction run
+ * @returns {Object} { requests, prompt_tokens, completion_tokens, total_tokens }
+ */
+function createUsage() {
+  return { requests: 0, prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
+}
+
+/**
+ * Add one provider response's usage to a run's counter
+ * @param {Object} total - Counter from createUsage() (mutated, may be undefined)
+ * @param {Object} usage - Provider usage ({ prompt_tokens, completion_tokens, total_tokens } or null)
+ */
+function addUsage(total, usage) {
+  if (!total) return;
+  total.requests++;
+  total.prompt_tokens += usage?.prompt_tokens || 0;
+  total.completion_tokens += usage?.completion_tokens || 0;
+  total.total_tokens += usage?.total_tokens || 0;
+}
+
+/**
+ * Convert uploaded files to page images (PDFs are converted, images are used as-is)
+ * Uploads are expanded first: TIFFs are split into pages, HEIC photos converted and emails
+ * unpacked into their attachments (see expandInputFiles). The text layer of PDF pages is read
+ * as well, unless textLayer is off. Every page image is then preprocessed into the job
+ * directory (rotated, deskewed, cropped, downscaled).
+ * @param {string[]} filePaths - Paths to PDF, image, TIFF, HEIC or email files
+ * @param {string} jobDir - Job working directory for converted pages
+ * @param {Object} options - { textLayer (see TEXT_LAYER_MODES), preprocess (see resolvePreprocessOptions),
+ *   warnings (list that run-level warnings are added to, e.g. a text layer that could not be read) }
+ * @returns {Promise<Object[]>} [{ filePath, name, email, imagePaths, pageTexts }] in upload order; name is the file
+ *   name shown for the pages ("mail.eml/invoice.pdf" for attachments), email the email the file was attached to (or null),
+ *   pageTexts holds the text per page, null for scanned pages and images
+ */
+async function prepareImages(filePaths, jobDir, options = {}) {
+  const { textLayer = TEXT_LAYER_MODE, warnings = [] } = options;
+  const preprocess = resolvePreprocessOptions(options.preprocess);
+  const sources = await expandInputFiles(filePaths, jobDir);
+  const fileImages = [];
+
+  for (const [index, source] of sources.entries()) {
+    const { filePath, name, email } = source;
+    if (isPdfFile(filePath)) {
+      console.log(`\n📄 Detected PDF file: ${name}, converting to images...`);
+      const pdfImages = await convertPdfToImages(filePath, jobDir, `file${index + 1}`);
+      let texts = [];
+      if (textLayer !== 'off') {
+        try {
+          texts = await extractPdfText(filePath);
+        } catch (error) {
+          // Not fatal: the pages are still sent as images, but the caller should know
+          console.warn(`⚠️  Could not read the text layer of ${name}: ${error.message}`);
+          warnings.push(`Could not read the text layer of ${name}; its pages were read from the images only (${error.message})`);
+        }
+      }
+      const pageTexts = pdfImages.map((imagePath, page) => (hasTextLayer(texts[page]) ? texts[page] : null));
+      if (textLayer !== 'off') {
+        console.log(`📝 ${pageTexts.filter(Boolean).length}/${pdfImages.length} page(s) with a text layer`);
+      }
+      const imagePaths = await preprocessImages(pdfImages, jobDir, `file${index + 1}`, preprocess);
+      // Converted pages that were replaced are not needed any more
+      pdfImages.filter(imagePath => !imagePaths.includes(imagePath)).forEach(imagePath => fs.rmSync(imagePath, { force: true }));
+      fileImages.push({ filePath, name, email, imagePaths, pageTexts });
+    } else {
+      console.log(`\n📸 Detected image file: ${name}${source.imagePaths.length > 1 ? ` (${source.imagePaths.length} pages)` : ''}`);
+      const imagePaths = await preprocessImages(source.imagePaths, jobDir, `file${index + 1}`, preprocess);
+      // TIFF pages and converted photos that were replaced are not needed any more (uploads stay)
+      source.imagePaths
+        .filter(imagePath => imagePath !== filePath && !imagePaths.includes(imagePath))
+        .forEach(imagePath => fs.rmSync(imagePath, { force: true }));
+      fileImages.push({ filePath, name, email, imagePaths, pageTexts: imagePaths.map(() => null) });
+    }
+  }
+
+  return fileImages;
+}
+
+/**
+ * Classify each page image and flag pages that start a new document
+ * @param {string[]} imagePaths - Paths to page images
+ * @param {number} batchSize - Number of images per OpenAI call
+ * @param {Object} options - { provider, signal, onProgress, concurrency, usage, promptVersions } (see processDocuments)
+ * @returns {Promise<Object[]>} One { document_type, confidence, starts_new_document, document_reference } per image, in input order
+ */
+async function classifyImages(imagePaths, batchSize = 5, options = {}) {
+  const { provider, signal, onProgress = () => {}, concurrency = BATCH_CONCURRENCY, usage } = options;
+  const classificationPrompt = buildClassificationPrompt(loadPrompt('CLASSIFICATION', options.promptVersions));
+  const batches = toBatches(imagePaths, batchSize);
+  let completedBatches = 0;
+
+  console.log(`\n🔎 Classifying ${imagePaths.length} page(s) in batches of ${batchSize} (up to ${concurrency} at a time)...`);
+
+  const batchResults = await mapWithConcurrency(batches, concurrency, async (batch, batchIndex) => {
+    signal?.throwIfAborted();
+    console.log(`\n🏷️  Classifying batch ${batchIndex + 1}/${batches.length} (${batch.length} image(s))...`);
+    onProgress({
+      stage: 'classifying',
+      batch: batchIndex + 1,
+      totalBatches: batches.length,
+      completedBatches,
+      message: `Classifying batch ${batchIndex + 1}/${batches.length} (${batch.length} image(s))`
+    });
+
+    // Low detail is enough to recognise document titles and layouts
+    const imageContents = batch.map(imagePath => buildImageContent(imagePath, 'low'));
+
+    const response = await provider.complete({
+      messages: [
+        {
+          role: "user",
+          content: [
+            { type: "text", text: classificationPrompt },
+            ...imageContents
+          ]
+        }
+      ],
+      maxTokens: 1000,
+      signal
+    });
+    addUsage(usage, response.usage);
+
+    const classification = JSON.parse(response.content);
+    const pages = Array.isArray(classification.pages) ? classification.pages : [];
+
+    completedBatches++;
+    console.log(`✅ Classification batch ${batchIndex + 1}/${batches.length} completed`);
+
+    // Match results back to images by page_index; anything missing is UNKNOWN
+    return batch.map((imagePath, index) => {
+      const page = pages.find(p => Number(p.page_index) === index + 1) || pages[index] || {};
+      const documentType = normalizeDocumentType(page.document_type) || String(page.document_type || '').toUpperCase();
+      const confidence = Number(page.confidence);
+
+      return {
+        document_type: SUPPORTED_DOCUMENT_TYPES.includes(documentType) ? documentType : 'UNKNOWN',
+        confidence: Number.isFinite(confidence) ? Math.min(Math.max(confidence, 0), 1) : 0,
+        starts_new_document: page.starts_new_document === true,
+        document_reference: page.document_reference ? String(page.document_reference).trim() : null
+      };
+    });
+  });
+
+  return batchResults.flat();
+}
+
+/**
+ * Split classified pages into documents (page ranges)
+ * A new document starts when the type changes, the page is flagged as a first page,
+ * or the printed document number changes. UNKNOWN pages that do not start a new
+ * document (e.g., terms & conditions) stay with the document they follow.
+ * @param {Object[]} pages - { filePath, imagePath, pageNumber } in upload order
+ * @param {Object[]} classifications - Output of classifyImages() for the same pages
+ * @returns {Object[]} Segments { documentType, confidence, pages, reference }
+ */
+function segmentPages(pages, classifications) {
+  const segments = [];
+  let current = null;
+
+  pages.forEach((page, index) => {
+    const classification = classifications[index];
+    const type = classification.document_type;
+    const reference = classification.document_reference;
+
+    const isContinuation = current && !classification.starts_new_document && (
+      type === current.documentType ||
+      (type === 'UNKNOWN' && current.documentType !== 'UNKNOWN')
+    );
+    const referenceChanged = current && reference && current.reference &&
+      reference.toUpperCase() !== current.reference.toUpperCase();
+
+    if (!isContinuation || referenceChanged) {
+      current = { documentType: type, reference, pages: [], confidences: [] };
+      segments.push(current);
+    }
+
+    current.pages.push(page);
+    if (type === current.documentType) {
+      current.confidences.push(classification.confidence);
+    }
+    current.reference = current.reference || reference;
+  });
+
+  return segments.map(segment => ({
+    documentType: segment.documentType,
+    reference: segment.reference,
+    pages: segment.pages,
+    // Attached UNKNOWN pages do not lower the confidence of the document they follow
+    confidence: segment.confidences.length > 0
+      ? Math.round((segment.confidences.reduce((sum, c) => sum + c, 0) / segment.confidences.length) * 100) / 100
+      : 0
+  }));
+}
+
+/**
+ * Send an extraction request and validate the response against the document's JSON Schema
+ * Responses that are not valid JSON or fail validation are sent back to the model
+ * together with the validation errors, up to MAX_REPAIR_ATTEMPTS times.
+ * @param {Object[]} messages - Chat messages (prompt + images)
+ * @param {string} documentType - Document type (see lib/document-types/)
+ * @param {string} label - Batch label for logs (e.g., "2/3")
+ * @param {Object} options - { provider, signal: aborts the request when the job is cancelled, usage: counter every attempt is added to }
+ * @returns {Promise<Object>} { data, validationErrors, provenance } - errors still present after the last repair;
+ *   provenance is the map the model returned next to the data (removed from data)
+ */
+async function completeWithValidation(messages, documentType, label, options = {}) {
+  const { provider, signal, usage } = options;
+  let conversation = messages;
+
+  for (let attempt = 0; ; attempt++) {
+    const response = await provider.complete({ messages: conversation, signal });
+    addUsage(usage, response.usage);
+
+    const outputText = response.content;
+    let data = null;
+    let validationErrors;
+
+    try {
+      data = JSON.parse(outputText);
+      validationErrors = validateExtraction(documentType, data);
+    } catch (error) {
+      validationErrors = [{ path: '/', message: `response is not valid JSON: ${error.message}` }];
+    }
+
+    if (validationErrors.length === 0) {
+      return { data, validationErrors, provenance: takeProvenance(data) };
+    }
+
+    if (attempt >= MAX_REPAIR_ATTEMPTS) {
+      if (!data) {
+        throw new Error(`Batch ${label}: model did not return valid JSON after ${attempt + 1} attempt(s)`);
+      }
+      console.warn(`⚠️  Batch ${label}: ${validationErrors.length} schema error(s) remain after ${attempt} repair attempt(s)`);
+      return { data, validationErrors, provenance: takeProvenance(data) };
+    }
+
+    console.warn(`⚠️  Batch ${label}: response failed schema validation, requesting repair (${attempt + 1}/${MAX_REPAIR_ATTEMPTS})...`);
+    console.warn(formatValidationErrors(validationErrors));
+
+    conversation = [
+      ...conversation,
+      { role: "assistant", content: outputText },
+      {
+        role: "user",
+        content: `Your JSON does not match the required ${documentType} OUTPUT JSON SCHEMA.\n\n` +
+          `VALIDATION ERRORS\n${formatValidationErrors(validationErrors)}\n\n` +
+          `Return the complete corrected JSON only. Keep every value you extracted, use null for values that are not present, and do not guess.`
+      }
+    ];
+  }
+}
+
+/**
+ * Extract data from page images using OpenAI Vision
+ * Batches run concurrently (up to options.concurrency). A batch that still fails after the
+ * provider's retries is reported in failedBatches; the other batches are merged as usual.
+ * With batchContext, batches run one after another because each needs the earlier results.
+ * @param {string[]} imagePaths - Paths to page images (PDFs already converted)
+ * @param {number} batchSize - Number of images per OpenAI call
+ * @param {string} documentType - Document type (see lib/document-types/)
+ * @param {Object} options - { provider: LLM provider (see lib/providers.js), batchContext: pass a summary of earlier batches to each
+ *   later batch, concurrency, signal, onProgress,
+ *   usage: token usage counter (see createUsage), sourcePages: { pageIndex, file, page } per image (defaults to the image order),
+ *   pageTexts: text layer per image (null: send the image only), textLayer: how text layer pages are sent (see TEXT_LAYER_MODES),
+ *   pageEmails: email each image was attached to (null: none), sent as context with the batches holding its pages (see formatEmailContext),
+ *   promptVersions: { name: version } of the prompts to use (default: the active versions) }
+ * @returns {Promise<Object>} { data, validationErrors, mergeConflicts, failedBatches, provenance, containerSplits, promptVersion } - merged
+ *   data, remaining schema errors per batch, fields batches disagree on, batches that could not be extracted, source page and bounding box
+ *   per field path, container numbers split from a glued seal or type, registry version of the prompt used
+ */
+async function extractDataWithOpenAI(imagePaths, batchSize = 5, documentType = 'MBL', options = {}) {
+  const { provider, signal, onProgress = () => {} } = options;
+  const concurrency = options.batchContext ? 1 : (options.concurrency || BATCH_CONCURRENCY);
+
+  try {
+    if (imagePaths.length === 0) {
+      throw new Error('No images to process');
+    }
+
+    console.log(`\n🤖 Processing ${imagePaths.length} image(s) in batches of ${batchSize} (up to ${concurrency} at a time)...`);
+    console.log(`📄 Document type: ${documentType}`);
+    console.log(`🤖 Provider: ${provider.name}, model: ${provider.model}`);
+
+    // Get the appropriate prompt for the document type
+    const prompt = loadPrompt(documentType, options.promptVersions);
+    const extractionPrompt = buildExtractionPrompt(prompt);
+    console.log(`📝 Prompt: ${documentType} version ${prompt.version}`);
+    const sourcePages = options.sourcePages || imagePaths.map((imagePath, index) => ({
+      pageIndex: index + 1,
+      file: path.basename(imagePath),
+      page: 1
+    }));
+    const pageTexts = options.pageTexts || imagePaths.map(() => null);
+    const pageEmails = options.pageEmails || imagePaths.map(() => null);
+
+    // Process images in batches
+    const batches = toBatches(imagePaths, batchSize);
+    const batchResults = new Array(batches.length);
+    let completedBatches = 0;
+    
+    await mapWithConcurrency(batches, concurrency, async (batch, batchIndex) => {
+      signal?.throwIfAborted();
+      console.log(`\n📦 Processing batch ${batchIndex + 1}/${batches.length} (${batch.length} image(s))...`);
+      onProgress({
+        stage: 'extracting',
+        documentType,
+        batch: batchIndex + 1,
+        totalBatches: batches.length,
+        completedBatches,
+        message: `Processing ${documentType} batch ${batchIndex + 1}/${batches.length} (${batch.length} image(s))`
+      });
+
+      try {
+        // Prepare page content: text layer where the PDF has one, images for scanned pages
+        const firstPage = batchIndex * batchSize + 1;
+        const batchTexts = pageTexts.slice(firstPage - 1, firstPage - 1 + batch.length);
+        const pageContents = buildPageContents(batch, batchTexts, provider.imageDetail, options.textLayer || TEXT_LAYER_MODE);
+
+        // Emails the batch's pages were attached to (sender, subject and body)
+        const batchEmails = [...new Set(pageEmails.slice(firstPage - 1, firstPage - 1 + batch.length).filter(Boolean))];
+        const emailContext = batchEmails.length > 0
+          ? `${EMAIL_CONTEXT_PROMPT}\n${batchEmails.map(formatEmailContext).join('\n\n---\n\n')}`
+          : null;
+
+        // Summary of earlier batches (header keys, table columns, last line number)
+        const previousResults = batchResults.slice(0, batchIndex).filter(result => result?.data).map(result => result.data);
+        const batchContext = options.batchContext
+          ? buildBatchContext(previousResults, { firstPage, lastPage: firstPage + batch.length - 1, totalPages: imagePaths.length })
+          : null;
+        if (batchContext) {
+          console.log(`  🧠 Passing context from ${previousResults.length} earlier batch(es)`);
+        }
+
+        // Send batch to OpenAI with the appropriate prompt (validated, repaired if needed)
+        const result = await completeWithValidation([
+          {
+            role: "user",
+            content: [
+              { type: "text", text: batchTexts.some(Boolean) ? `${extractionPrompt}\n${TEXT_LAYER_PROMPT}` : extractionPrompt },
+              ...(emailContext ? [{ type: "text", text: emailContext }] : []),
+              ...(batchContext ? [{ type: "text", text: batchContext }] : []),
+              ...pageContents
+            ]
+          }
+        ], documentType, `${batchIndex + 1}/${batches.length}`, { provider, signal, usage: options.usage });
+
+        // Container and seal numbers glued together ("MSCU1234565/SL998877") are split before merging,
+        // so the same container from two batches is recognised as one
+        result.containerSplits = splitContainers(result.data);
+        batchResults[batchIndex] = result;
+
+        console.log(`✅ Batch ${batchIndex + 1}/${batches.length} completed`);
+      } catch (error) {
+        if (signal?.aborted) {
+          throw error;
+        }
+
+        // Keep going: one failed batch should not throw away the others
+        console.error(`❌ Batch ${batchIndex + 1}/${batches.length} failed:`, error.message);
+        batchResults[batchIndex] = { error };
+      }
+
+      completedBatches++;
+      onProgress({
+        stage: 'extracting',
+        documentType,
+        batch: batchIndex + 1,
+        totalBatches: batches.length,
+        completedBatches,
+        message: `${documentType} batch ${batchIndex + 1}/${batches.length} ${batchResults[batchIndex].error ? 'failed' : 'completed'}`
+      });
+    });
+
+    const failedBatches = [];
+    const validationErrors = [];
+    batchResults.forEach((result, batchIndex) => {
+      if (result.error) {
+        failedBatches.push({
+          batch: batchIndex + 1,
+          pages: { start: batchIndex * batchSize + 1, end: batchIndex * batchSize + batches[batchIndex].length },
+          error: result.error.message
+        });
+      } else {
+        validationErrors.push(...result.validationErrors.map(error => ({ batch: batchIndex + 1, ...error })));
+      }
+    });
+
+    if (failedBatches.length === batches.length) {
+      throw batchResults[0].error;
+    }
+
+    // Merge all extracted data (line items, containers, fields found in later batches)
+    const { data, conflicts } = mergeExtractedData(batchResults.filter(result => !result.error).map(result => result.data), documentType);
+
+    // Map each batch's page-relative provenance onto the merged data
+    const provenance = resolveProvenance(batchResults
+      .map((result, batchIndex) => ({
+        ...result,
+        pages: sourcePages.slice(batchIndex * batchSize, batchIndex * batchSize + batches[batchIndex].length)
+      }))
+      .filter(result => !result.error), data);
+
+    const containerSplits = batchResults
+      .filter(result => !result.error)
+      .flatMap(result => result.containerSplits)
+      .map(split => ({
+        path: `containers[${(data.containers || []).findIndex(container => containerKey(container.container_number) === split.container_number)}]`,
+        ...split
+      }));
+    if (containerSplits.length > 0) {
+      console.log(`✂️  Split ${containerSplits.length} container number(s) from a glued seal or type`);
+    }
+
+    if (failedBatches.length > 0) {
+      console.warn(`⚠️  ${failedBatches.length}/${batches.length} batch(es) failed; returning partial results`);
+    }
+
+    return {
+      data,
+      validationErrors,
+      mergeConflicts: conflicts,
+      failedBatches,
+      provenance,
+      containerSplits,
+      promptVersion: prompt.version
+    };
+  } catch (error) {
+    if (signal?.aborted) {
+      console.log('🛑 Extraction cancelled');
+      throw error;
+    }
+
+    console.error(`❌ Error calling LLM provider (${provider.name}):`, error);
+    
+    // Log more details about the error
+    if (error.response) {
+      console.error('Response status:', error.response.status);
+      console.error('Response data:', JSON.stringify(error.response.data, null, 2));
+    }
+    
+    throw error;
+  }
+}
+
+/**
+ * Convert, split (when documentType is AUTO) and extract uploaded files
+ * With AUTO, the pages of all uploaded files are classified in upload order and split into
+ * sub-documents (e.g., a shipment pack PDF holding invoice, HBL and MBL back to back); each
+ * sub-document is extracted with its own prompt.
+ * @param {string|string[]} filePaths - Path(s) to PDF, image, TIFF, HEIC or email files
+ * @param {number} batchSize - Number of images per OpenAI call
+ * @param {string} documentType - Document type or AUTO
+ * @param {Object} options - Extraction options passed to extractDataWithOpenAI() (provider is required), plus
+ *   signal (AbortSignal that cancels the run), onProgress(progress) for per-batch progress events,
+ *   textLayer (see TEXT_LAYER_MODES), preprocess (see resolvePreprocessOptions in lib/preprocess.js), warnings (list that
+ *   run-level warnings are added to, see prepareImages) and keepPages (default true; false removes the converted page images when the run ends)
+ * @returns {Promise<Object[]>} One { documentType, confidence, reference, files, emails, pageRange, sourcePages, pageCount, promptVersion,
+ *   data, validationErrors, mergeConflicts, failedBatches, provenance, containerSplits, consistencyWarnings, normalized } per document
+ *   Unless keepPages is false, page images are kept after a successful run until sweepExpiredJobDirs() removes them.
+ */
+async function processDocuments(filePaths, batchSize = 5, documentType = 'AUTO', options = {}) {
+  const { signal, onProgress = () => {}, keepPages = true } = options;
+
+  // Normalize to array
+  const files = Array.isArray(filePaths) ? filePaths : [filePaths];
+  const jobDir = createJobTempDir();
+  let succeeded = false;
+
+  try {
+    onProgress({ stage: 'converting', message: `Preparing ${files.length} file(s)` });
+    const fileImages = await prepareImages(files, jobDir, { textLayer: options.textLayer, preprocess: options.preprocess, warnings: options.warnings });
+    signal?.throwIfAborted();
+
+    // Flatten to one page list; pageIndex runs across the whole upload
+    const pages = fileImages.flatMap(file => file.imagePaths.map((imagePath, index) => ({
+      filePath: file.filePath,
+      fileName: file.name,
+      email: file.email,
+      imagePath,
+      pageNumber: index + 1,
+      text: file.pageTexts[index]
+    })));
+    pages.forEach((page, index) => { page.pageIndex = index + 1; });
+    if (pages.length === 0) {
+      throw new Error('No pages to extract: the files hold no PDF or image (emails need a PDF, image or email attachment)');
+    }
+
+    let segments;
+    if (documentType === 'AUTO') {
+      const classifications = await classifyImages(pages.map(page => page.imagePath), batchSize, options);
+      segments = segmentPages(pages, classifications);
+      console.log(`\n🧩 Split upload into ${segments.length} document(s): ${segments.map(seg => `${seg.documentType} p${seg.pages[0].pageIndex}-${seg.pages[seg.pages.length - 1].pageIndex}`).join(', ')}`);
+    } else {
+      segments = [{ documentType, confidence: null, reference: null, pages }];
+    }
+
+    const documents = [];
+    for (const [segmentIndex, segment] of segments.entries()) {
+      const imagePaths = segment.pages.map(page => page.imagePath);
+      const documentProgress = progress => onProgress({
+        ...progress,
+        document: segmentIndex + 1,
+        totalDocuments: segments.length
+      });
+
+      const sourcePages = segment.pages.map(page => ({
+        pageIndex: page.pageIndex,
+        file: page.fileName,
+        page: page.pageNumber
+      }));
+      const emails = [...new Set(segment.pages.map(page => page.email).filter(Boolean))];
+
+      // Unknown pages and types without an extraction prompt are reported but not extracted
+      const { data, validationErrors, mergeConflicts, failedBatches, provenance, containerSplits, promptVersion } = SUPPORTED_DOCUMENT_TYPES.includes(segment.documentType)
+        ? await extractDataWithOpenAI(imagePaths, batchSize, segment.documentType, {
+          ...options,
+          sourcePages,
+          pageTexts: segment.pages.map(page => page.text),
+          pageEmails: segment.pages.map(page => page.email),
+          onProgress: documentProgress
+        })
+        : { data: null, validationErrors: [], mergeConflicts: [], failedBatches: [], provenance: {}, containerSplits: [], promptVersion: null };
+
+      documents.push({
+        documentType: segment.documentType,
+        confidence: segment.confidence,
+        reference: segment.reference,
+        files: [...new Set(segment.pages.map(page => page.fileName))],
+        // Emails the pages were attached to (their body went to the LLM as context)
+        emails: emails.map(({ file, subject, from, date }) => ({ file, subject, from, date })),
+        pageRange: {
+          start: segment.pages[0].pageIndex,
+          end: segment.pages[segment.pages.length - 1].pageIndex
+        },
+        // image: page image shown by the review UI, relative to the project directory;
+        // textLayer: the page was extracted from the PDF's text rather than read from the image
+        sourcePages: segment.pages.map(page => ({
+          pageIndex: page.pageIndex,
+          file: page.fileName,
+          page: page.pageNumber,
+          image: path.relative(ROOT_DIR, page.imagePath),
+          textLayer: Boolean(page.text)
+        })),
+        pageCount: imagePaths.length,
+        promptVersion,
+        data,
+        validationErrors,
+        mergeConflicts,
+        failedBatches,
+        provenance,
+        containerSplits,
+        // Arithmetic, currency and container number checks (see lib/consistency.js)
+        consistencyWarnings: checkConsistency(segment.documentType, data),
+        // ISO dates, UN/LOCODEs, countries, Incoterms and unit codes next to the raw values (see lib/normalize.js)
+        normalized: data ? normalizeDocument(data) : {}
+      });
+    }
+
+    succeeded = true;
+    return documents;
+  } finally {
+    // Failed or cancelled runs clean up right away; successful runs keep their page
+    // images for the review UI until sweepExpiredJobDirs() removes them
+    if (!succeeded || !keepPages) {
+      cleanupJobTempDir(jobDir);
+    }
+  }
+}
+
+/**
+ * Extract every document in a set of files
+ * Checks the request, pins the prompt versions, runs processDocuments() and
+ * reports what the run used. Page images are removed afterwards unless keepPages is set.
+ * @param {string|string[]} files - PDF or image paths, processed together as one upload
+ * @param {Object} options - Extraction options
+ * @param {string} options.type - A document type (see lib/document-types/) or AUTO (default)
+ * @param {number} options.batchSize - Pages per LLM request (default 5)
+ * @param {Object|string} options.provider - Provider object, or a provider name / createProvider() overrides (default: from the environment)
+ * @param {boolean} options.batchContext - Pass a summary of earlier batches to later batches
+ * @param {number} options.concurrency - Batches sent to the LLM at the same time
+ * @param {Object} options.promptVersions - { name: version } to pin, the rest use the active versions
+ * @param {string} options.textLayer - How PDF pages with a text layer are sent: hybrid, text or off (default: PDF_TEXT_LAYER or hybrid)
+ * @param {Object|boolean} options.preprocess - Page image preprocessing { enabled, maxDimension, format, quality }, false to send images unchanged
+ * @param {Object} options.usage - Usage counter to add to (see createUsage), e.g. to keep the usage of a failed run
+ * @param {AbortSignal} options.signal - Cancels the run
+ * @param {Function} options.onProgress - Called with { stage, message, ... }
+ * @param {boolean} options.keepPages - Keep the page images for the review UI (default false)
+ * @returns {Promise<Object>} { documents, usage, promptVersions, provider: { name, model }, warnings } - warnings lists
+ *   problems that did not stop the run, e.g. a PDF whose text layer could not be read and was extracted from its images only
+ * @throws {Error} On an unsupported document type, batch size, concurrency, file, text layer mode or preprocessing setting, a missing file or an unknown prompt version
+ */
+async function extract(files, options = {}) {
+  const {
+    type = 'AUTO',
+    batchSize = 5,
+    batchContext = false,
+    concurrency = BATCH_CONCURRENCY,
+    usage = createUsage(),
+    textLayer = TEXT_LAYER_MODE,
+    signal,
+    onProgress,
+    keepPages = false
+  } = options;
+
+  const documentType = normalizeDocumentType(type);
+  if (!documentType) {
+    throw new Error(`Unsupported document type: ${type}. Use AUTO, ${SUPPORTED_DOCUMENT_TYPES.join(', ')}.`);
+  }
+
+  if (!TEXT_LAYER_MODES.includes(textLayer)) {
+    throw new Error(`Unsupported text layer mode: ${textLayer}. Use ${TEXT_LAYER_MODES.join(', ')}.`);
+  }
+
+  // Anything else makes the batching loop run forever (negative) or concatenate strings
+  if (!isValidCount(batchSize)) {
+    throw new Error(`batchSize must be a whole number of at least 1 (got ${batchSize})`);
+  }
+  if (!isValidCount(concurrency)) {
+    throw new Error(`concurrency must be a whole number of at least 1 (got ${concurrency})`);
+  }
+
+  const filePaths = (Array.isArray(files) ? files : [files]).map(file => path.resolve(file));
+  if (filePaths.length === 0) {
+    throw new Error('No files to extract');
+  }
+  const missingFiles = filePaths.filter(filePath => !fs.existsSync(filePath));
+  if (missingFiles.length > 0) {
+    throw new Error(`File(s) not found: ${missingFiles.join(', ')}`);
+  }
+  const unsupportedFiles = filePaths.filter(filePath => !DOCUMENT_FILE_PATTERN.test(filePath));
+  if (unsupportedFiles.length > 0) {
+    throw new Error(`Unsupported file(s): ${unsupportedFiles.map(filePath => path.basename(filePath)).join(', ')}`);
+  }
+
+  const provider = typeof options.provider?.complete === 'function'
+    ? options.provider
+    : createProvider(typeof options.provider === 'string' ? { provider: options.provider } : options.provider);
+  const promptVersions = resolvePromptVersions(options.promptVersions || {});
+  const preprocess = resolvePreprocessOptions(options.preprocess);
+  const warnings = [];
+
+  const documents = await processDocuments(filePaths, batchSize, documentType, {
+    provider,
+    usage,
+    batchContext,
+    concurrency,
+    promptVersions,
+    textLayer,
+    preprocess,
+    signal,
+    onProgress,
+    keepPages,
+    warnings
+  });
+
+  // Registry versions of the prompts this run used
+  const usedVersions = Object.fromEntries(documents
+    .filter(doc => doc.promptVersion)
+    .map(doc => [doc.documentType, doc.promptVersion]));
+  if (documentType === 'AUTO') {
+    usedVersions.CLASSIFICATION = promptVersions.CLASSIFICATION;
+  }
+
+  return {
+    documents,
+    usage,
+    promptVersions: usedVersions,
+    provider: { name: provider.name, model: provider.model },
+    warnings
+  };
+}
+
+export {
+  TEMP_IMAGES_DIR,
+  BATCH_CONCURRENCY,
+  DOCUMENT_FILE_PATTERN,
+  TEXT_LAYER_MODES,
+  TEXT_LAYER_MODE,
+  SUPPORTED_DOCUMENT_TYPES,
+  normalizeDocumentType,
+  isValidCount,
+  sweepExpiredJobDirs,
+  createUsage,
+  processDocuments,
+  extract
+};
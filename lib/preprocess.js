@@ -0,0 +1,490 @@
+import fs from 'fs';
+import path from 'path';
+import sharp from 'sharp';
+
+// ============================================================================
+// IMAGE PREPROCESSING
+// Every page image is cleaned up before it is batched: EXIF orientation is
+// applied, skewed scans are straightened, blank margins are cropped, and the
+// page is downscaled and re-encoded. Phone photos and bad scans read better,
+// and requests get smaller. Turning pages by 90 or 180 degrees is opt-in: the
+// ink-profile checks behind it misread some upright pages (e.g. the bundled
+// commercial invoice samples) as upside down.
+//
+// Configuration (environment variables, overridable per extraction):
+//   IMAGE_PREPROCESSING  on (default) | off
+//   IMAGE_ORIENTATION    off (default) | on - turn sideways and upside-down pages
+//   IMAGE_MAX_DIMENSION  longest side in pixels after downscaling, default 2048
+//   IMAGE_FORMAT         jpeg (default) | png
+//   IMAGE_JPEG_QUALITY   1-100, default 85
+// ============================================================================
+
+const IMAGE_FORMATS = ['jpeg', 'png'];
+const ANALYSIS_SIZE = 1600; // Longest side of the copy used to find text lines
+const MAX_SKEW_DEGREES = 5; // Larger angles are left alone (usually deliberate, e.g. stamps or diagrams)
+const MIN_SKEW_DEGREES = 0.3; // Smaller angles are not worth a resample
+const MIN_TEXT_LINES = 5; // Fewer lines are not enough to tell up from down
+const ORIENTATION_RATIO = 1.5; // How clearly one orientation has to win before a page is turned
+const CROP_PADDING = 0.02; // Margin kept around the content, as a fraction of the page size
+const MIN_CROP_SAVING = 0.05; // Crops removing less of the page are skipped
+const WHITE = { r: 255, g: 255, b: 255 };
+
+/**
+ * Preprocessing settings from the environment, with per-extraction overrides
+ * @param {Object|boolean} overrides - { enabled, orientation, maxDimension, format, quality }, or false to turn preprocessing off
+ * @returns {Object} { enabled, orientation, maxDimension, format, quality }
+ * @throws {Error} On an unsupported format or size
+ */
+function resolvePreprocessOptions(overrides = {}) {
+  const settings = overrides === false ? { enabled: false } : (overrides || {});
+  const options = {
+    enabled: settings.enabled ?? (process.env.IMAGE_PREPROCESSING || 'on') !== 'off',
+    orientation: settings.orientation ?? (process.env.IMAGE_ORIENTATION || 'off') === 'on',
+    maxDimension: Number(settings.maxDimension || process.env.IMAGE_MAX_DIMENSION || 2048),
+    format: String(settings.format || process.env.IMAGE_FORMAT || 'jpeg').toLowerCase().replace(/^jpg$/, 'jpeg'),
+    quality: Number(settings.quality || process.env.IMAGE_JPEG_QUALITY || 85)
+  };
+
+  if (!IMAGE_FORMATS.includes(options.format)) {
+    throw new Error(`Unsupported image format: ${options.format}. Use ${IMAGE_FORMATS.join(', ')}.`);
+  }
+  if (!Number.isInteger(options.maxDimension) || options.maxDimension < 256) {
+    throw new Error(`Maximum image dimension must be a whole number of pixels, at least 256 (got ${options.maxDimension})`);
+  }
+  if (!(options.quality >= 1 && options.quality <= 100)) {
+    throw new Error(`JPEG quality must be between 1 and 100 (got ${options.quality})`);
+  }
+  return options;
+}
+
+// ============================================================================
+// PAGE ANALYSIS
+// Works on a small black-and-white copy of the page: each dark pixel is ink.
+// ============================================================================
+
+/**
+ * Otsu threshold of a greyscale image: the grey level that best separates ink from paper
+ * @param {Uint8Array} pixels - One byte per pixel
+ * @returns {number} Threshold (pixels below it are ink)
+ */
+function otsuThreshold(pixels) {
+  const histogram = new Array(256).fill(0);
+  pixels.forEach(value => { histogram[value]++; });
+
+  const total = pixels.length;
+  const sum = histogram.reduce((acc, count, value) => acc + count * value, 0);
+  let backgroundWeight = 0;
+  let backgroundSum = 0;
+  let best = { threshold: 128, variance: -1 };
+
+  for (let value = 0; value < 256; value++) {
+    backgroundWeight += histogram[value];
+    if (backgroundWeight === 0) continue;
+    const foregroundWeight = total - backgroundWeight;
+    if (foregroundWeight === 0) break;
+
+    backgroundSum += value * histogram[value];
+    const backgroundMean = backgroundSum / backgroundWeight;
+    const foregroundMean = (sum - backgroundSum) / foregroundWeight;
+    const variance = backgroundWeight * foregroundWeight * (backgroundMean - foregroundMean) ** 2;
+    if (variance > best.variance) {
+      best = { threshold: value + 1, variance };
+    }
+  }
+  return best.threshold;
+}
+
+/**
+ * Small greyscale copy of a page for analysis
+ * @param {Object} page - Raw image { data, info } (see toRaw)
+ * @returns {Promise<Object>} { pixels, width, height, scale } (scale: page pixels per analysis pixel)
+ */
+async function analysisCopy(page) {
+  const { data, info } = await sharp(page.data, { raw: page.info })
+    .resize({ width: ANALYSIS_SIZE, height: ANALYSIS_SIZE, fit: 'inside', withoutEnlargement: true })
+    .toColourspace('b-w')
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  return {
+    pixels: info.channels === 1 ? data : data.filter((value, index) => index % info.channels === 0),
+    width: info.width,
+    height: info.height,
+    scale: page.info.width / info.width
+  };
+}
+
+/**
+ * Find the sheet of paper in a photo taken on a darker surface
+ * @param {Object} page - Raw image { data, info } (see toRaw)
+ * @returns {Promise<Object|null>} { left, top, width, height } in page pixels, null for scans and pages without a dark surround
+ */
+async function findPaper(page) {
+  const { pixels, width, height, scale } = await analysisCopy(page);
+  const threshold = otsuThreshold(pixels);
+  const bright = pixels.map(value => (value >= threshold ? 1 : 0));
+
+  // Scans and close-ups have paper at the edges; photos on a desk have the desk
+  const frame = Math.max(2, Math.round(Math.min(width, height) * 0.02));
+  let edgePixels = 0;
+  let brightEdgePixels = 0;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (y < frame || y >= height - frame || x < frame || x >= width - frame) {
+        edgePixels++;
+        brightEdgePixels += bright[y * width + x];
+      }
+    }
+  }
+  if (brightEdgePixels / edgePixels > 0.5) {
+    return null;
+  }
+
+  // Paper rows are mostly bright; paper columns are mostly bright within those rows
+  const rows = Array.from({ length: height }, (_, y) => bright.subarray(y * width, (y + 1) * width).reduce((sum, value) => sum + value, 0));
+  const top = rows.findIndex(count => count >= width * 0.5);
+  const bottom = height - 1 - [...rows].reverse().findIndex(count => count >= width * 0.5);
+  if (top === -1) return null;
+
+  const columns = new Array(width).fill(0);
+  for (let y = top; y <= bottom; y++) {
+    for (let x = 0; x < width; x++) columns[x] += bright[y * width + x];
+  }
+  const rowSpan = bottom - top + 1;
+  const left = columns.findIndex(count => count >= rowSpan * 0.5);
+  const right = width - 1 - [...columns].reverse().findIndex(count => count >= rowSpan * 0.5);
+  if (left === -1 || (right - left + 1) * rowSpan < pixels.length * 0.2) {
+    return null;
+  }
+
+  return {
+    left: Math.floor(left * scale),
+    top: Math.floor(top * scale),
+    width: Math.min(page.info.width - Math.floor(left * scale), Math.ceil((right - left + 1) * scale)),
+    height: Math.min(page.info.height - Math.floor(top * scale), Math.ceil(rowSpan * scale))
+  };
+}
+
+/**
+ * Find the ink of a page
+ * @param {Object} page - Raw image { data, info } (see toRaw)
+ * @returns {Promise<Object|null>} { xs, ys, count, width, height, scale } in analysis pixels
+ *   (scale: page pixels per analysis pixel), null when the page has too little or too much ink to analyse
+ */
+async function findInk(page) {
+  const { pixels, width, height, scale } = await analysisCopy(page);
+  const threshold = otsuThreshold(pixels);
+  const xs = [];
+  const ys = [];
+  for (let index = 0; index < pixels.length; index++) {
+    if (pixels[index] < threshold) {
+      xs.push(index % width);
+      ys.push(Math.floor(index / width));
+    }
+  }
+
+  // Blank pages and photos that are mostly dark background have no text lines to go by
+  const share = xs.length / pixels.length;
+  if (share < 0.002 || share > 0.4) {
+    return null;
+  }
+
+  return {
+    xs: Int32Array.from(xs),
+    ys: Int32Array.from(ys),
+    count: xs.length,
+    width,
+    height,
+    scale
+  };
+}
+
+/**
+ * Ink per row when the page is turned by an angle
+ * @param {Object} ink - Output of findInk()
+ * @param {number} degrees - Angle the rows are tilted by (clockwise, y pointing down)
+ * @returns {Float64Array} Ink count per row
+ */
+function rowProfile(ink, degrees) {
+  const radians = degrees * Math.PI / 180;
+  const sin = Math.sin(radians);
+  const cos = Math.cos(radians);
+  const offset = Math.ceil(ink.width * Math.abs(sin)) + 1;
+  const rows = new Float64Array(ink.height + 2 * offset + 1);
+
+  for (let i = 0; i < ink.count; i++) {
+    rows[Math.round(ink.ys[i] * cos - ink.xs[i] * sin) + offset]++;
+  }
+  return rows;
+}
+
+/**
+ * How strongly ink is bunched into lines: 1 for an even spread, higher for text lines with gaps between them
+ * @param {Float64Array} profile - Ink per row or column
+ * @param {number} length - Rows or columns the page has
+ * @param {number} count - Ink pixels
+ * @returns {number} Score
+ */
+function lineScore(profile, length, count) {
+  const squares = profile.reduce((sum, value) => sum + value * value, 0);
+  return squares * length / (count * count);
+}
+
+/**
+ * Check whether the text runs top to bottom, i.e. the page is turned by 90 degrees
+ * @param {Object} ink - Output of findInk()
+ * @returns {boolean} True if the ink lines up in columns clearly better than in rows
+ */
+function isSideways(ink) {
+  const columns = new Float64Array(ink.width);
+  for (let i = 0; i < ink.count; i++) {
+    columns[ink.xs[i]]++;
+  }
+
+  const rows = lineScore(rowProfile(ink, 0), ink.height, ink.count);
+  return lineScore(columns, ink.width, ink.count) > rows * ORIENTATION_RATIO;
+}
+
+/**
+ * Check whether the text is upside down
+ * Latin script has more ink above the x-height band (capitals, digits, b d f h k l t)
+ * than below the baseline (g j p q y). Upside down, that is reversed.
+ * @param {Object} ink - Output of findInk() of a page with horizontal text
+ * @returns {boolean} True if the page clearly reads upside down
+ */
+function isUpsideDown(ink) {
+  const rows = rowProfile(ink, 0);
+  const minInk = Math.max(2, ink.width * 0.002);
+  let above = 0;
+  let below = 0;
+  let lines = 0;
+
+  for (let start = 0; start < rows.length; start++) {
+    if (rows[start] < minInk) continue;
+    let end = start;
+    while (end + 1 < rows.length && rows[end + 1] >= minInk) end++;
+
+    // The core (x-height band) is where the line has at least half of its densest row
+    const line = rows.slice(start, end + 1);
+    const peak = Math.max(...line);
+    const coreStart = line.findIndex(value => value >= peak / 2);
+    const coreEnd = line.length - 1 - [...line].reverse().findIndex(value => value >= peak / 2);
+    if (line.length >= 4) {
+      above += line.slice(0, coreStart).reduce((sum, value) => sum + value, 0);
+      below += line.slice(coreEnd + 1).reduce((sum, value) => sum + value, 0);
+      lines++;
+    }
+    start = end;
+  }
+
+  return lines >= MIN_TEXT_LINES && below > above * ORIENTATION_RATIO;
+}
+
+/**
+ * Skew angle of the text lines
+ * The angle at which the rows are most sharply split into lines and gaps, searched
+ * coarsely and then refined.
+ * @param {Object} ink - Output of findInk() of an upright page
+ * @returns {number} Degrees the lines slope down to the right (negative: up), 0 if none found
+ */
+function detectSkew(ink) {
+  const score = degrees => lineScore(rowProfile(ink, degrees), ink.height, ink.count);
+  const search = (from, to, step, best) => {
+    for (let degrees = from; degrees <= to + 1e-9; degrees += step) {
+      const value = score(degrees);
+      if (value > best.value) best = { degrees, value };
+    }
+    return best;
+  };
+
+  const coarse = search(-MAX_SKEW_DEGREES, MAX_SKEW_DEGREES, 0.5, { degrees: 0, value: score(0) });
+  const fine = search(coarse.degrees - 0.5, coarse.degrees + 0.5, 0.1, coarse);
+  return Math.round(fine.degrees * 10) / 10;
+}
+
+/**
+ * Box around the page content, with a margin
+ * Rows and columns with a few stray pixels (dust, punch holes) do not count as content.
+ * @param {Object} ink - Output of findInk()
+ * @returns {Object|null} { left, top, width, height } in analysis pixels, null when cropping is not worth it
+ */
+function contentBox(ink) {
+  const rows = new Float64Array(ink.height);
+  const columns = new Float64Array(ink.width);
+  for (let i = 0; i < ink.count; i++) {
+    rows[ink.ys[i]]++;
+    columns[ink.xs[i]]++;
+  }
+
+  const span = (profile, minInk) => {
+    const first = profile.findIndex(value => value >= minInk);
+    const last = profile.length - 1 - [...profile].reverse().findIndex(value => value >= minInk);
+    return first === -1 ? null : [first, last];
+  };
+  const vertical = span(rows, Math.max(2, ink.width * 0.002));
+  const horizontal = span(columns, Math.max(2, ink.height * 0.002));
+  if (!vertical || !horizontal) return null;
+
+  const padX = Math.round(ink.width * CROP_PADDING);
+  const padY = Math.round(ink.height * CROP_PADDING);
+  const left = Math.max(0, horizontal[0] - padX);
+  const top = Math.max(0, vertical[0] - padY);
+  const box = {
+    left,
+    top,
+    width: Math.min(ink.width, horizontal[1] + padX + 1) - left,
+    height: Math.min(ink.height, vertical[1] + padY + 1) - top
+  };
+
+  const saving = 1 - (box.width * box.height) / (ink.width * ink.height);
+  return saving >= MIN_CROP_SAVING ? box : null;
+}
+
+// ============================================================================
+// PREPROCESSING
+// ============================================================================
+
+/**
+ * Decode an image to raw RGB pixels, with the EXIF orientation applied
+ * @param {string|Buffer} input - Image file path or encoded image
+ * @returns {Promise<Object>} { data, info: { width, height, channels } }
+ */
+async function toRaw(input) {
+  return sharp(input, { failOn: 'none' })
+    .rotate()
+    .flatten({ background: WHITE })
+    .toColourspace('srgb')
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+}
+
+/**
+ * Apply a sharp operation to a raw page
+ * @param {Object} page - Raw image { data, info }
+ * @param {Function} operation - (sharp instance) => sharp instance
+ * @returns {Promise<Object>} Raw image { data, info }
+ */
+async function transformRaw(page, operation) {
+  return operation(sharp(page.data, { raw: page.info }))
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+}
+
+/**
+ * Clean up one page image
+ * EXIF orientation, crop to the sheet (photos), 90 degree rotation, deskew, 180 degree
+ * rotation, margin crop, downscale and re-encode, in that order. The two rotations only
+ * run with options.orientation. Orientation, skew and margins are only changed when the
+ * page has enough text to be sure; otherwise the page is just downscaled and re-encoded.
+ * @param {string} imagePath - Page image (an upload or a converted PDF page)
+ * @param {string} outPath - Output path without extension (the extension follows the format)
+ * @param {Object} options - Output of resolvePreprocessOptions()
+ * @returns {Promise<Object>} { imagePath, rotation, skew, cropped, width, height, bytes, originalBytes }
+ */
+async function preprocessImage(imagePath, outPath, options) {
+  let page = await toRaw(imagePath);
+  let rotation = 0;
+  let skew = 0;
+  let cropped = false;
+
+  // Photos: the sheet first, so the surface around it is not taken for ink
+  const paper = await findPaper(page);
+  if (paper) {
+    page = await transformRaw(page, image => image.extract(paper));
+    cropped = true;
+  }
+
+  let ink = await findInk(page);
+  if (options.orientation && ink && isSideways(ink)) {
+    page = await transformRaw(page, image => image.rotate(90));
+    rotation = 90;
+    ink = await findInk(page);
+  }
+
+  // Straighten before checking for upside down text, which needs level lines
+  if (ink) {
+    skew = detectSkew(ink);
+    if (Math.abs(skew) >= MIN_SKEW_DEGREES && Math.abs(skew) < MAX_SKEW_DEGREES) {
+      // sharp turns clockwise, so lines sloping down to the right are turned back by -skew
+      page = await transformRaw(page, image => image.rotate(-skew, { background: WHITE }));
+      ink = await findInk(page);
+    } else {
+      skew = 0;
+    }
+  }
+
+  if (options.orientation && ink && isUpsideDown(ink)) {
+    page = await transformRaw(page, image => image.rotate(180));
+    rotation = (rotation + 180) % 360;
+    ink = await findInk(page);
+  }
+
+  const box = ink ? contentBox(ink) : null;
+  if (box) {
+    const region = {
+      left: Math.floor(box.left * ink.scale),
+      top: Math.floor(box.top * ink.scale),
+      width: Math.min(page.info.width - Math.floor(box.left * ink.scale), Math.ceil(box.width * ink.scale)),
+      height: Math.min(page.info.height - Math.floor(box.top * ink.scale), Math.ceil(box.height * ink.scale))
+    };
+    page = await transformRaw(page, image => image.extract(region));
+    cropped = true;
+  }
+
+  const output = sharp(page.data, { raw: page.info })
+    .resize({ width: options.maxDimension, height: options.maxDimension, fit: 'inside', withoutEnlargement: true });
+  const encoded = options.format === 'png'
+    ? output.png({ compressionLevel: 9 })
+    : output.jpeg({ quality: options.quality, mozjpeg: true });
+  const { data, info } = await encoded.toBuffer({ resolveWithObject: true });
+
+  const outputPath = `${outPath}.${options.format === 'png' ? 'png' : 'jpg'}`;
+  fs.writeFileSync(outputPath, data);
+
+  return {
+    imagePath: outputPath,
+    rotation,
+    skew,
+    cropped,
+    width: info.width,
+    height: info.height,
+    bytes: data.length,
+    originalBytes: fs.statSync(imagePath).size
+  };
+}
+
+/**
+ * Preprocess the pages of one file
+ * A page that cannot be processed (e.g., a corrupt image) is kept as it is.
+ * @param {string[]} imagePaths - Page images
+ * @param {string} outDir - Job working directory (see createJobTempDir in lib/pipeline.js)
+ * @param {string} prefix - File name prefix, unique within the job (e.g., "file1")
+ * @param {Object} options - Output of resolvePreprocessOptions()
+ * @returns {Promise<string[]>} Page images to send, in the same order
+ */
+async function preprocessImages(imagePaths, outDir, prefix, options) {
+  if (!options.enabled) {
+    return imagePaths;
+  }
+
+  const results = [];
+  for (const [index, imagePath] of imagePaths.entries()) {
+    try {
+      const result = await preprocessImage(imagePath, path.join(outDir, `${prefix}-prepared-${index + 1}`), options);
+      const changes = [
+        result.rotation ? `rotated ${result.rotation}°` : null,
+        result.skew ? `deskewed ${result.skew}°` : null,
+        result.cropped ? 'cropped' : null
+      ].filter(Boolean);
+      console.log(`  🖼️  ${path.basename(imagePath)}: ${changes.length > 0 ? `${changes.join(', ')}, ` : ''}` +
+        `${result.width}x${result.height} ${options.format}, ${(result.originalBytes / 1024).toFixed(0)} KB -> ${(result.bytes / 1024).toFixed(0)} KB`);
+      results.push(result.imagePath);
+    } catch (error) {
+      console.warn(`⚠️  Could not preprocess ${path.basename(imagePath)}, sending it unchanged: ${error.message}`);
+      results.push(imagePath);
+    }
+  }
+  return results;
+}
+
+export { IMAGE_FORMATS, resolvePreprocessOptions, preprocessImage, preprocessImages };
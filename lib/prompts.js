@@ -0,0 +1,267 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { CLASSIFICATION_PROMPT } from '../constants.js';
+import { documentTypeNames, getDocumentType } from './document-types/index.js';
+
+// ============================================================================
+// PROMPT REGISTRY
+// Versioned prompts stored as files in PROMPTS_DIR (default ./prompts): one
+// JSON file per version in a folder per prompt (prompts/HBL/3.json), and
+// active.json naming the version each prompt uses. Versions are never changed
+// once created; editing a prompt means creating and activating a new version.
+// The built-in prompts (constants.js, via the document type definitions) are
+// only the seed: they become version 1 the first time a prompt is used. When
+// the seed changes, it is added as a new version, which is not activated.
+// ============================================================================
+
+const DEFAULT_PROMPTS_DIR = './prompts';
+const BUILT_IN_DESCRIPTION = 'Built-in prompt';
+// Where the classification prompt lists the document types (see classificationList in lib/document-types/)
+const DOCUMENT_TYPES_PLACEHOLDER = '{{DOCUMENT_TYPES}}';
+const checkedSeeds = new Set(); // Prompt folders compared with the seed in this process (see syncSeed)
+
+// Built-in text of each prompt (version 1): one extraction prompt per document type, plus the classifier
+const SEED_PROMPTS = {
+  ...Object.fromEntries(documentTypeNames().map(type => [type, getDocumentType(type).prompt])),
+  CLASSIFICATION: CLASSIFICATION_PROMPT
+};
+
+/**
+ * Directory holding the prompt versions
+ * @returns {string} Absolute path
+ */
+function promptsDir() {
+  return path.resolve(process.env.PROMPTS_DIR || DEFAULT_PROMPTS_DIR);
+}
+
+/**
+ * Prompts the registry knows (extraction prompts per document type, plus CLASSIFICATION)
+ * @returns {string[]} Prompt names
+ */
+function promptNames() {
+  return Object.keys(SEED_PROMPTS);
+}
+
+/**
+ * Check a prompt name
+ * @param {string} name - Prompt name
+ * @returns {string} Upper-case name
+ * @throws {Error} If the registry has no such prompt
+ */
+function checkName(name) {
+  const upper = String(name || '').toUpperCase();
+  if (!SEED_PROMPTS[upper]) {
+    throw new Error(`Unknown prompt: ${name}. Use ${promptNames().join(', ')}.`);
+  }
+  return upper;
+}
+
+/**
+ * Active version per prompt
+ * @returns {Object} { name: version }
+ */
+function readActive() {
+  const file = path.join(promptsDir(), 'active.json');
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+}
+
+/**
+ * Store the active version per prompt
+ * @param {Object} active - { name: version }
+ */
+function writeActive(active) {
+  fs.mkdirSync(promptsDir(), { recursive: true });
+  fs.writeFileSync(path.join(promptsDir(), 'active.json'), JSON.stringify(active, null, 2));
+}
+
+/**
+ * Write a new version file
+ * @param {Object} record - { name, version, ... }
+ * @returns {Object} Record
+ */
+function writeVersion(record) {
+  const dir = path.join(promptsDir(), record.name);
+  fs.mkdirSync(dir, { recursive: true });
+  // wx: never overwrite an existing version
+  fs.writeFileSync(path.join(dir, `${record.version}.json`), JSON.stringify(record, null, 2), { flag: 'wx' });
+  return record;
+}
+
+/**
+ * Hash of a prompt text
+ * @param {string} text - Prompt text
+ * @returns {string} sha256, hex
+ */
+function sha256(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+/**
+ * Build a version record
+ * @param {string} name - Prompt name
+ * @param {number} version - Version number
+ * @param {Object} fields - { text, description, author, basedOn }
+ * @returns {Object} { name, version, description, author, basedOn, createdAt, sha256, text }
+ */
+function buildVersion(name, version, { text, description = null, author = null, basedOn = null }) {
+  return {
+    name,
+    version,
+    description,
+    author,
+    basedOn,
+    createdAt: new Date().toISOString(),
+    sha256: sha256(text),
+    text
+  };
+}
+
+/**
+ * Version numbers stored for a prompt, seeding version 1 from constants.js on first use
+ * @param {string} name - Prompt name (checked)
+ * @returns {number[]} Versions, ascending
+ */
+function versionNumbers(name) {
+  const dir = path.join(promptsDir(), name);
+  const versions = fs.existsSync(dir)
+    ? fs.readdirSync(dir).map(file => file.match(/^(\d+)\.json$/)?.[1]).filter(Boolean).map(Number).sort((a, b) => a - b)
+    : [];
+
+  if (versions.length === 0) {
+    writeVersion(buildVersion(name, 1, { text: SEED_PROMPTS[name], description: BUILT_IN_DESCRIPTION }));
+    console.log(`📝 Seeded prompt ${name} version 1`);
+    checkedSeeds.add(dir);
+    return [1];
+  }
+  return syncSeed(name, dir, versions);
+}
+
+/**
+ * Add the seed as a new version when constants.js changed since the last built-in version
+ * The new version is not activated: the active version stays until someone activates it.
+ * Checked once per prompt folder and process.
+ * @param {string} name - Prompt name (checked)
+ * @param {string} dir - Folder of the prompt's versions
+ * @param {number[]} versions - Stored versions, ascending
+ * @returns {number[]} Versions, ascending, with the added one
+ */
+function syncSeed(name, dir, versions) {
+  if (checkedSeeds.has(dir)) return versions;
+  checkedSeeds.add(dir);
+
+  const builtIn = versions
+    .map(version => JSON.parse(fs.readFileSync(path.join(dir, `${version}.json`), 'utf8')))
+    .filter(record => record.description === BUILT_IN_DESCRIPTION);
+  if (builtIn[builtIn.length - 1]?.sha256 === sha256(SEED_PROMPTS[name])) {
+    return versions;
+  }
+
+  const version = versions[versions.length - 1] + 1;
+  writeVersion(buildVersion(name, version, { text: SEED_PROMPTS[name], description: BUILT_IN_DESCRIPTION }));
+  console.warn(`⚠️  The built-in ${name} prompt changed: added it as version ${version}, activate it to use it`);
+  return [...versions, version];
+}
+
+/**
+ * Load one prompt version
+ * @param {string} name - Prompt name (e.g., HBL)
+ * @param {number} [version] - Version number (default: the active version)
+ * @returns {Object|null} { name, version, description, author, basedOn, createdAt, sha256, text, active }, null if the version does not exist
+ * @throws {Error} If the registry has no such prompt
+ */
+function getPrompt(name, version) {
+  const promptName = checkName(name);
+  const versions = versionNumbers(promptName);
+  const activeVersion = readActive()[promptName] ?? versions[0];
+  const wanted = version === undefined || version === null ? activeVersion : Number(version);
+
+  const file = path.join(promptsDir(), promptName, `${wanted}.json`);
+  if (!Number.isInteger(wanted) || !fs.existsSync(file)) {
+    return null;
+  }
+  return { ...JSON.parse(fs.readFileSync(file, 'utf8')), active: wanted === activeVersion };
+}
+
+/**
+ * List every prompt with its versions (without the text)
+ * @returns {Object[]} [{ name, activeVersion, versions: [{ version, description, author, basedOn, createdAt, sha256, active }] }]
+ */
+function listPrompts() {
+  return promptNames().map(name => {
+    const versions = versionNumbers(name).map(version => {
+      const { text, ...summary } = getPrompt(name, version);
+      return summary;
+    });
+    return { name, activeVersion: versions.find(version => version.active)?.version ?? null, versions };
+  });
+}
+
+/**
+ * Create a new version of a prompt
+ * @param {string} name - Prompt name
+ * @param {Object} fields - { text, description, author, basedOn, activate }
+ * @returns {Object} New version (see getPrompt)
+ * @throws {Error} If the prompt is unknown, the text is empty or a CLASSIFICATION text lacks the document types placeholder
+ */
+function createPromptVersion(name, { text, description, author, basedOn, activate = false } = {}) {
+  const promptName = checkName(name);
+  if (typeof text !== 'string' || text.trim() === '') {
+    throw new Error('text must be the prompt text');
+  }
+  // Without it the classifier would only know the types written into the text, not the ones defined since
+  if (promptName === 'CLASSIFICATION' && !text.includes(DOCUMENT_TYPES_PLACEHOLDER)) {
+    throw new Error(`A CLASSIFICATION prompt must contain ${DOCUMENT_TYPES_PLACEHOLDER} where the document types are listed`);
+  }
+
+  const versions = versionNumbers(promptName);
+  const record = writeVersion(buildVersion(promptName, versions[versions.length - 1] + 1, {
+    text,
+    description,
+    author,
+    basedOn: basedOn === undefined || basedOn === null ? null : Number(basedOn)
+  }));
+  console.log(`📝 Created prompt ${promptName} version ${record.version}`);
+
+  if (activate) {
+    return activatePromptVersion(promptName, record.version);
+  }
+  return getPrompt(promptName, record.version);
+}
+
+/**
+ * Make a version the one used by new extractions
+ * @param {string} name - Prompt name
+ * @param {number} version - Version number
+ * @returns {Object|null} Activated version, null if it does not exist
+ * @throws {Error} If the prompt is unknown
+ */
+function activatePromptVersion(name, version) {
+  const promptName = checkName(name);
+  if (!getPrompt(promptName, version)) {
+    return null;
+  }
+
+  writeActive({ ...readActive(), [promptName]: Number(version) });
+  console.log(`📝 Activated prompt ${promptName} version ${version}`);
+  return getPrompt(promptName, version);
+}
+
+/**
+ * Version of every prompt for one run: the requested ones, the active version for the rest
+ * Pinning the versions at the start keeps a run on one version while another one is activated.
+ * @param {Object} requested - { name: version }
+ * @returns {Object} { name: version } for every prompt
+ * @throws {Error} If a requested prompt or version does not exist
+ */
+function resolvePromptVersions(requested = {}) {
+  const pinned = Object.fromEntries(Object.entries(requested).map(([name, version]) => [checkName(name), Number(version)]));
+  const missing = Object.keys(pinned).find(name => !getPrompt(name, pinned[name]));
+  if (missing) {
+    throw new Error(`Prompt ${missing} has no version ${pinned[missing]}`);
+  }
+
+  return Object.fromEntries(promptNames().map(name => [name, pinned[name] ?? getPrompt(name).version]));
+}
+
+export { DOCUMENT_TYPES_PLACEHOLDER, promptNames, getPrompt, listPrompts, createPromptVersion, activatePromptVersion, resolvePromptVersions };
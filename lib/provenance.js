@@ -0,0 +1,98 @@
+import { containerKey } from './merge.js';
+import { isEmpty, valueAtPath } from './values.js';
+
+// ============================================================================
+// FIELD PROVENANCE
+// Every extraction batch returns a "provenance" map next to the data (see
+// PROVENANCE_PROMPT): JSON path -> { page_index, bbox } relative to the batch.
+// These helpers translate it to upload-wide pages and to the paths of the
+// merged document, so the UI can show where each value was printed.
+// ============================================================================
+
+/**
+ * Normalize a path as written by the model ("/parties/shipper/name", "line_items.0.description")
+ * @param {string} fieldPath - Path from the provenance map
+ * @returns {string} Dotted path with [n] array indexes
+ */
+function normalizePath(fieldPath) {
+  return String(fieldPath)
+    .trim()
+    .replace(/^\/+/, '')
+    .replace(/\//g, '.')
+    .replace(/\.(\d+)(?=\.|$)/g, '[$1]');
+}
+
+/**
+ * Check a bounding box: [x_min, y_min, x_max, y_max] as fractions of the page
+ * @param {*} bbox - Box from the model
+ * @returns {number[]|null} Box, null if missing or not a valid fraction box
+ */
+function normalizeBbox(bbox) {
+  if (!Array.isArray(bbox) || bbox.length !== 4) return null;
+  const box = bbox.map(Number);
+  const [x0, y0, x1, y1] = box;
+  const valid = box.every(n => Number.isFinite(n) && n >= 0 && n <= 1) && x0 < x1 && y0 < y1;
+  return valid ? box : null;
+}
+
+/**
+ * Take the provenance map off a batch result
+ * @param {Object} data - Parsed batch output (mutated: provenance is removed)
+ * @returns {Object} Provenance map as returned by the model ({} if none)
+ */
+function takeProvenance(data) {
+  if (!data || typeof data !== 'object') return {};
+  const provenance = data.provenance;
+  delete data.provenance;
+  return provenance && typeof provenance === 'object' && !Array.isArray(provenance) ? provenance : {};
+}
+
+/**
+ * Translate batch provenance to the merged document
+ * - page_index (1-based within the batch) becomes the upload-wide page
+ * - line_items[i] is shifted by the line items of earlier batches (they are concatenated)
+ * - containers[i] is matched to the merged container with the same number
+ * - other fields keep the first batch that extracted them, like the merge does
+ * @param {Object[]} batches - Successful batches in order: [{ data, provenance, pages: [{ pageIndex, file, page }] }]
+ * @param {Object} mergedData - Output of mergeExtractedData()
+ * @returns {Object} Path -> { pageIndex, file, page, bbox }
+ */
+function resolveProvenance(batches, mergedData) {
+  const resolved = {};
+  let lineItemOffset = 0;
+
+  batches.forEach(({ data, provenance, pages }) => {
+    Object.entries(provenance || {}).forEach(([rawPath, location]) => {
+      const pageRef = pages[Number(location?.page_index) - 1];
+      if (!pageRef) return;
+
+      let fieldPath = normalizePath(rawPath);
+      const arrayMatch = fieldPath.match(/^(line_items|containers)\[(\d+)\](.*)$/);
+
+      if (arrayMatch) {
+        const [, collection, index, rest] = arrayMatch;
+        if (collection === 'line_items') {
+          fieldPath = `line_items[${Number(index) + lineItemOffset}]${rest}`;
+        } else {
+          const key = containerKey(data.containers?.[index]?.container_number);
+          const mergedIndex = key ? (mergedData.containers || []).findIndex(c => containerKey(c.container_number) === key) : -1;
+          if (mergedIndex < 0) return;
+          fieldPath = `containers[${mergedIndex}]${rest}`;
+        }
+      } else {
+        // Only where this batch actually extracted a value that made it into the merged data
+        if (isEmpty(valueAtPath(data, fieldPath)) || isEmpty(valueAtPath(mergedData, fieldPath))) return;
+      }
+
+      if (!resolved[fieldPath]) {
+        resolved[fieldPath] = { ...pageRef, bbox: normalizeBbox(location.bbox) };
+      }
+    });
+
+    lineItemOffset += (data.line_items || []).length;
+  });
+
+  return resolved;
+}
+
+export { takeProvenance, resolveProvenance };
@@ -0,0 +1,223 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import OpenAI, { AzureOpenAI } from 'openai';
+import { withRetries } from './concurrency.js';
+
+// ============================================================================
+// LLM PROVIDERS
+// Every provider exposes the same shape:
+//   { name, model, maxTokens, imageDetail, complete({ messages, maxTokens, responseFormat, signal }) }
+// complete() resolves to { content, usage } where usage is
+// { prompt_tokens, completion_tokens, total_tokens } (null when unknown).
+//
+// Configuration (environment variables, overridable per call to createProvider):
+//   LLM_PROVIDER       openai (default) | azure | local | mock
+//   LLM_MODEL          model name (Azure: deployment name), default gpt-4o-mini
+//   LLM_MAX_TOKENS     max completion tokens per request, default 4000
+//   LLM_IMAGE_DETAIL   auto (default) | low | high
+//   LLM_MAX_RETRIES    retries for 429/5xx/connection errors (backoff + jitter, honours Retry-After), default 4
+//   LLM_RECORD_DIR     when set, every response is recorded here for the mock provider
+//   OPENAI_API_KEY
+//   AZURE_OPENAI_ENDPOINT, AZURE_OPENAI_API_KEY, AZURE_OPENAI_API_VERSION
+//   LOCAL_LLM_BASE_URL, LOCAL_LLM_API_KEY   any OpenAI-compatible endpoint (Ollama, vLLM, LM Studio)
+//   MOCK_RESPONSES_DIR recorded responses replayed by the mock provider
+// ============================================================================
+
+const DEFAULT_MODEL = 'gpt-4o-mini';
+const DEFAULT_MAX_TOKENS = 4000;
+const DEFAULT_IMAGE_DETAIL = 'auto';
+const DEFAULT_MAX_RETRIES = 4;
+const DEFAULT_AZURE_API_VERSION = '2024-10-21';
+const DEFAULT_RESPONSES_DIR = './recorded-responses';
+
+/**
+ * Read provider settings from the environment, with explicit overrides
+ * @param {Object} overrides - Any of { provider, model, maxTokens, imageDetail, recordDir, responsesDir, ... }
+ * @returns {Object} Resolved configuration
+ */
+function resolveProviderConfig(overrides = {}) {
+  const env = process.env;
+  return {
+    provider: (overrides.provider || env.LLM_PROVIDER || 'openai').toLowerCase(),
+    model: overrides.model || env.LLM_MODEL || DEFAULT_MODEL,
+    maxTokens: Number(overrides.maxTokens || env.LLM_MAX_TOKENS) || DEFAULT_MAX_TOKENS,
+    imageDetail: overrides.imageDetail || env.LLM_IMAGE_DETAIL || DEFAULT_IMAGE_DETAIL,
+    maxRetries: Number(overrides.maxRetries ?? env.LLM_MAX_RETRIES ?? DEFAULT_MAX_RETRIES),
+    recordDir: overrides.recordDir ?? env.LLM_RECORD_DIR ?? null,
+    responsesDir: overrides.responsesDir || env.MOCK_RESPONSES_DIR || DEFAULT_RESPONSES_DIR,
+    apiKey: overrides.apiKey,
+    baseURL: overrides.baseURL,
+    endpoint: overrides.endpoint,
+    apiVersion: overrides.apiVersion
+  };
+}
+
+/**
+ * Stable key for a request, used to record and replay responses
+ * Images are part of the key, so the same pages and prompt always map to the same recording.
+ * @param {Object[]} messages - Chat messages
+ * @returns {string} sha256 hex digest
+ */
+function requestKey(messages) {
+  return crypto.createHash('sha256').update(JSON.stringify(messages)).digest('hex');
+}
+
+/**
+ * Text parts of a request, kept next to recordings so they can be identified by eye
+ * @param {Object[]} messages - Chat messages
+ * @returns {string[]} First 200 characters of each text part
+ */
+function describeRequest(messages) {
+  return messages.flatMap(message => {
+    const parts = Array.isArray(message.content) ? message.content : [{ type: 'text', text: message.content }];
+    return parts
+      .filter(part => part.type === 'text')
+      .map(part => `${message.role}: ${String(part.text).trim().slice(0, 200)}`);
+  });
+}
+
+/**
+ * Provider backed by an OpenAI SDK client (OpenAI, Azure OpenAI or an OpenAI-compatible server)
+ * @param {string} name - Provider name for logs
+ * @param {OpenAI} client - SDK client
+ * @param {Object} config - Resolved configuration
+ * @returns {Object} Provider
+ */
+function createChatCompletionsProvider(name, client, config) {
+  return {
+    name,
+    model: config.model,
+    maxTokens: config.maxTokens,
+    imageDetail: config.imageDetail,
+
+    async complete({ messages, maxTokens = config.maxTokens, responseFormat = { type: 'json_object' }, signal }) {
+      const response = await client.chat.completions.create({
+        model: config.model,
+        messages,
+        response_format: responseFormat,
+        max_tokens: maxTokens
+      }, { signal });
+
+      return {
+        content: response.choices[0].message.content,
+        usage: response.usage || null
+      };
+    }
+  };
+}
+
+/**
+ * Deterministic provider that replays responses recorded with LLM_RECORD_DIR
+ * @param {Object} config - Resolved configuration (responsesDir)
+ * @returns {Object} Provider
+ */
+function createMockProvider(config) {
+  const responsesDir = path.resolve(config.responsesDir);
+
+  return {
+    name: 'mock',
+    model: config.model,
+    maxTokens: config.maxTokens,
+    imageDetail: config.imageDetail,
+
+    async complete({ messages, signal }) {
+      signal?.throwIfAborted();
+      const key = requestKey(messages);
+      const recordingPath = path.join(responsesDir, `${key}.json`);
+
+      if (!fs.existsSync(recordingPath)) {
+        throw new Error(`Mock provider: no recorded response for request ${key} in ${responsesDir}. ` +
+          'Record one by running with LLM_RECORD_DIR set against a real provider.');
+      }
+
+      const recording = JSON.parse(fs.readFileSync(recordingPath, 'utf8'));
+      return {
+        content: recording.response.content,
+        usage: recording.response.usage || null
+      };
+    }
+  };
+}
+
+/**
+ * Wrap a provider so every response is written to recordDir for later replay
+ * @param {Object} provider - Provider to wrap
+ * @param {string} recordDir - Directory for recordings
+ * @returns {Object} Provider with the same shape
+ */
+function withRecording(provider, recordDir) {
+  const dir = path.resolve(recordDir);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  return {
+    ...provider,
+    async complete(request) {
+      const response = await provider.complete(request);
+      const key = requestKey(request.messages);
+
+      fs.writeFileSync(path.join(dir, `${key}.json`), JSON.stringify({
+        key,
+        provider: provider.name,
+        model: provider.model,
+        recordedAt: new Date().toISOString(),
+        request: describeRequest(request.messages),
+        response
+      }, null, 2));
+
+      return response;
+    }
+  };
+}
+
+/**
+ * Create the configured LLM provider
+ * @param {Object} overrides - Configuration overrides (see resolveProviderConfig)
+ * @returns {Object} Provider
+ */
+function createProvider(overrides = {}) {
+  const config = resolveProviderConfig(overrides);
+  let provider;
+
+  switch (config.provider) {
+    case 'openai':
+      provider = createChatCompletionsProvider('openai', new OpenAI({
+        apiKey: config.apiKey || process.env.OPENAI_API_KEY,
+        maxRetries: 0, // Retries are handled by withRetries()
+        ...(config.baseURL ? { baseURL: config.baseURL } : {})
+      }), config);
+      break;
+    case 'azure':
+      // On Azure the model name is the deployment name
+      provider = createChatCompletionsProvider('azure', new AzureOpenAI({
+        apiKey: config.apiKey || process.env.AZURE_OPENAI_API_KEY,
+        endpoint: config.endpoint || process.env.AZURE_OPENAI_ENDPOINT,
+        apiVersion: config.apiVersion || process.env.AZURE_OPENAI_API_VERSION || DEFAULT_AZURE_API_VERSION,
+        deployment: config.model,
+        maxRetries: 0
+      }), config);
+      break;
+    case 'local':
+      provider = createChatCompletionsProvider('local', new OpenAI({
+        baseURL: config.baseURL || process.env.LOCAL_LLM_BASE_URL || 'http://localhost:11434/v1',
+        apiKey: config.apiKey || process.env.LOCAL_LLM_API_KEY || 'local', // Most local servers ignore the key
+        maxRetries: 0
+      }), config);
+      break;
+    case 'mock':
+      // Replays are deterministic; nothing to retry
+      return createMockProvider(config);
+    default:
+      throw new Error(`Unknown LLM provider: ${config.provider}. Use openai, azure, local or mock.`);
+  }
+
+  provider = withRetries(provider, { maxRetries: config.maxRetries });
+
+  return config.recordDir
+    ? withRecording(provider, config.recordDir)
+    : provider;
+}
+
+export { createProvider, withRecording, requestKey };
@@ -0,0 +1,321 @@
+import { containerKey } from './merge.js';
+import { normalizePort, normalizeUnit } from './normalize.js';
+import { documentTypeNames, getDocumentType } from './document-types/index.js';
+
+// ============================================================================
+// CROSS-DOCUMENT RECONCILIATION
+// Compares the invoices, packing lists, HBLs and MBLs of one shipment, the way
+// an operator checks them before filing: containers and seals, vessel and
+// voyage, ports, package counts, weight and volume, shipper and consignee.
+// Each disagreement becomes an entry of the discrepancy report.
+// ============================================================================
+
+// Document types whose totals are compared; the second list only applies when no HBL was selected
+const TOTAL_PAIRS = [['COMMERCIAL_INVOICE', 'PACKING_LIST'], ['COMMERCIAL_INVOICE', 'HBL'], ['PACKING_LIST', 'HBL'], ['HBL', 'MBL']];
+const TOTAL_PAIRS_WITHOUT_HBL = [['COMMERCIAL_INVOICE', 'MBL'], ['PACKING_LIST', 'MBL']];
+
+// Conversion to kg and m³, by UN/ECE unit code (see lib/normalize.js)
+const WEIGHT_FACTORS = { KGM: 1, GRM: 0.001, LBR: 0.45359237, TNE: 1000 };
+const VOLUME_FACTORS = { MTQ: 1, FTQ: 0.0283168466 };
+
+// Weights and volumes agree within 0.5% (they are rounded differently per document)
+const RELATIVE_TOLERANCE = 0.005;
+
+// Legal forms left out when comparing company names
+const LEGAL_FORMS = /\b(CO|COMPANY|CORP|CORPORATION|INC|INCORPORATED|LTD|LIMITED|LLC|LLP|PLC|GMBH|AG|SA|SAS|SRL|SPA|BV|NV|PTE|PVT|PTY|JSC)\b/g;
+
+/**
+ * Comparable text: upper case, letters and digits only
+ * @param {*} value - Any value
+ * @returns {string} Key
+ */
+function textKey(value) {
+  return String(value ?? '').toUpperCase().replace(/[^A-Z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Comparable vessel name ("M/V MSC OSCAR" -> "MSC OSCAR")
+ * @param {*} vessel - Extracted vessel name
+ * @returns {string} Key
+ */
+function vesselKey(vessel) {
+  return textKey(vessel).replace(/^(M V|MV|M S|MS|VESSEL)\s+/, '');
+}
+
+/**
+ * Comparable port: UN/LOCODE when the port resolves, else the name
+ * @param {*} port - Extracted port
+ * @returns {string} Key
+ */
+function portKey(port) {
+  return normalizePort(port).value || textKey(port);
+}
+
+/**
+ * Comparable company name (legal forms and punctuation ignored)
+ * @param {*} name - Extracted party name
+ * @returns {string} Key
+ */
+function partyKey(name) {
+  return textKey(name).replace(LEGAL_FORMS, ' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Comparable seal (several seals are compared as a set)
+ * @param {*} seal - Extracted seal number(s)
+ * @returns {string} Key
+ */
+function sealKey(seal) {
+  return String(seal ?? '').toUpperCase().split(/[\s/,;&]+/).filter(Boolean).sort().join('/');
+}
+
+/**
+ * Read a number ("1,234.5")
+ * @param {*} value - Extracted value
+ * @returns {number|null} Number, null if missing or not numeric
+ */
+function toNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const number = Number(String(value).replace(/,/g, '').trim());
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Convert a { value, unit } measurement
+ * @param {Object} measurement - Extracted measurement
+ * @param {Object} factors - Unit code -> factor
+ * @returns {number|null} Converted value, null if missing or the unit is unknown
+ */
+function convert(measurement, factors) {
+  const value = toNumber(measurement?.value);
+  const factor = factors[normalizeUnit(measurement?.unit).value];
+  return value === null || !factor ? null : value * factor;
+}
+
+/**
+ * Package count, weight or volume of a document
+ * @param {Object} doc - Document being reconciled
+ * @param {string} quantity - packages, gross_weight or volume
+ * @returns {Object} { raw, value } - raw as extracted, value as a number in pieces, kg or m³ (null if unusable)
+ */
+function quantityOf(doc, quantity) {
+  // Where the shipment totals are on the document (see lib/document-types/)
+  const layout = getDocumentType(doc.documentType)?.totals;
+  const block = layout ? doc.data[layout.block] : null;
+  if (!block) return { raw: null, value: null };
+
+  if (quantity === 'packages') {
+    const raw = block[layout.packages];
+    return { raw, value: toNumber(raw && typeof raw === 'object' ? raw.value : raw) };
+  }
+  const raw = block[quantity];
+  return { raw, value: convert(raw, quantity === 'gross_weight' ? WEIGHT_FACTORS : VOLUME_FACTORS) };
+}
+
+/**
+ * Describe a document for the report
+ * @param {Object} doc - Document being reconciled
+ * @returns {Object} { extractionId, document, documentType, reference }
+ */
+function sourceOf(doc) {
+  return { extractionId: doc.extractionId, document: doc.document, documentType: doc.documentType, reference: doc.reference };
+}
+
+/**
+ * Short label for messages ("HBL HB12345")
+ * @param {Object} doc - Document being reconciled
+ * @returns {string} Label
+ */
+function labelOf(doc) {
+  return `${doc.documentType}${doc.reference ? ` ${doc.reference}` : ''}`;
+}
+
+/**
+ * Compare one field across every document that has it
+ * @param {Object[]} docs - Documents being reconciled
+ * @param {string} check - Check name
+ * @param {Function} read - doc => raw value
+ * @param {Function} key - Raw value -> comparable key
+ * @param {string} label - Field name for messages
+ * @returns {Object} { compared, discrepancies }
+ */
+function compareField(docs, check, read, key, label) {
+  const values = docs
+    .map(doc => ({ doc, value: read(doc) }))
+    .filter(entry => entry.value !== null && entry.value !== undefined && String(entry.value).trim() !== '');
+  if (values.length < 2) return { compared: false, discrepancies: [] };
+
+  const distinct = new Set(values.map(entry => key(entry.value)));
+  if (distinct.size === 1) return { compared: true, discrepancies: [] };
+
+  return {
+    compared: true,
+    discrepancies: [{
+      check,
+      severity: 'error',
+      message: `${label} differs: ${values.map(entry => `${labelOf(entry.doc)} "${entry.value}"`).join(', ')}`,
+      values: values.map(entry => ({ ...sourceOf(entry.doc), value: entry.value }))
+    }]
+  };
+}
+
+/**
+ * Containers of the HBLs are on the MBL, and every container has the same seal everywhere
+ * @param {Object[]} docs - Documents being reconciled
+ * @returns {Object} { containers: { compared, discrepancies }, seals: { compared, discrepancies } }
+ */
+function compareContainers(docs) {
+  const bills = docs.filter(doc => doc.documentType === 'HBL' || doc.documentType === 'MBL');
+  const containersOf = doc => (doc.data.containers || []).filter(container => containerKey(container?.container_number));
+  const hbls = bills.filter(doc => doc.documentType === 'HBL' && containersOf(doc).length > 0);
+  const mbls = bills.filter(doc => doc.documentType === 'MBL' && containersOf(doc).length > 0);
+
+  const containerDiscrepancies = [];
+  if (hbls.length > 0 && mbls.length > 0) {
+    const mblNumbers = new Set(mbls.flatMap(doc => containersOf(doc).map(container => containerKey(container.container_number))));
+    const hblNumbers = new Set(hbls.flatMap(doc => containersOf(doc).map(container => containerKey(container.container_number))));
+
+    hbls.forEach(doc => containersOf(doc)
+      .filter(container => !mblNumbers.has(containerKey(container.container_number)))
+      .forEach(container => containerDiscrepancies.push({
+        check: 'containers',
+        severity: 'error',
+        message: `Container ${container.container_number} on ${labelOf(doc)} is not on the MBL`,
+        values: [{ ...sourceOf(doc), value: container.container_number }]
+      })));
+
+    // A consolidated MBL can carry containers of HBLs that were not provided
+    mbls.forEach(doc => containersOf(doc)
+      .filter(container => !hblNumbers.has(containerKey(container.container_number)))
+      .forEach(container => containerDiscrepancies.push({
+        check: 'containers',
+        severity: 'warning',
+        message: `Container ${container.container_number} on ${labelOf(doc)} is not on any of the HBLs provided`,
+        values: [{ ...sourceOf(doc), value: container.container_number }]
+      })));
+  }
+
+  // Same container, different seal
+  const byContainer = new Map();
+  bills.forEach(doc => containersOf(doc).filter(container => container.seal_number).forEach(container => {
+    const number = containerKey(container.container_number);
+    if (!byContainer.has(number)) byContainer.set(number, []);
+    byContainer.get(number).push({ doc, container });
+  }));
+
+  const sealDiscrepancies = [...byContainer.values()]
+    .filter(entries => entries.length > 1 && new Set(entries.map(entry => sealKey(entry.container.seal_number))).size > 1)
+    .map(entries => ({
+      check: 'seals',
+      severity: 'error',
+      message: `Container ${entries[0].container.container_number} has different seals: ${entries.map(entry => `${labelOf(entry.doc)} "${entry.container.seal_number}"`).join(', ')}`,
+      values: entries.map(entry => ({ ...sourceOf(entry.doc), container_number: entry.container.container_number, value: entry.container.seal_number }))
+    }));
+
+  return {
+    containers: { compared: hbls.length > 0 && mbls.length > 0, discrepancies: containerDiscrepancies },
+    seals: { compared: [...byContainer.values()].some(entries => entries.length > 1), discrepancies: sealDiscrepancies }
+  };
+}
+
+/**
+ * Compare package count, weight or volume between document types
+ * Documents of the same type are added up (the HBLs of a consolidation add up to the MBL).
+ * Invoices are compared with the packing lists and HBLs, HBLs with the MBL, and invoices and packing lists
+ * with the MBL when there is no HBL.
+ * @param {Object[]} docs - Documents being reconciled
+ * @param {string} quantity - packages, gross_weight or volume
+ * @returns {Object} { compared, discrepancies }
+ */
+function compareTotals(docs, quantity) {
+  const labels = { packages: 'package count', gross_weight: 'gross weight', volume: 'volume' };
+  const units = { packages: '', gross_weight: ' kg', volume: ' m³' };
+
+  const totals = {};
+  documentTypeNames().forEach(type => {
+    const ofType = docs.filter(doc => doc.documentType === type).map(doc => ({ doc, ...quantityOf(doc, quantity) }));
+    // A total is only meaningful when every document of the type has a usable value
+    if (ofType.length > 0 && ofType.every(entry => entry.value !== null)) {
+      totals[type] = { value: ofType.reduce((sum, entry) => sum + entry.value, 0), entries: ofType };
+    }
+  });
+
+  const pairs = docs.some(doc => doc.documentType === 'HBL') ? TOTAL_PAIRS : [...TOTAL_PAIRS, ...TOTAL_PAIRS_WITHOUT_HBL];
+
+  // Package counts must match exactly
+  const tolerance = quantity === 'packages' ? 0 : RELATIVE_TOLERANCE;
+  const comparable = pairs.filter(([a, b]) => totals[a] && totals[b]);
+  const discrepancies = comparable
+    .filter(([a, b]) => Math.abs(totals[a].value - totals[b].value) > tolerance * Math.max(totals[a].value, totals[b].value))
+    .map(([a, b]) => {
+      const describe = type => `${totals[type].entries.length > 1 ? `${totals[type].entries.length} ${type}s total` : labelOf(totals[type].entries[0].doc)} ${Math.round(totals[type].value * 1000) / 1000}${units[quantity]}`;
+      return {
+        check: quantity,
+        severity: 'error',
+        message: `${labels[quantity][0].toUpperCase()}${labels[quantity].slice(1)} differs: ${describe(a)}, ${describe(b)}`,
+        values: [...totals[a].entries, ...totals[b].entries].map(entry => ({ ...sourceOf(entry.doc), value: entry.raw }))
+      };
+    });
+
+  return { compared: comparable.length > 0, discrepancies };
+}
+
+/**
+ * Shipper and consignee of each invoice match its HBL
+ * The MBL is not compared: its shipper and consignee are usually the forwarders.
+ * @param {Object[]} docs - Documents being reconciled
+ * @param {string} party - shipper or consignee
+ * @returns {Object} { compared, discrepancies }
+ */
+function compareParties(docs, party) {
+  const named = type => docs.filter(doc => doc.documentType === type && doc.data.parties?.[party]?.name);
+  const invoices = named('COMMERCIAL_INVOICE');
+  const hbls = named('HBL');
+
+  const discrepancies = invoices.flatMap(invoice => hbls.flatMap(hbl => {
+    const [a, b] = [partyKey(invoice.data.parties[party].name), partyKey(hbl.data.parties[party].name)];
+    // "ACME TRADING CO., LTD." and "ACME TRADING" are the same company
+    if (a === b || (a && b && (a.includes(b) || b.includes(a)))) return [];
+    return [{
+      check: party,
+      severity: 'warning',
+      message: `${party[0].toUpperCase()}${party.slice(1)} differs: ${labelOf(invoice)} "${invoice.data.parties[party].name}", ${labelOf(hbl)} "${hbl.data.parties[party].name}"`,
+      values: [invoice, hbl].map(doc => ({ ...sourceOf(doc), value: doc.data.parties[party].name }))
+    }];
+  }));
+
+  return { compared: invoices.length > 0 && hbls.length > 0, discrepancies };
+}
+
+/**
+ * Reconcile the documents of one shipment
+ * @param {Object[]} docs - [{ extractionId, document (1-based), documentType, reference, data }]
+ * @returns {Object} { documents, checks: [{ check, status: match | mismatch | skipped }], discrepancies: [{ check, severity, message, values }] }
+ */
+function reconcileDocuments(docs) {
+  const { containers, seals } = compareContainers(docs);
+  const results = {
+    containers,
+    seals,
+    vessel: compareField(docs, 'vessel', doc => doc.data.routing?.vessel_name, vesselKey, 'Vessel'),
+    voyage: compareField(docs, 'voyage', doc => doc.data.routing?.voyage_number, value => textKey(value).replace(/\s+/g, ''), 'Voyage'),
+    port_of_loading: compareField(docs, 'port_of_loading', doc => doc.data.routing?.port_of_loading, portKey, 'Port of loading'),
+    port_of_discharge: compareField(docs, 'port_of_discharge', doc => doc.data.routing?.port_of_discharge, portKey, 'Port of discharge'),
+    packages: compareTotals(docs, 'packages'),
+    gross_weight: compareTotals(docs, 'gross_weight'),
+    volume: compareTotals(docs, 'volume'),
+    shipper: compareParties(docs, 'shipper'),
+    consignee: compareParties(docs, 'consignee')
+  };
+
+  return {
+    documents: docs.map(sourceOf),
+    checks: Object.entries(results).map(([check, result]) => ({
+      check,
+      status: !result.compared ? 'skipped' : (result.discrepancies.length > 0 ? 'mismatch' : 'match')
+    })),
+    discrepancies: Object.values(results).flatMap(result => result.discrepancies)
+  };
+}
+
+export { reconcileDocuments };
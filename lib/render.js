@@ -0,0 +1,252 @@
+import { getDocumentType } from './document-types/index.js';
+
+// ============================================================================
+// DOCUMENT RENDERING
+// One extracted document as a downloadable file: JSON, CSV (one line per table
+// row) or a read-only HTML page laid out like the review UI. Shared by the
+// command line (index.js) and the export endpoint of the server.
+// ============================================================================
+
+/**
+ * Read a value by JSON path
+ * @param {Object} data - Document data
+ * @param {string} fieldPath - e.g., "parties.shipper.name"
+ * @returns {*} Value, undefined if absent
+ */
+function getPath(data, fieldPath) {
+  return fieldPath.split('.').reduce((value, key) => value?.[key], data);
+}
+
+/**
+ * Leaf values by JSON path; arrays are kept as one value
+ * @param {Object} data - Object to flatten
+ * @param {string} prefix - Path of data
+ * @returns {Object} { path: value }
+ */
+function flattenFields(data, prefix = '') {
+  const fields = {};
+  Object.entries(data || {}).forEach(([key, value]) => {
+    const fieldPath = prefix ? `${prefix}.${key}` : key;
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      Object.assign(fields, flattenFields(value, fieldPath));
+    } else {
+      fields[fieldPath] = value;
+    }
+  });
+  return fields;
+}
+
+/**
+ * Escape a CSV cell
+ * @param {*} value - Cell value (arrays are joined with "; ")
+ * @returns {string} Cell
+ */
+function csvCell(value) {
+  const text = Array.isArray(value) ? value.join('; ') : String(value ?? '');
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build a CSV file for one document
+ * One line per row of the document type's first table (invoice and packing list
+ * line items, bill of lading containers), with the header fields repeated on each
+ * line so the file can be filtered and pivoted as is. Documents without rows get one line.
+ * @param {Object} document - Extracted document (see processDocuments)
+ * @returns {string} CSV content
+ */
+function generateCSV(document) {
+  const tableKey = getDocumentType(document.documentType)?.ui.tables[0]?.key;
+  const { [tableKey]: rows = [], missing_fields: missingFields, extraction_confidence: confidence, ...header } = document.data;
+  const headerFields = flattenFields(header);
+  const rowFields = (rows.length > 0 ? rows : [{}]).map(row => flattenFields(row, tableKey));
+  const columns = [...new Set([...Object.keys(headerFields), ...rowFields.flatMap(fields => Object.keys(fields))])];
+
+  return [
+    columns.map(csvCell).join(','),
+    ...rowFields.map(fields => columns.map(column => csvCell(column in fields ? fields[column] : headerFields[column])).join(','))
+  ].join('\n') + '\n';
+}
+
+/**
+ * Escape text for HTML
+ * @param {*} value - Any value
+ * @returns {string} Escaped text
+ */
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+}
+
+/**
+ * Display text of one field of the document type's UI layout
+ * @param {Object} data - Document data
+ * @param {Object} field - { kind, path, withAddress } (see lib/document-types/ui.js)
+ * @returns {string} HTML
+ */
+function fieldHtml(data, field) {
+  const value = getPath(data, field.path);
+  if (field.kind === 'measurement') {
+    return escapeHtml([value?.value, value?.unit].filter(part => part !== null && part !== undefined).join(' ') || 'N/A');
+  }
+  if (field.kind === 'party') {
+    const address = field.withAddress && value?.address
+      ? `<div style="font-size: 0.85em; color: #7f8c8d; margin-top: 5px;">${escapeHtml(value.address)}</div>`
+      : '';
+    return `${escapeHtml(value?.name || 'N/A')}${address}`;
+  }
+  return escapeHtml(value ?? 'N/A');
+}
+
+/**
+ * Generate HTML view of one document, laid out like the review UI (see lib/document-types/)
+ * @param {Object} document - Extracted document (see processDocuments)
+ * @returns {string} HTML content
+ */
+function generateHTML(document) {
+  const data = document.data;
+  const definition = getDocumentType(document.documentType);
+  const ui = definition?.ui || { sections: [], tables: [] };
+
+  const sections = ui.sections.map(section => `
+    <div class="section">
+      <h2>${escapeHtml(section.title)}</h2>
+      <div class="info-grid">
+        ${section.fields.map(field => `
+        <div class="info-item">
+          <div class="info-label">${escapeHtml(field.label)}</div>
+          <div class="info-value">${fieldHtml(data, field)}</div>
+        </div>`).join('')}
+      </div>
+    </div>`).join('');
+
+  const tables = ui.tables.map(table => {
+    const rows = data[table.key] || [];
+    const body = rows.map(row => `
+          <tr>${table.columns.map(column => `<td>${escapeHtml(column.fields.map(field => getPath(row, field.path)).filter(value => value !== null && value !== undefined).join(' '))}</td>`).join('')}</tr>`).join('');
+    return `
+    <div class="section">
+      <h2>${escapeHtml(table.title)} (${rows.length})</h2>
+      <table>
+        <thead><tr>${table.columns.map(column => `<th>${escapeHtml(column.label)}</th>`).join('')}</tr></thead>
+        <tbody>${body || `<tr><td colspan="${table.columns.length}">No ${escapeHtml(table.title.toLowerCase())} found</td></tr>`}</tbody>
+      </table>
+    </div>`;
+  }).join('');
+
+  const warnings = [
+    ...document.validationErrors.map(error => `${error.path}: ${error.message}`),
+    ...document.consistencyWarnings.map(warning => `${warning.path}: ${warning.message}`),
+    ...document.failedBatches.map(batch => `Pages ${batch.pages.start}-${batch.pages.end} could not be extracted: ${batch.error}`)
+  ];
+  const missingFields = data.missing_fields || [];
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHtml(definition?.label || document.documentType)} - Extraction Results</title>
+  <style>
+    * { margin: 0; padding: 0; box-sizing: border-box; }
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, sans-serif;
+      line-height: 1.6;
+      color: #333;
+      background: #f5f5f5;
+      padding: 20px;
+    }
+    .container {
+      max-width: 1400px;
+      margin: 0 auto;
+      background: white;
+      padding: 30px;
+      border-radius: 8px;
+      box-shadow: 0 2px 4px rgba(0,0,0,0.1);
+    }
+    h1 { color: #2c3e50; margin-bottom: 30px; border-bottom: 3px solid #3498db; padding-bottom: 10px; }
+    h2 { color: #34495e; margin-bottom: 15px; font-size: 1.3em; }
+    .section { margin-bottom: 30px; padding: 20px; background: #fafafa; border-radius: 5px; border-left: 4px solid #3498db; }
+    .info-grid { display: grid; grid-template-columns: repeat(auto-fit, minmax(250px, 1fr)); gap: 15px; }
+    .info-item { padding: 10px; background: white; border-radius: 4px; }
+    .info-label { font-weight: bold; color: #7f8c8d; font-size: 0.9em; margin-bottom: 5px; }
+    .info-value { color: #2c3e50; font-size: 1.1em; }
+    table { width: 100%; border-collapse: collapse; background: white; font-size: 0.9em; }
+    th { background: #3498db; color: white; padding: 12px; text-align: left; font-weight: 600; }
+    td { padding: 10px 12px; border-bottom: 1px solid #e0e0e0; }
+    .missing-fields { background: #fff3cd; border-left-color: #ffc107; }
+    .missing-fields ul { margin-left: 20px; }
+    pre { white-space: pre-wrap; word-wrap: break-word; font-family: 'Courier New', monospace; font-size: 0.85em; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <h1>📄 ${escapeHtml(definition?.label || document.documentType)}${document.reference ? ` ${escapeHtml(document.reference)}` : ''}</h1>
+    <p style="margin-bottom: 20px; color: #7f8c8d;">${escapeHtml(document.files.join(', '))}${document.pageRange ? `, pages ${document.pageRange.start}-${document.pageRange.end}` : ''}</p>
+${sections}
+${tables}
+    <div class="section missing-fields">
+      <h2>Warnings (${warnings.length})</h2>
+      ${warnings.length > 0 ? `<ul>${warnings.map(warning => `<li>${escapeHtml(warning)}</li>`).join('')}</ul>` : '<p>None</p>'}
+    </div>
+
+    <div class="section missing-fields">
+      <h2>Missing Fields</h2>
+      ${missingFields.length > 0 ? `<ul>${missingFields.map(field => `<li>${escapeHtml(field)}</li>`).join('')}</ul>` : '<p>None</p>'}
+    </div>
+
+    <div class="section">
+      <h2>Raw JSON Data</h2>
+      <pre>${escapeHtml(JSON.stringify(data, null, 2))}</pre>
+    </div>
+  </div>
+</body>
+</html>`;
+}
+
+/**
+ * JSON file of one document
+ * Page image paths are left out: they only mean something to the server that
+ * wrote them, and the images expire (see sweepExpiredJobDirs in lib/pipeline.js).
+ * @param {Object} document - Extracted document (see processDocuments)
+ * @returns {string} JSON content
+ */
+function generateJSON(document) {
+  const result = {
+    ...document,
+    sourcePages: (document.sourcePages || []).map(({ image, ...page }) => page)
+  };
+  return JSON.stringify(result, null, 2);
+}
+
+// Formats renderDocument() can produce
+const RENDER_FORMATS = {
+  json: { contentType: 'application/json; charset=utf-8', render: generateJSON },
+  csv: { contentType: 'text/csv; charset=utf-8', render: generateCSV },
+  html: { contentType: 'text/html; charset=utf-8', render: generateHTML }
+};
+
+/**
+ * Render one document in a file format
+ * @param {Object} document - Extracted document (see processDocuments), data may be the reviewed data
+ * @param {string} format - json, csv or html (see RENDER_FORMATS)
+ * @returns {Object} { content, contentType, extension }
+ * @throws {Error} On an unsupported format
+ */
+function renderDocument(document, format) {
+  const renderer = RENDER_FORMATS[format];
+  if (!renderer) {
+    throw new Error(`Unsupported format: ${format}. Use ${Object.keys(RENDER_FORMATS).join(', ')}.`);
+  }
+
+  // Extractions stored by earlier versions lack the lists added since (warnings, failed batches, files)
+  const complete = {
+    ...document,
+    files: document.files || [],
+    pageRange: document.pageRange || null,
+    validationErrors: document.validationErrors || [],
+    consistencyWarnings: document.consistencyWarnings || [],
+    failedBatches: document.failedBatches || []
+  };
+  return { content: renderer.render(complete), contentType: renderer.contentType, extension: format };
+}
+
+export { RENDER_FORMATS, renderDocument };
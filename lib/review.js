@@ -0,0 +1,114 @@
+import { isEmpty } from './values.js';
+
+// ============================================================================
+// HUMAN REVIEW
+// Reviewer corrections are kept next to the original model output: each stored
+// extraction gets a reviews entry per document with the corrected data, the
+// diff against what the model returned, and a revision log (who changed what,
+// and when it was approved). The diffs double as an accuracy dataset.
+// ============================================================================
+
+/**
+ * Compare two JSON values field by field
+ * Arrays (line items, containers) are compared by position; blank strings equal null.
+ * @param {*} before - Original value
+ * @param {*} after - Corrected value
+ * @param {string} prefix - Path of the values (e.g., "routing" or "line_items[2]")
+ * @returns {Object[]} [{ path, op: 'add' | 'remove' | 'replace', from, to }]
+ */
+function diffValues(before, after, prefix = '') {
+  if (Array.isArray(before) && Array.isArray(after)) {
+    const changes = [];
+    for (let index = 0; index < Math.max(before.length, after.length); index++) {
+      const itemPath = `${prefix}[${index}]`;
+      if (index >= before.length) {
+        changes.push({ path: itemPath, op: 'add', from: null, to: after[index] });
+      } else if (index >= after.length) {
+        changes.push({ path: itemPath, op: 'remove', from: before[index], to: null });
+      } else {
+        changes.push(...diffValues(before[index], after[index], itemPath));
+      }
+    }
+    return changes;
+  }
+
+  const isObject = value => value && typeof value === 'object' && !Array.isArray(value);
+  if (isObject(before) && isObject(after)) {
+    const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+    return keys.flatMap(key => diffValues(before[key], after[key], prefix ? `${prefix}.${key}` : key));
+  }
+
+  if (isEmpty(before) && isEmpty(after)) return [];
+  if (JSON.stringify(before) === JSON.stringify(after)) return [];
+
+  return [{
+    path: prefix,
+    op: isEmpty(before) ? 'add' : (isEmpty(after) ? 'remove' : 'replace'),
+    from: before ?? null,
+    to: after ?? null
+  }];
+}
+
+/**
+ * Record a reviewer's corrections (and optionally approval) for one document of a stored extraction
+ * @param {Object} record - Stored extraction (see lib/history.js), mutated
+ * @param {Object} review - { documentIndex (0-based), data: corrected data, reviewer, approve }
+ * @returns {Object} The document's review: { status, reviewer, data, corrections, revisions, updatedAt, approvedAt }
+ */
+function applyReview(record, { documentIndex, data, reviewer = null, approve = false }) {
+  const document = record.result.documents?.[documentIndex];
+  if (!document?.data) {
+    throw new Error(`Document ${documentIndex + 1} has no extracted data to review`);
+  }
+
+  record.reviews = record.reviews || {};
+  const previous = record.reviews[documentIndex];
+  const at = new Date().toISOString();
+
+  // Changes since the last save (audit trail) and since the model output (accuracy)
+  const changes = diffValues(previous?.data ?? document.data, data);
+  const corrections = diffValues(document.data, data);
+
+  const review = {
+    documentType: document.documentType,
+    status: approve ? 'approved' : (corrections.length > 0 ? 'corrected' : 'pending'),
+    reviewer: reviewer || previous?.reviewer || null,
+    data,
+    corrections,
+    revisions: [
+      ...(previous?.revisions || []),
+      { at, reviewer, action: approve ? 'approved' : 'corrected', changes }
+    ],
+    updatedAt: at,
+    approvedAt: approve ? at : null
+  };
+
+  record.reviews[documentIndex] = review;
+  return review;
+}
+
+/**
+ * Overall review status of a stored extraction
+ * @param {Object} record - Stored extraction
+ * @returns {string} approved (every extracted document approved), corrected, or pending
+ */
+function reviewStatus(record) {
+  // One entry per extracted document; undefined where nobody reviewed it yet
+  const reviews = (record.result?.documents || []).flatMap((doc, index) => (doc.data ? [record.reviews?.[index]] : []));
+
+  if (reviews.length > 0 && reviews.every(review => review?.status === 'approved')) return 'approved';
+  if (reviews.some(review => review?.corrections.length > 0)) return 'corrected';
+  return 'pending';
+}
+
+/**
+ * Data of a document as it should be used downstream (reviewed data when available)
+ * @param {Object} record - Stored extraction
+ * @param {number} documentIndex - 0-based document index
+ * @returns {Object|null} Data
+ */
+function reviewedData(record, documentIndex) {
+  return record.reviews?.[documentIndex]?.data ?? record.result.documents?.[documentIndex]?.data ?? null;
+}
+
+export { diffValues, applyReview, reviewStatus, reviewedData };
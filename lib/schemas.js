@@ -0,0 +1,314 @@
+import Ajv from 'ajv';
+
+// ============================================================================
+// JSON SCHEMAS
+// Formal versions of the OUTPUT JSON SCHEMA blocks in constants.js.
+// Every key from the prompt is required (null when not found on the document).
+// ============================================================================
+
+const nullableString = { type: ['string', 'null'] };
+const nullableNumber = { type: ['number', 'null'] };
+
+// Weights, volumes and package counts on BLs are often printed as "1,234.500"
+const nullableQuantity = { type: ['number', 'string', 'null'] };
+
+/**
+ * Object schema where every listed property is required
+ * @param {Object} properties - Property schemas
+ * @returns {Object} JSON Schema
+ */
+function requiredObject(properties) {
+  return {
+    type: 'object',
+    properties,
+    required: Object.keys(properties)
+  };
+}
+
+/**
+ * { value, unit } measurement object
+ * @param {Object} valueSchema - Schema of the value property
+ * @returns {Object} JSON Schema
+ */
+function measurement(valueSchema = nullableQuantity) {
+  return requiredObject({ value: valueSchema, unit: nullableString });
+}
+
+const party = requiredObject({ name: nullableString, address: nullableString });
+
+const container = requiredObject({
+  container_number: nullableString,
+  seal_number: nullableString,
+  container_type: nullableString,
+  stuffing_mode: nullableString
+});
+
+const blRouting = requiredObject({
+  place_of_receipt: nullableString,
+  port_of_loading: nullableString,
+  port_of_discharge: nullableString,
+  place_of_delivery: nullableString,
+  vessel_name: nullableString,
+  voyage_number: nullableString,
+  etd: nullableString,
+  eta: nullableString
+});
+
+const HBL_SCHEMA = requiredObject({
+  document_type: { const: 'HBL' },
+  hbl_number: nullableString,
+  issue_date: nullableString,
+  bill_status: nullableString,
+  freight_term: nullableString,
+  parties: requiredObject({
+    shipper: party,
+    consignee: party,
+    notify_party: party
+  }),
+  routing: blRouting,
+  cargo_summary: requiredObject({
+    cargo_description: nullableString,
+    total_packages: measurement(),
+    gross_weight: measurement(),
+    volume: measurement(),
+    shipping_marks: nullableString,
+    country_of_origin: nullableString
+  }),
+  containers: { type: 'array', items: container }
+});
+
+const COMMERCIAL_INVOICE_SCHEMA = requiredObject({
+  document_type: { const: 'COMMERCIAL_INVOICE' },
+  invoice_number: nullableString,
+  invoice_date: nullableString,
+  payment_terms: nullableString,
+  incoterm: nullableString,
+  routing: requiredObject({
+    port_of_loading: nullableString,
+    port_of_discharge: nullableString,
+    port_of_destination: nullableString,
+    vessel_name: nullableString,
+    voyage_number: nullableString
+  }),
+  parties: requiredObject({
+    shipper: party,
+    consignee: party,
+    notify_party: party
+  }),
+  financials: requiredObject({
+    currency: nullableString,
+    invoice_total: nullableNumber,
+    fob_value: nullableNumber,
+    freight: nullableNumber,
+    insurance: nullableNumber
+  }),
+  cargo: requiredObject({
+    goods_description: nullableString,
+    shipping_marks: nullableString,
+    country_of_origin: nullableString,
+    total_cartons: nullableQuantity,
+    gross_weight: measurement(),
+    volume: measurement()
+  }),
+  line_items: {
+    type: 'array',
+    items: requiredObject({
+      line_no: { type: ['integer', 'string', 'null'] },
+      item_code: nullableString,
+      reference_no: nullableString,
+      po_number: nullableString,
+      description: nullableString,
+      color: nullableString,
+      size: nullableString,
+      quantity: measurement(nullableNumber),
+      unit_price: requiredObject({ value: nullableNumber, currency: nullableString }),
+      line_amount: requiredObject({ value: nullableNumber, currency: nullableString })
+    })
+  },
+  missing_fields: { type: 'array', items: { type: 'string' } },
+  extraction_confidence: requiredObject({
+    overall: nullableNumber,
+    line_items: nullableNumber
+  })
+});
+
+const MBL_SCHEMA = requiredObject({
+  document_type: { const: 'MBL' },
+  mbl_number: nullableString,
+  issue_date: nullableString,
+  shipped_on_board_date: nullableString,
+  bill_status: nullableString,
+  freight_term: nullableString,
+  parties: requiredObject({
+    shipper: party,
+    consignee: party,
+    notify_party: party,
+    carrier: requiredObject({ name: nullableString }),
+    issuing_agent: party
+  }),
+  routing: blRouting,
+  container_summary: requiredObject({
+    total_containers: { type: ['integer', 'string', 'null'] },
+    total_packages: measurement(),
+    gross_weight: measurement(),
+    volume: measurement(),
+    country_of_origin: nullableString
+  }),
+  containers: { type: 'array', items: container }
+});
+
+const PACKING_LIST_SCHEMA = requiredObject({
+  document_type: { const: 'PACKING_LIST' },
+  packing_list_number: nullableString,
+  packing_list_date: nullableString,
+  invoice_number: nullableString,
+  parties: requiredObject({
+    shipper: party,
+    consignee: party
+  }),
+  routing: requiredObject({
+    port_of_loading: nullableString,
+    port_of_discharge: nullableString,
+    vessel_name: nullableString,
+    voyage_number: nullableString
+  }),
+  totals: requiredObject({
+    total_packages: measurement(),
+    net_weight: measurement(),
+    gross_weight: measurement(),
+    volume: measurement()
+  }),
+  shipping_marks: nullableString,
+  line_items: {
+    type: 'array',
+    items: requiredObject({
+      line_no: { type: ['integer', 'string', 'null'] },
+      item_code: nullableString,
+      po_number: nullableString,
+      description: nullableString,
+      carton_range: nullableString,
+      packages: measurement(),
+      quantity: measurement(),
+      net_weight: measurement(),
+      gross_weight: measurement(),
+      volume: measurement()
+    })
+  },
+  containers: { type: 'array', items: container },
+  missing_fields: { type: 'array', items: { type: 'string' } }
+});
+
+const AIR_WAYBILL_SCHEMA = requiredObject({
+  document_type: { const: 'AIR_WAYBILL' },
+  awb_number: nullableString,
+  awb_type: { enum: ['MAWB', 'HAWB', null] },
+  master_awb_number: nullableString,
+  issue_date: nullableString,
+  parties: requiredObject({
+    shipper: party,
+    consignee: party,
+    notify_party: party,
+    issuing_agent: party,
+    carrier: requiredObject({ name: nullableString })
+  }),
+  routing: requiredObject({
+    airport_of_departure: nullableString,
+    airport_of_destination: nullableString,
+    flight_number: nullableString,
+    flight_date: nullableString,
+    transshipment_airports: nullableString
+  }),
+  cargo: requiredObject({
+    number_of_pieces: nullableQuantity,
+    gross_weight: measurement(),
+    chargeable_weight: measurement(),
+    volume: measurement(),
+    rate_class: nullableString,
+    goods_description: nullableString
+  }),
+  charges: requiredObject({
+    currency: nullableString,
+    freight_term: nullableString,
+    weight_charge: nullableNumber,
+    other_charges: nullableNumber,
+    total_prepaid: nullableNumber,
+    total_collect: nullableNumber,
+    declared_value_for_carriage: nullableNumber,
+    declared_value_for_customs: nullableNumber
+  }),
+  handling_information: nullableString,
+  missing_fields: { type: 'array', items: { type: 'string' } }
+});
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+
+/**
+ * Compile a schema into a validation function
+ * @param {Object} schema - JSON Schema of a document type
+ * @returns {Function} data => validation errors ({ path, message }), empty when valid
+ */
+function createValidator(schema) {
+  const validate = ajv.compile(schema);
+
+  return data => {
+    if (validate(data)) {
+      return [];
+    }
+
+    return validate.errors.map(error => ({
+      path: error.instancePath || '/',
+      message: error.keyword === 'additionalProperties'
+        ? `${error.message}: ${error.params.additionalProperty}`
+        : error.keyword === 'required'
+          ? `missing required property: ${error.params.missingProperty}`
+          : error.message
+    }));
+  };
+}
+
+/**
+ * Keys that are numbers (not strings) wherever they appear, e.g. invoice_total; the review UI stores them as numbers
+ * @param {Object} schema - JSON Schema
+ * @returns {string[]} Property names
+ */
+function numericKeys(schema) {
+  const numeric = new Set();
+  const other = new Set();
+  const visit = node => {
+    if (!node || typeof node !== 'object') return;
+    Object.entries(node.properties || {}).forEach(([key, property]) => {
+      const types = [].concat(property.type || []);
+      const isNumber = types.some(type => type === 'number' || type === 'integer') && !types.includes('string');
+      (isNumber ? numeric : other).add(key);
+      visit(property);
+    });
+    visit(node.items);
+  };
+
+  visit(schema);
+  return [...numeric].filter(key => !other.has(key));
+}
+
+/**
+ * Format validation errors as a bullet list for prompts and logs
+ * @param {Object[]} errors - Validation errors (see createValidator)
+ * @returns {string} One "- path: message" line per error
+ */
+function formatValidationErrors(errors) {
+  return errors.map(error => `- ${error.path}: ${error.message}`).join('\n');
+}
+
+export {
+  HBL_SCHEMA,
+  COMMERCIAL_INVOICE_SCHEMA,
+  MBL_SCHEMA,
+  PACKING_LIST_SCHEMA,
+  AIR_WAYBILL_SCHEMA,
+  createValidator,
+  numericKeys,
+  formatValidationErrors
+};
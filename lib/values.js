@@ -0,0 +1,30 @@
+// ============================================================================
+// EXTRACTED VALUES
+// Shared rules for reading extracted data: what counts as "not extracted" and
+// how a field path ("routing.eta", "line_items[2].description") resolves.
+// Merge, provenance and review use these, so they agree on missing values.
+// ============================================================================
+
+/**
+ * Check whether a value counts as "not extracted"
+ * @param {*} value - Any value
+ * @returns {boolean} True for null, undefined and blank strings
+ */
+function isEmpty(value) {
+  return value === null || value === undefined || (typeof value === 'string' && value.trim() === '');
+}
+
+/**
+ * Read a value by path
+ * @param {Object} data - Data
+ * @param {string} fieldPath - Dotted path with [n] array indexes (line_items.2 works as well)
+ * @returns {*} Value, undefined if the path does not resolve
+ */
+function valueAtPath(data, fieldPath) {
+  return String(fieldPath)
+    .replace(/\[(\d+)\]/g, '.$1')
+    .split('.')
+    .reduce((node, key) => (node && typeof node === 'object' ? node[key] : undefined), data);
+}
+
+export { isEmpty, valueAtPath };
@@ -2,11 +2,20 @@ import express from 'express';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import OpenAI from 'openai';
 import dotenv from 'dotenv';
 import multer from 'multer';
-import pdf from 'pdf-poppler';
-import { HBLPROMPT, COMMERCIAL_INVOICE_PROMPT, MBL_PROMPT } from './constants.js';
+import { normalizeDocument } from './lib/normalize.js';
+import { reconcileDocuments } from './lib/reconcile.js';
+import { describeDocumentTypes, getDocumentType, validateExtraction, checkConsistency } from './lib/document-types/index.js';
+import { promptNames, getPrompt, listPrompts, createPromptVersion, activatePromptVersion, resolvePromptVersions } from './lib/prompts.js';
+import { createProvider } from './lib/providers.js';
+import { TEMP_IMAGES_DIR, BATCH_CONCURRENCY, DOCUMENT_FILE_PATTERN, TEXT_LAYER_MODES, TEXT_LAYER_MODE, SUPPORTED_DOCUMENT_TYPES, normalizeDocumentType, isValidCount, sweepExpiredJobDirs, extract } from './lib/pipeline.js';
+import { RENDER_FORMATS, renderDocument } from './lib/render.js';
+import { resolvePreprocessOptions } from './lib/preprocess.js';
+import { buildUniversalShipment, validateUniversalShipment } from './lib/cargowise.js';
+import { saveExtraction, updateExtraction, getExtraction, listExtractions } from './lib/history.js';
+import { applyReview, reviewedData, diffValues } from './lib/review.js';
+import { createJob, getJob, runJob, cancelJob, subscribeToJob, serializeJob, isFinished } from './lib/jobs.js';
 
 // Load environment variables
 dotenv.config();
@@ -21,7 +30,7 @@ const PORT = process.env.PORT || 3000;
 // Configuration - Declare constants first
 const IMAGE_PATH = "./sample-docs/invoice.png"; // Hardcoded image path (fallback)
 const UPLOAD_DIR = "./uploads"; // Directory for uploaded files
-const TEMP_IMAGES_DIR = "./temp_images"; // Temporary directory for PDF conversion
+const PAGE_RETENTION_HOURS = Number(process.env.PAGE_RETENTION_HOURS) || 24; // How long converted page images are kept for the review UI
 
 // Middleware
 app.use(express.json());
@@ -57,364 +66,18 @@ const upload = multer({
     files: 50 // Maximum 50 files at once
   },
   fileFilter: (req, file, cb) => {
-    // Accept PDF and image files
-    const allowedTypes = /\.(pdf|png|jpg|jpeg|gif|webp)$/i;
-    if (allowedTypes.test(file.originalname)) {
+    // Accept PDF, image, TIFF, HEIC and email files (see lib/inputs.js)
+    if (DOCUMENT_FILE_PATTERN.test(file.originalname)) {
       cb(null, true);
     } else {
-      cb(new Error('Invalid file type. Only PDF, PNG, JPG, JPEG, GIF, and WEBP files are allowed.'));
+      cb(new Error('Invalid file type. Only PDF, PNG, JPG, JPEG, GIF, WEBP, TIFF, HEIC, EML and MSG files are allowed.'));
     }
   }
 });
 
-// OpenAI client
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-});
-
-// Function to get prompt based on document type
-function getPromptForDocumentType(documentType) {
-  switch (documentType?.toUpperCase()) {
-    case 'COMMERCIAL_INVOICE':
-    case 'INVOICE':
-      return COMMERCIAL_INVOICE_PROMPT;
-    case 'HBL':
-      return HBLPROMPT;
-    case 'MBL':
-      return MBL_PROMPT;
-    default:
-      return MBL_PROMPT; // Default fallback
-  }
-}
-
-// ============================================================================
-// HELPER FUNCTIONS
-// ============================================================================
-
-/**
- * Read image file and convert to base64
- * @param {string} imagePath - Path to image file
- * @returns {Object} Object with base64 string and MIME type
- */
-function imageToBase64(imagePath) {
-  // Check if file exists
-  if (!fs.existsSync(imagePath)) {
-    throw new Error(`Image file not found: ${imagePath}`);
-  }
-  
-  const imageBuffer = fs.readFileSync(imagePath);
-  
-  // Verify it's actually an image file (check file signature/magic bytes)
-  // Check PNG: 89 50 4E 47 (PNG signature)
-  const isPNG = imageBuffer[0] === 0x89 && 
-                imageBuffer[1] === 0x50 && 
-                imageBuffer[2] === 0x4E && 
-                imageBuffer[3] === 0x47;
-  
-  // Check JPEG: FF D8 FF
-  const isJPEG = imageBuffer[0] === 0xFF && 
-                 imageBuffer[1] === 0xD8 && 
-                 imageBuffer[2] === 0xFF;
-  
-  // Check GIF: 47 49 46 38 (GIF8)
-  const isGIF = imageBuffer[0] === 0x47 && 
-                imageBuffer[1] === 0x49 && 
-                imageBuffer[2] === 0x46 && 
-                imageBuffer[3] === 0x38;
-  
-  // Check WEBP: RIFF...WEBP
-  const isWEBP = imageBuffer[0] === 0x52 && 
-                 imageBuffer[1] === 0x49 && 
-                 imageBuffer[2] === 0x46 && 
-                 imageBuffer[3] === 0x46 &&
-                 imageBuffer[8] === 0x57 && 
-                 imageBuffer[9] === 0x45 && 
-                 imageBuffer[10] === 0x42 && 
-                 imageBuffer[11] === 0x50;
-  
-  // Determine MIME type from file signature (most reliable)
-  let mimeType;
-  if (isPNG) {
-    mimeType = 'image/png';
-  } else if (isJPEG) {
-    mimeType = 'image/jpeg';
-  } else if (isGIF) {
-    mimeType = 'image/gif';
-  } else if (isWEBP) {
-    mimeType = 'image/webp';
-  } else {
-    // Fallback to extension if signature doesn't match
-    const ext = path.extname(imagePath).toLowerCase();
-    const mimeTypes = {
-      '.png': 'image/png',
-      '.jpg': 'image/jpeg',
-      '.jpeg': 'image/jpeg',
-      '.gif': 'image/gif',
-      '.webp': 'image/webp'
-    };
-    mimeType = mimeTypes[ext] || 'image/png';
-    console.warn(`⚠️  Could not detect image type from signature, using extension: ${ext} -> ${mimeType}`);
-  }
-  
-  const base64 = imageBuffer.toString('base64');
-  
-  // Verify the detected MIME type matches the file content
-  const ext = path.extname(imagePath).toLowerCase();
-  if (ext === '.png' && !isPNG) {
-    console.warn(`⚠️  Warning: File has .png extension but signature doesn't match PNG format`);
-  } else if ((ext === '.jpg' || ext === '.jpeg') && !isJPEG) {
-    console.warn(`⚠️  Warning: File has .jpg/.jpeg extension but signature doesn't match JPEG format`);
-  } else if (ext === '.gif' && !isGIF) {
-    console.warn(`⚠️  Warning: File has .gif extension but signature doesn't match GIF format`);
-  }
-  
-  return { base64, mimeType };
-}
-
-/**
- * Convert PDF to images (one per page)
- * @param {string} pdfPath - Path to PDF file
- * @returns {Promise<string[]>} Array of image file paths
- */
-async function convertPdfToImages(pdfPath) {
-  console.log(`\n📄 Converting PDF to images: ${pdfPath}`);
-  
-  const tempDir = path.join(__dirname, TEMP_IMAGES_DIR);
-  
-  // Create temp directory if it doesn't exist
-  if (!fs.existsSync(tempDir)) {
-    fs.mkdirSync(tempDir, { recursive: true });
-  }
-
-  const options = {
-    format: 'png',
-    out_dir: tempDir,
-    out_prefix: 'page',
-    page: null // Convert all pages
-  };
-
-  try {
-    await pdf.convert(pdfPath, options);
-    
-    // Get all generated image files, sorted by page number
-    const files = fs.readdirSync(tempDir)
-      .filter(file => file.startsWith('page') && file.endsWith('.png'))
-      .sort((a, b) => {
-        // Extract page number from filename (e.g., "page-1.png")
-        const numA = parseInt(a.match(/\d+/)?.[0] || 0);
-        const numB = parseInt(b.match(/\d+/)?.[0] || 0);
-        return numA - numB;
-      })
-      .map(file => path.join(tempDir, file));
-
-    console.log(`✅ Converted ${files.length} page(s) to images`);
-    return files;
-  } catch (error) {
-    console.error('❌ Error converting PDF:', error);
-    throw new Error(`Failed to convert PDF to images: ${error.message}`);
-  }
-}
-
-/**
- * Merge extracted data from multiple batches
- * @param {Object[]} extractedDataArray - Array of extracted data objects
- * @returns {Object} Merged extracted data
- */
-function mergeExtractedData(extractedDataArray) {
-  if (extractedDataArray.length === 0) {
-    return null;
-  }
-  
-  if (extractedDataArray.length === 1) {
-    return extractedDataArray[0];
-  }
-  
-  // Start with the first result
-  const merged = JSON.parse(JSON.stringify(extractedDataArray[0]));
-  
-  // Merge line items from all batches
-  merged.line_items = extractedDataArray.flatMap(data => data.line_items || []);
-  
-  // Update counts
-  merged.extraction_confidence = {
-    overall: extractedDataArray.length > 0 ? 
-      (extractedDataArray.reduce((sum, d) => sum + (d.extraction_confidence?.overall || 0), 0) / extractedDataArray.length) : null,
-    line_items: merged.line_items.length
-  };
-  
-  // Combine missing fields (unique)
-  const allMissingFields = extractedDataArray.flatMap(data => data.missing_fields || []);
-  merged.missing_fields = [...new Set(allMissingFields)];
-  
-  console.log(`\n📊 Merged ${extractedDataArray.length} batch(es): ${merged.line_items.length} total line items`);
-  
-  return merged;
-}
-
-/**
- * Clean up temporary image files
- * @param {string[]} imagePaths - Array of image file paths to delete
- */
-function cleanupTempImages(imagePaths = []) {
-  try {
-    // Delete specific image files if provided
-    imagePaths.forEach(imagePath => {
-      if (fs.existsSync(imagePath)) {
-        fs.unlinkSync(imagePath);
-      }
-    });
-    
-    // Also clean up the temp directory
-    const tempDir = path.join(__dirname, TEMP_IMAGES_DIR);
-    if (fs.existsSync(tempDir)) {
-      const files = fs.readdirSync(tempDir);
-      files.forEach(file => {
-        if (file.startsWith('page') && file.endsWith('.png')) {
-          fs.unlinkSync(path.join(tempDir, file));
-        }
-      });
-    }
-  } catch (error) {
-    console.warn('⚠️  Warning: Could not clean up temp images:', error.message);
-  }
-}
-
-/**
- * Check if file is a PDF
- * @param {string} filePath - Path to file
- * @returns {boolean} True if file is a PDF
- */
-function isPdfFile(filePath) {
-  const ext = path.extname(filePath).toLowerCase();
-  if (ext !== '.pdf') return false;
-  
-  // Also check file signature
-  try {
-    const buffer = fs.readFileSync(filePath, { start: 0, end: 4 });
-    // PDF signature: %PDF
-    return buffer[0] === 0x25 && buffer[1] === 0x50 && buffer[2] === 0x44 && buffer[3] === 0x46;
-  } catch {
-    return false;
-  }
-}
-
-/**
- * Extract data from image or PDF using OpenAI Vision
- * Handles both single images and PDFs (converts to images first)
- * @param {string} filePath - Path to image or PDF file
- * @returns {Promise<Object>} Extracted structured data
- */
-async function extractDataWithOpenAI(filePaths, batchSize = 5, documentType = 'MBL') {
-  // Normalize to array
-  const files = Array.isArray(filePaths) ? filePaths : [filePaths];
-  let allImagePaths = [];
-  let allTempImagePaths = [];
-  
-  try {
-    // Process all files (convert PDFs to images, collect image paths)
-    for (const filePath of files) {
-      if (isPdfFile(filePath)) {
-        console.log(`\n📄 Detected PDF file: ${path.basename(filePath)}, converting to images...`);
-        const pdfImages = await convertPdfToImages(filePath);
-        allImagePaths.push(...pdfImages);
-        allTempImagePaths.push(...pdfImages);
-      } else {
-        console.log(`\n📸 Detected image file: ${path.basename(filePath)}`);
-        allImagePaths.push(filePath);
-      }
-    }
-
-    if (allImagePaths.length === 0) {
-      throw new Error('No images to process');
-    }
-
-    console.log(`\n🤖 Processing ${allImagePaths.length} image(s) in batches of ${batchSize}...`);
-    console.log(`📄 Document type: ${documentType}`);
-
-    // Get the appropriate prompt for the document type
-    const extractionPrompt = getPromptForDocumentType(documentType);
-
-    // Process images in batches
-    const batches = [];
-    for (let i = 0; i < allImagePaths.length; i += batchSize) {
-      batches.push(allImagePaths.slice(i, i + batchSize));
-    }
-
-    const allExtractedData = [];
-    
-    for (let batchIndex = 0; batchIndex < batches.length; batchIndex++) {
-      const batch = batches[batchIndex];
-      console.log(`\n📦 Processing batch ${batchIndex + 1}/${batches.length} (${batch.length} image(s))...`);
-
-      // Prepare image content for OpenAI
-      const imageContents = batch.map(imagePath => {
-        const { base64, mimeType } = imageToBase64(imagePath);
-        
-        // Ensure MIME type is valid
-        const validMimeTypes = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
-        if (!validMimeTypes.includes(mimeType)) {
-          throw new Error(`Invalid MIME type detected: ${mimeType}`);
-        }
-        
-        console.log(`  📸 ${path.basename(imagePath)} (${mimeType}, ${(base64.length / 1024).toFixed(1)} KB)`);
-        
-        return {
-          type: "image_url",
-          image_url: {
-            url: `data:${mimeType};base64,${base64}`
-          }
-        };
-      });
-
-      // Send batch to OpenAI with the appropriate prompt
-      const response = await openai.chat.completions.create({
-        model: "gpt-4o-mini", // Using gpt-4o-mini (vision-capable)
-        messages: [
-          {
-            role: "user",
-            content: [
-              { type: "text", text: extractionPrompt },
-              ...imageContents
-            ]
-          }
-        ],
-        response_format: { type: "json_object" },
-        max_tokens: 4000
-      });
-
-      const outputText = response.choices[0].message.content;
-      const extractedData = JSON.parse(outputText);
-      allExtractedData.push(extractedData);
-      
-      console.log(`✅ Batch ${batchIndex + 1}/${batches.length} completed`);
-    }
-
-    // Merge all extracted data (combine line items, etc.)
-    const mergedData = mergeExtractedData(allExtractedData);
-    
-    // Clean up temporary images if they were created from PDF
-    if (allTempImagePaths.length > 0) {
-      cleanupTempImages(allTempImagePaths);
-    }
-    
-    return mergedData;
-  } catch (error) {
-    // Clean up temporary images on error
-    if (allTempImagePaths.length > 0) {
-      cleanupTempImages(allTempImagePaths);
-    }
-    
-    console.error('❌ Error calling OpenAI API:', error);
-    
-    // Log more details about the error
-    if (error.response) {
-      console.error('Response status:', error.response.status);
-      console.error('Response data:', JSON.stringify(error.response.data, null, 2));
-    }
-    
-    throw error;
-  }
-}
+// LLM provider (OpenAI, Azure OpenAI, local OpenAI-compatible or mock - see lib/providers.js)
+const llm = createProvider();
+console.log(`🤖 LLM provider: ${llm.name} (model ${llm.model}, max tokens ${llm.maxTokens}, image detail ${llm.imageDetail})`);
 
 // ============================================================================
 // ROUTES
@@ -425,6 +88,11 @@ app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
+// API endpoint to list the supported document types with their review UI layout
+app.get('/api/document-types', (req, res) => {
+  res.json({ success: true, documentTypes: describeDocumentTypes() });
+});
+
 // API endpoint to upload files (supports multiple files)
 app.post('/api/upload', (req, res) => {
   upload.array('files', 50)(req, res, (err) => {
@@ -493,49 +161,190 @@ app.post('/api/upload', (req, res) => {
   });
 });
 
+/**
+ * Read and check the extraction parameters shared by /api/extract and /api/jobs
+ * @param {Object} body - Request body
+ * @returns {Object} { filePaths, batchSize, documentType, batchContext, concurrency, textLayer, preprocess, promptVersions } or { error: { status, body } }
+ */
+function parseExtractionRequest(body = {}) {
+  let filePaths = [];
+  const batchSize = Number(body.batchSize ?? 5); // Default batch size of 5 images
+  const documentType = normalizeDocumentType(body.documentType); // A document type (see lib/document-types/) or AUTO (default)
+  const batchContext = body.batchContext === true; // Pass a summary of earlier batches to later batches
+  const concurrency = Number(body.concurrency ?? BATCH_CONCURRENCY); // Batches sent to the LLM at the same time
+  const textLayer = body.textLayer || TEXT_LAYER_MODE; // How PDF pages with a text layer are sent (hybrid, text or off)
+
+  if (!documentType) {
+    return {
+      error: {
+        status: 400,
+        body: {
+          success: false,
+          error: `Unsupported document type: ${body.documentType}. Use AUTO, ${SUPPORTED_DOCUMENT_TYPES.join(', ')}.`
+        }
+      }
+    };
+  }
+
+  if (!TEXT_LAYER_MODES.includes(textLayer)) {
+    return {
+      error: {
+        status: 400,
+        body: { success: false, error: `Unsupported text layer mode: ${body.textLayer}. Use ${TEXT_LAYER_MODES.join(', ')}.` }
+      }
+    };
+  }
+
+  const invalidCount = [['batchSize', batchSize, body.batchSize], ['concurrency', concurrency, body.concurrency]]
+    .find(([, value]) => !isValidCount(value));
+  if (invalidCount) {
+    return {
+      error: {
+        status: 400,
+        body: { success: false, error: `${invalidCount[0]} must be a whole number of at least 1 (got ${invalidCount[2]})` }
+      }
+    };
+  }
+
+  // Prompt versions are pinned when the request arrives: { HBL: 3 } runs HBL version 3, the rest use the active versions
+  // preprocess: false sends page images unchanged, { orientation, maxDimension, format, quality } overrides the IMAGE_* settings
+  let promptVersions;
+  let preprocess;
+  try {
+    promptVersions = resolvePromptVersions(body.promptVersions || {});
+    preprocess = resolvePreprocessOptions(body.preprocess);
+  } catch (error) {
+    return { error: { status: 400, body: { success: false, error: error.message } } };
+  }
+  
+  // Check if file paths were provided in the request
+  if (body.filePaths && Array.isArray(body.filePaths)) {
+    // Multiple files
+    filePaths = body.filePaths.map(filename => 
+      path.resolve(__dirname, UPLOAD_DIR, path.basename(filename))
+    );
+  } else if (body.filePath) {
+    // Single file (backward compatibility)
+    filePaths = [path.resolve(__dirname, UPLOAD_DIR, path.basename(body.filePath))];
+  } else {
+    // Use default image path
+    filePaths = [path.resolve(__dirname, IMAGE_PATH)];
+  }
+  
+  // Check if all files exist
+  const missingFiles = filePaths.filter(filePath => !fs.existsSync(filePath));
+  if (missingFiles.length > 0) {
+    return {
+      error: {
+        status: 404,
+        body: {
+          error: 'File(s) not found',
+          message: `File(s) not found: ${missingFiles.map(f => path.basename(f)).join(', ')}`
+        }
+      }
+    };
+  }
+
+  return { filePaths, batchSize, documentType, batchContext, concurrency, textLayer, preprocess, promptVersions };
+}
+
+/**
+ * Build the extraction response from the processed documents
+ * @param {Object[]} documents - Documents from extract()
+ * @param {string[]} filePaths - Processed files
+ * @returns {Object} { status, body }
+ */
+function buildExtractionResponse(documents, filePaths) {
+  // The first extracted document is the primary result (kept for backward compatibility)
+  const primary = documents.find(doc => doc.data);
+  if (!primary) {
+    return {
+      status: 422,
+      body: {
+        success: false,
+        error: 'Could not detect the document type. Please select it manually.',
+        documents
+      }
+    };
+  }
+
+  return {
+    status: 200,
+    body: {
+      success: true,
+      data: primary.data,
+      filesProcessed: filePaths.length,
+      documentType: primary.documentType,
+      confidence: primary.confidence,
+      validationErrors: primary.validationErrors,
+      mergeConflicts: primary.mergeConflicts,
+      failedBatches: primary.failedBatches,
+      containerSplits: primary.containerSplits,
+      consistencyWarnings: primary.consistencyWarnings,
+      normalized: primary.normalized,
+      documents
+    }
+  };
+}
+
+/**
+ * Run an extraction, store it in the history and build the response
+ * @param {Object} request - Output of parseExtractionRequest()
+ * @param {Object} options - { signal, onProgress } (see extract)
+ * @returns {Promise<Object>} { status, body } - body carries the stored extractionId
+ */
+async function runExtraction(request, options = {}) {
+  const { filePaths, batchSize, documentType, batchContext, concurrency, textLayer, preprocess } = request;
+
+  // Split into documents (if AUTO) and extract data from files (handles both PDFs and images, processes in batches)
+  // Page images are kept for the review UI until sweepExpiredJobDirs() removes them
+  const { documents, usage, promptVersions, warnings } = await extract(filePaths, {
+    ...options,
+    type: documentType,
+    batchSize,
+    batchContext,
+    concurrency,
+    textLayer,
+    preprocess,
+    provider: llm,
+    promptVersions: request.promptVersions,
+    keepPages: true
+  });
+  const response = buildExtractionResponse(documents, filePaths);
+  response.body.usage = usage;
+  response.body.promptVersions = promptVersions;
+  // Problems that did not stop the run, e.g. a PDF read from its images only
+  response.body.warnings = warnings;
+
+  const record = saveExtraction({
+    filePaths,
+    requestedDocumentType: documentType,
+    provider: { name: llm.name, model: llm.model },
+    promptVersions,
+    usage,
+    result: response.body
+  });
+  response.body.extractionId = record.id;
+
+  console.log(`🔢 Usage: ${usage.requests} request(s), ${usage.total_tokens} token(s)`);
+  return response;
+}
+
 // API endpoint to extract data from uploaded files or default image
 app.post('/api/extract', async (req, res) => {
   try {
-    let filePaths = [];
-    const batchSize = req.body.batchSize || 5; // Default batch size of 5 images
-    const documentType = req.body.documentType || 'MBL'; // Document type: COMMERCIAL_INVOICE, HBL, or MBL
-    
-    // Check if file paths were provided in the request
-    if (req.body.filePaths && Array.isArray(req.body.filePaths)) {
-      // Multiple files
-      filePaths = req.body.filePaths.map(filename => 
-        path.resolve(__dirname, UPLOAD_DIR, path.basename(filename))
-      );
-    } else if (req.body.filePath) {
-      // Single file (backward compatibility)
-      filePaths = [path.resolve(__dirname, UPLOAD_DIR, path.basename(req.body.filePath))];
-    } else {
-      // Use default image path
-      filePaths = [path.resolve(__dirname, IMAGE_PATH)];
-    }
-    
-    // Check if all files exist
-    const missingFiles = filePaths.filter(filePath => !fs.existsSync(filePath));
-    if (missingFiles.length > 0) {
-      return res.status(404).json({ 
-        error: 'File(s) not found',
-        message: `File(s) not found: ${missingFiles.map(f => path.basename(f)).join(', ')}` 
-      });
+    const request = parseExtractionRequest(req.body);
+    if (request.error) {
+      return res.status(request.error.status).json(request.error.body);
     }
 
+    const { filePaths, documentType } = request;
     console.log(`📄 Processing ${filePaths.length} file(s): ${filePaths.map(f => path.basename(f)).join(', ')}`);
     console.log(`📋 Document type: ${documentType}`);
 
-    // Extract data from files (handles both PDFs and images, processes in batches)
-    const extractedData = await extractDataWithOpenAI(filePaths, batchSize, documentType);
-
     // Return extracted data
-    res.json({
-      success: true,
-      data: extractedData,
-      filesProcessed: filePaths.length,
-      documentType: documentType
-    });
+    const response = await runExtraction(request);
+    res.status(response.status).json(response.body);
 
   } catch (error) {
     console.error('❌ Error during extraction:', error);
@@ -546,6 +355,446 @@ app.post('/api/extract', async (req, res) => {
   }
 });
 
+// API endpoint to start an extraction in the background (same body as /api/extract)
+app.post('/api/jobs', (req, res) => {
+  const request = parseExtractionRequest(req.body);
+  if (request.error) {
+    return res.status(request.error.status).json(request.error.body);
+  }
+
+  const { filePaths, batchSize, documentType, batchContext, concurrency, textLayer } = request;
+  const job = createJob({
+    files: filePaths.map(f => path.basename(f)),
+    documentType,
+    batchSize,
+    batchContext,
+    concurrency,
+    textLayer
+  });
+
+  console.log(`🧾 Job ${job.id} queued: ${filePaths.length} file(s), document type ${documentType}`);
+
+  // Not awaited: the client polls GET /api/jobs/:id or listens to /api/jobs/:id/events
+  runJob(job, async ({ signal, onProgress }) => {
+    const response = await runExtraction(request, { signal, onProgress });
+    if (!response.body.success) {
+      throw new Error(response.body.error);
+    }
+    return response.body;
+  }).then(() => {
+    console.log(`🧾 Job ${job.id} ${job.status}`);
+  });
+
+  res.status(202).json({
+    success: true,
+    jobId: job.id,
+    status: job.status,
+    statusUrl: `/api/jobs/${job.id}`,
+    eventsUrl: `/api/jobs/${job.id}/events`
+  });
+});
+
+// API endpoint to get job status (and the extraction result once completed)
+app.get('/api/jobs/:id', (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ success: false, error: 'Job not found' });
+  }
+
+  res.json({ success: true, job: serializeJob(job) });
+});
+
+// Server-Sent Events stream of job progress (progress, completed, failed, cancelled)
+app.get('/api/jobs/:id/events', (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ success: false, error: 'Job not found' });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  res.flushHeaders();
+
+  const send = event => {
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+  };
+
+  // Replay what happened so far (or since Last-Event-ID when the browser reconnects)
+  const lastEventId = Number(req.get('Last-Event-ID')) || 0;
+  job.events.filter(event => event.id > lastEventId).forEach(send);
+
+  if (isFinished(job)) {
+    return res.end();
+  }
+
+  const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+  const unsubscribe = subscribeToJob(job, event => {
+    send(event);
+    if (isFinished(job)) {
+      close();
+    }
+  });
+
+  function close() {
+    clearInterval(keepAlive);
+    unsubscribe();
+    res.end();
+  }
+
+  req.on('close', close);
+});
+
+// API endpoint to cancel a queued or running job
+app.delete('/api/jobs/:id', (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ success: false, error: 'Job not found' });
+  }
+
+  if (!cancelJob(job)) {
+    return res.status(409).json({ success: false, error: `Job already ${job.status}` });
+  }
+
+  console.log(`🛑 Job ${job.id} cancelled`);
+  res.json({ success: true, job: serializeJob(job) });
+});
+
+// API endpoint to browse stored extractions (filters: type, from, to, reference, status, limit, offset)
+app.get('/api/extractions', (req, res) => {
+  const { type, from, to, reference, status, limit, offset } = req.query;
+
+  const invalidDate = [from, to].find(date => date && Number.isNaN(Date.parse(date)));
+  if (invalidDate) {
+    return res.status(400).json({ success: false, error: `Invalid date: ${invalidDate}. Use an ISO date such as 2024-05-01.` });
+  }
+
+  const { total, extractions } = listExtractions({ type, from, to, reference, status, limit, offset });
+  res.json({ success: true, total, extractions });
+});
+
+// API endpoint to get one stored extraction with its full result
+app.get('/api/extractions/:id', (req, res) => {
+  const extraction = getExtraction(req.params.id);
+  if (!extraction) {
+    return res.status(404).json({ success: false, error: 'Extraction not found' });
+  }
+
+  res.json({ success: true, extraction });
+});
+
+// API endpoint to save a reviewer's corrections for one document, optionally approving it
+// Body: { document (1-based, default: the first one with data), data (corrected data), reviewer, approve }
+app.post('/api/extractions/:id/review', (req, res) => {
+  const extraction = getExtraction(req.params.id);
+  if (!extraction) {
+    return res.status(404).json({ success: false, error: 'Extraction not found' });
+  }
+
+  const { data, reviewer, approve } = req.body || {};
+  const documents = extraction.result.documents || [];
+  const documentIndex = req.body?.document ? Number(req.body.document) - 1 : documents.findIndex(doc => doc.data);
+  if (!documents[documentIndex]?.data) {
+    return res.status(404).json({ success: false, error: 'No extracted document to review' });
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return res.status(400).json({ success: false, error: 'data must be the corrected document object' });
+  }
+  // Corrections feed the consistency checks, exports and reconciliation, so they must match the schema
+  const validationErrors = validateExtraction(documents[documentIndex].documentType, data);
+  if (validationErrors.length > 0) {
+    return res.status(400).json({ success: false, error: 'data does not match the document schema', validationErrors });
+  }
+
+  const review = applyReview(extraction, { documentIndex, data, reviewer, approve: approve === true });
+  review.consistencyWarnings = checkConsistency(review.documentType, data);
+  review.normalized = normalizeDocument(data);
+  updateExtraction(extraction);
+
+  console.log(`📝 Extraction ${extraction.id} document ${documentIndex + 1} ${review.status}: ${review.corrections.length} correction(s)`);
+  res.json({ success: true, review });
+});
+
+// API endpoint to get a page image of a stored extraction (pageIndex as in sourcePages and provenance)
+// Images are only kept for PAGE_RETENTION_HOURS; after that the page is gone (410)
+app.get('/api/extractions/:id/pages/:pageIndex', (req, res) => {
+  const extraction = getExtraction(req.params.id);
+  if (!extraction) {
+    return res.status(404).json({ success: false, error: 'Extraction not found' });
+  }
+
+  const pageIndex = Number(req.params.pageIndex);
+  const page = (extraction.result.documents || [])
+    .flatMap(doc => doc.sourcePages || [])
+    .find(sourcePage => sourcePage.pageIndex === pageIndex);
+  if (!page?.image) {
+    return res.status(404).json({ success: false, error: `Page ${req.params.pageIndex} not found` });
+  }
+
+  // Only serve files from the page image and upload directories
+  const imagePath = path.resolve(__dirname, page.image);
+  const allowed = [TEMP_IMAGES_DIR, UPLOAD_DIR].some(dir => imagePath.startsWith(path.resolve(__dirname, dir) + path.sep));
+  if (!allowed) {
+    return res.status(404).json({ success: false, error: `Page ${req.params.pageIndex} not found` });
+  }
+  if (!fs.existsSync(imagePath)) {
+    return res.status(410).json({ success: false, error: `Page image expired (kept for ${PAGE_RETENTION_HOURS} hours)` });
+  }
+
+  res.sendFile(imagePath);
+});
+
+// API endpoint to export a stored extraction
+// format=cargowise (default): eAdaptor Universal Shipment XML; json, csv or html: the document as a file (see lib/render.js)
+// document selects the sub-document (1-based, default: the first one with data)
+app.get('/api/extractions/:id/export', async (req, res) => {
+  const extraction = getExtraction(req.params.id);
+  if (!extraction) {
+    return res.status(404).json({ success: false, error: 'Extraction not found' });
+  }
+
+  const format = String(req.query.format || 'cargowise').toLowerCase();
+  const formats = ['cargowise', ...Object.keys(RENDER_FORMATS)];
+  if (!formats.includes(format)) {
+    return res.status(400).json({ success: false, error: `Unsupported export format: ${req.query.format}. Use ${formats.join(', ')}.` });
+  }
+
+  const documents = extraction.result.documents || [];
+  const index = req.query.document ? Number(req.query.document) - 1 : documents.findIndex(doc => doc.data);
+  if (!documents[index]?.data) {
+    return res.status(404).json({ success: false, error: 'No extracted document to export' });
+  }
+
+  // Export what the reviewer corrected, not the raw model output
+  const review = extraction.reviews?.[index];
+  const document = {
+    ...documents[index],
+    data: reviewedData(extraction, index),
+    consistencyWarnings: review?.consistencyWarnings ?? documents[index].consistencyWarnings,
+    normalized: review?.normalized ?? documents[index].normalized
+  };
+  const referenceField = getDocumentType(document.documentType)?.referenceField;
+  const reference = String(document.reference || (referenceField && document.data[referenceField]) || extraction.id)
+    .replace(/[^A-Za-z0-9_-]/g, '_');
+
+  try {
+    if (format !== 'cargowise') {
+      const { content, contentType, extension } = renderDocument(document, format);
+      res.set({
+        'Content-Type': contentType,
+        'Content-Disposition': `attachment; filename="${document.documentType}-${reference}.${extension}"`
+      });
+      return res.send(content);
+    }
+
+    const { xml, warnings } = buildUniversalShipment(document);
+
+    // Catches exporter mistakes; only CARGOWISE_XSD (the official schema) is what CargoWise itself checks
+    const schemaErrors = await validateUniversalShipment(xml);
+    if (schemaErrors.length > 0) {
+      console.error(`❌ CargoWise export of ${extraction.id} failed XSD validation:`, schemaErrors);
+      return res.status(422).json({ success: false, error: 'Export does not match the Universal Shipment schema', schemaErrors, warnings });
+    }
+
+    if (warnings.length > 0) {
+      console.warn(`⚠️  CargoWise export of ${extraction.id}: ${warnings.length} value(s) left out`);
+    }
+
+    res.set({
+      'Content-Type': 'application/xml; charset=utf-8',
+      'Content-Disposition': `attachment; filename="${document.documentType}-${reference}.xml"`,
+      'X-Export-Warnings': String(warnings.length)
+    });
+    res.send(xml);
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// API endpoint to reconcile the documents of one shipment (invoices, HBLs, MBL) against each other
+// Body: { extractions: [id | { id, document (1-based) }] } - an id alone takes every document of that extraction
+app.post('/api/reconcile', (req, res) => {
+  const selections = req.body?.extractions;
+  if (!Array.isArray(selections) || selections.length === 0) {
+    return res.status(400).json({ success: false, error: 'extractions must be a list of extraction ids or { id, document } objects' });
+  }
+
+  const docs = [];
+  for (const selection of selections) {
+    const id = typeof selection === 'object' && selection !== null ? selection.id : selection;
+    const extraction = getExtraction(String(id));
+    if (!extraction) {
+      return res.status(404).json({ success: false, error: `Extraction not found: ${id}` });
+    }
+
+    const documents = extraction.result.documents || [];
+    const indexes = selection?.document
+      ? [Number(selection.document) - 1]
+      : documents.map((doc, index) => index).filter(index => documents[index].data);
+    if (indexes.some(index => !documents[index]?.data)) {
+      return res.status(404).json({ success: false, error: `No extracted document ${selection.document} in extraction ${id}` });
+    }
+
+    // Reconcile what the reviewers corrected, not the raw model output
+    indexes.forEach(index => docs.push({
+      extractionId: extraction.id,
+      document: index + 1,
+      documentType: documents[index].documentType,
+      reference: documents[index].reference,
+      data: reviewedData(extraction, index)
+    }));
+  }
+
+  if (docs.length < 2) {
+    return res.status(400).json({ success: false, error: 'Select at least two documents to reconcile' });
+  }
+
+  const report = reconcileDocuments(docs);
+  console.log(`🔗 Reconciled ${docs.length} document(s): ${report.discrepancies.length} discrepanc${report.discrepancies.length === 1 ? 'y' : 'ies'}`);
+  res.json({ success: true, ...report });
+});
+
+/**
+ * Compare the results of two prompt versions on the same upload
+ * Documents are matched by position; a document's fields are only compared when both runs extracted it as the same type.
+ * @param {Object[]} runs - [{ version, body }] - body is the extraction response of each run
+ * @returns {Object[]} [{ document, documentType, differences: [{ path, op, from, to }] | null, metrics: per run { validationErrors, consistencyWarnings, unresolved, failedBatches } }]
+ */
+function comparePromptRuns(runs) {
+  const [a, b] = runs.map(run => run.body.documents || []);
+  const metrics = doc => doc && {
+    validationErrors: doc.validationErrors.length,
+    consistencyWarnings: doc.consistencyWarnings.length,
+    unresolved: Object.values(doc.normalized).filter(entry => !entry.resolved).length,
+    failedBatches: doc.failedBatches.length
+  };
+
+  return Array.from({ length: Math.max(a.length, b.length) }, (_, index) => {
+    const [docA, docB] = [a[index], b[index]];
+    const comparable = docA?.data && docB?.data && docA.documentType === docB.documentType;
+    return {
+      document: index + 1,
+      documentType: comparable ? docA.documentType : [docA?.documentType ?? null, docB?.documentType ?? null],
+      // diffValues reports what changed from the first version to the second
+      differences: comparable ? diffValues(docA.data, docB.data) : null,
+      metrics: [metrics(docA), metrics(docB)]
+    };
+  });
+}
+
+// API endpoint to list the prompts with their versions (text left out)
+app.get('/api/prompts', (req, res) => {
+  res.json({ success: true, prompts: listPrompts() });
+});
+
+// API endpoint to get one prompt version with its text (version=<n>, default: the active version)
+app.get('/api/prompts/:name', (req, res) => {
+  try {
+    const prompt = getPrompt(req.params.name, req.query.version);
+    if (!prompt) {
+      return res.status(404).json({ success: false, error: `Prompt ${req.params.name} has no version ${req.query.version}` });
+    }
+    res.json({ success: true, prompt });
+  } catch (error) {
+    res.status(404).json({ success: false, error: error.message });
+  }
+});
+
+// API endpoint to create a prompt version
+// Body: { text, description, author, basedOn (version it was edited from), activate (default false) }
+app.post('/api/prompts/:name/versions', (req, res) => {
+  if (!promptNames().includes(String(req.params.name).toUpperCase())) {
+    return res.status(404).json({ success: false, error: `Unknown prompt: ${req.params.name}` });
+  }
+
+  try {
+    const prompt = createPromptVersion(req.params.name, { ...req.body, activate: req.body?.activate === true });
+    res.status(201).json({ success: true, prompt });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// API endpoint to make a prompt version the one new extractions use
+app.post('/api/prompts/:name/versions/:version/activate', (req, res) => {
+  try {
+    const prompt = activatePromptVersion(req.params.name, req.params.version);
+    if (!prompt) {
+      return res.status(404).json({ success: false, error: `Prompt ${req.params.name} has no version ${req.params.version}` });
+    }
+    res.json({ success: true, prompt });
+  } catch (error) {
+    res.status(404).json({ success: false, error: error.message });
+  }
+});
+
+// API endpoint to run two versions of a prompt on the same upload (A/B comparison), as a background job
+// Body: same as /api/extract plus versions: [a, b]; documentType defaults to the prompt's document type
+app.post('/api/prompts/:name/compare', (req, res) => {
+  const name = String(req.params.name).toUpperCase();
+  if (!promptNames().includes(name)) {
+    return res.status(404).json({ success: false, error: `Unknown prompt: ${req.params.name}` });
+  }
+
+  const versions = req.body?.versions;
+  if (!Array.isArray(versions) || versions.length !== 2) {
+    return res.status(400).json({ success: false, error: 'versions must be the two prompt versions to compare, e.g. [2, 3]' });
+  }
+
+  const body = { documentType: name === 'CLASSIFICATION' ? 'AUTO' : name, ...req.body };
+  const requests = versions.map(version => parseExtractionRequest({ ...body, promptVersions: { ...body.promptVersions, [name]: version } }));
+  const failed = requests.find(request => request.error);
+  if (failed) {
+    return res.status(failed.error.status).json(failed.error.body);
+  }
+
+  const job = createJob({
+    files: requests[0].filePaths.map(f => path.basename(f)),
+    documentType: requests[0].documentType,
+    prompt: name,
+    versions: requests.map(request => request.promptVersions[name])
+  });
+
+  console.log(`🆎 Job ${job.id} queued: ${name} version ${versions[0]} vs ${versions[1]}`);
+
+  // The runs go one after another so both see the same provider load
+  runJob(job, async ({ signal, onProgress }) => {
+    const runs = [];
+    for (const [index, request] of requests.entries()) {
+      const version = request.promptVersions[name];
+      const response = await runExtraction(request, {
+        signal,
+        onProgress: progress => onProgress({ ...progress, run: index + 1, totalRuns: requests.length, version })
+      });
+      runs.push({ version, body: response.body });
+    }
+
+    return {
+      success: true,
+      prompt: name,
+      runs: runs.map(run => ({
+        version: run.version,
+        extractionId: run.body.extractionId,
+        success: run.body.success,
+        usage: run.body.usage
+      })),
+      documents: comparePromptRuns(runs)
+    };
+  }).then(() => {
+    console.log(`🆎 Job ${job.id} ${job.status}`);
+  });
+
+  res.status(202).json({
+    success: true,
+    jobId: job.id,
+    status: job.status,
+    statusUrl: `/api/jobs/${job.id}`,
+    eventsUrl: `/api/jobs/${job.id}/events`
+  });
+});
+
 // Global error handler for unhandled errors
 app.use((err, req, res, next) => {
   console.error('❌ Unhandled error:', err);
@@ -571,6 +820,10 @@ app.use('/api/*', (req, res) => {
 });
 
 // Start server
+// Remove page images past their retention now and every hour
+sweepExpiredJobDirs(PAGE_RETENTION_HOURS);
+setInterval(() => sweepExpiredJobDirs(PAGE_RETENTION_HOURS), 60 * 60 * 1000).unref();
+
 app.listen(PORT, () => {
   console.log(`🚀 Server running at http://localhost:${PORT}`);
   console.log(`📄 Make sure your image is at: ${path.resolve(__dirname, IMAGE_PATH)}`);
@@ -0,0 +1,75 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { buildUniversalShipment, validateUniversalShipment } from '../lib/cargowise.js';
+import { extraction, tempDir } from './helpers.js';
+
+const HBL = extraction('HBL', {
+  hbl_number: 'HB123456',
+  issue_date: '5 Oct 2026',
+  freight_term: 'FREIGHT PREPAID',
+  parties: { shipper: { name: 'Shanghai Textiles Co., Ltd.', address: 'No. 1 Road\nShanghai' }, consignee: { name: 'Acme B.V.', address: null } },
+  routing: { port_of_loading: 'Shanghai', port_of_discharge: 'Rotterdam', vessel_name: 'MSC OSCAR', voyage_number: 'FE123', etd: 'next week' },
+  cargo_summary: { total_packages: { value: 120, unit: 'CTNS' }, gross_weight: { value: '1,234.50', unit: 'KGS' }, volume: { value: 12.5, unit: 'CBM' } },
+  containers: [{ container_number: 'CSQU 305438-3', seal_number: 'SL1', container_type: "40' HC", stuffing_mode: 'FCL' }]
+});
+
+test('an HBL exports to Universal Shipment XML that passes the bundled XSD', async () => {
+  const { xml, warnings } = buildUniversalShipment({ documentType: 'HBL', data: HBL }, { senderId: 'TEST' });
+
+  assert.deepEqual(await validateUniversalShipment(xml), []);
+  assert.match(xml, /<WayBillNumber>HB123456<\/WayBillNumber>/);
+  assert.match(xml, /<ContainerNumber>CSQU3054383<\/ContainerNumber><ContainerType><Code>45G1<\/Code><\/ContainerType>/);
+  assert.match(xml, /<TotalWeight>1234.50<\/TotalWeight><TotalWeightUnit><Code>KG<\/Code><\/TotalWeightUnit>/);
+
+  // Free-text dates are left out and reported instead of failing the export
+  assert.deepEqual(warnings.map(warning => warning.path), ['routing.etd']);
+  assert.match(xml, /<!-- Not exported:\n {2}routing\.etd/);
+});
+
+test('left-out values full of hyphens still give a well-formed comment', async () => {
+  const data = { ...HBL, issue_date: '---', routing: { ...HBL.routing, etd: 'TBA-' } };
+  const { xml, warnings } = buildUniversalShipment({ documentType: 'HBL', data });
+
+  assert.deepEqual(warnings.map(warning => warning.value), ['---', 'TBA-']);
+  assert.deepEqual(await validateUniversalShipment(xml), []);
+});
+
+test('container types without an ISO code are left out and reported', () => {
+  const data = { ...HBL, containers: [{ ...HBL.containers[0], container_type: 'SPECIAL BOX' }] };
+  const { xml, warnings } = buildUniversalShipment({ documentType: 'HBL', data });
+
+  assert.doesNotMatch(xml, /<ContainerType>/);
+  assert.deepEqual(warnings.map(warning => warning.path), ['containers[0].container_type', 'routing.etd']);
+});
+
+test('CARGOWISE_XSD replaces the bundled schema', async () => {
+  const schemaDir = tempDir();
+  const schemaPath = path.join(schemaDir, 'UniversalInterchange.xsd');
+  // Stands in for the official schema: an interchange without any content
+  fs.writeFileSync(schemaPath, `<?xml version="1.0" encoding="utf-8"?>
+<xs:schema xmlns:xs="http://www.w3.org/2001/XMLSchema" targetNamespace="http://www.cargowise.com/Schemas/Universal/2011/11" elementFormDefault="qualified">
+  <xs:element name="UniversalInterchange"><xs:complexType/></xs:element>
+</xs:schema>`);
+  const { xml } = buildUniversalShipment({ documentType: 'HBL', data: HBL });
+
+  process.env.CARGOWISE_XSD = schemaPath;
+  try {
+    assert.ok((await validateUniversalShipment(xml)).length > 0);
+  } finally {
+    delete process.env.CARGOWISE_XSD;
+  }
+});
+
+test('the XSD rejects XML that does not follow it', async () => {
+  const { xml } = buildUniversalShipment({ documentType: 'HBL', data: HBL });
+  const broken = xml.replace('<WayBillNumber>', '<Unexpected>x</Unexpected><WayBillNumber>');
+
+  assert.ok((await validateUniversalShipment(broken)).length > 0);
+});
+
+test('only commercial invoices, HBLs and MBLs can be exported', () => {
+  assert.throws(() => buildUniversalShipment({ documentType: 'PACKING_LIST', data: extraction('PACKING_LIST') }), /not available for PACKING_LIST/);
+  assert.throws(() => buildUniversalShipment({ documentType: 'HBL', data: null }), /no extracted data/);
+});
@@ -0,0 +1,25 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { spawnSync } from 'child_process';
+import { fileURLToPath } from 'url';
+
+const ROOT_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+/**
+ * Run the CLI and wait for it to end
+ * @param {string[]} args - Command line arguments
+ * @returns {Object} { status, stderr }
+ */
+function runCli(args) {
+  return spawnSync(process.execPath, ['index.js', ...args], { cwd: ROOT_DIR, encoding: 'utf8', timeout: 30000 });
+}
+
+for (const [option, value] of [['--batch-size', '-1'], ['--batch-size', '2.5'], ['--batch-size', 'abc'], ['--concurrency', '0'], ['--concurrency', '-3']]) {
+  test(`${option} ${value} is rejected before anything is processed`, () => {
+    const { status, stderr } = runCli(['sample-docs/invoice.png', `${option}=${value}`]);
+
+    assert.equal(status, 1);
+    assert.match(stderr, new RegExp(`${option} must be a whole number of at least 1 \\(got ${value.replace('.', '\\.')}\\)`));
+  });
+}
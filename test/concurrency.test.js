@@ -0,0 +1,85 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { mapWithConcurrency, withRetries, isRetryableError, retryDelayMs } from '../lib/concurrency.js';
+import { quietConsole, scriptedProvider } from './helpers.js';
+
+quietConsole();
+
+/**
+ * Error shaped like an OpenAI SDK API error
+ * @param {number} status - HTTP status
+ * @param {Object} headers - Response headers
+ * @returns {Error} Error with status and headers
+ */
+function apiError(status, headers = {}) {
+  return Object.assign(new Error(`HTTP ${status}`), { status, headers });
+}
+
+test('mapWithConcurrency keeps the input order and the concurrency cap', async () => {
+  let running = 0;
+  let peak = 0;
+  const results = await mapWithConcurrency([30, 10, 20, 5], 2, async (ms, index) => {
+    peak = Math.max(peak, ++running);
+    await new Promise(resolve => setTimeout(resolve, ms));
+    running--;
+    return index;
+  });
+
+  assert.deepEqual(results, [0, 1, 2, 3]);
+  assert.equal(peak, 2);
+});
+
+test('withRetries retries rate limits and server errors, then succeeds', async () => {
+  const provider = scriptedProvider([apiError(429), apiError(503), '{"ok":true}']);
+  const response = await withRetries(provider, { maxRetries: 3, baseDelayMs: 1 }).complete({ messages: [] });
+
+  assert.equal(response.content, '{"ok":true}');
+  assert.equal(provider.requests.length, 3);
+});
+
+test('withRetries gives up after maxRetries and does not retry client errors', async () => {
+  const limited = scriptedProvider([apiError(429), apiError(429), apiError(429)]);
+  await assert.rejects(withRetries(limited, { maxRetries: 2, baseDelayMs: 1 }).complete({ messages: [] }), /HTTP 429/);
+  assert.equal(limited.requests.length, 3);
+
+  const invalid = scriptedProvider([apiError(400), '{}']);
+  await assert.rejects(withRetries(invalid, { maxRetries: 2, baseDelayMs: 1 }).complete({ messages: [] }), /HTTP 400/);
+  assert.equal(invalid.requests.length, 1);
+});
+
+test('isRetryableError recognises transient failures', () => {
+  assert.equal(isRetryableError(apiError(429)), true);
+  assert.equal(isRetryableError(apiError(500)), true);
+  assert.equal(isRetryableError(apiError(401)), false);
+  assert.equal(isRetryableError(Object.assign(new Error('reset'), { code: 'ECONNRESET' })), true);
+  assert.equal(isRetryableError(Object.assign(new Error('aborted'), { name: 'AbortError' })), false);
+});
+
+test('retryDelayMs honours Retry-After from fetch Headers and plain objects', () => {
+  // The OpenAI SDK hands over fetch Headers, which return null for a missing header
+  assert.equal(retryDelayMs(apiError(429, new Headers({ 'retry-after': '7' })), 0), 7000);
+  assert.equal(retryDelayMs(apiError(429, new Headers({ 'retry-after-ms': '250' })), 0), 250);
+  assert.equal(retryDelayMs(apiError(429, { 'retry-after': '3' }), 0), 3000);
+
+  const date = new Date(Date.now() + 10000).toUTCString();
+  const untilDate = retryDelayMs(apiError(503, new Headers({ 'retry-after': date })), 0);
+  assert.ok(untilDate > 8000 && untilDate <= 10000, `${untilDate}`);
+
+  // Absurd values are capped
+  assert.equal(retryDelayMs(apiError(429, new Headers({ 'retry-after': '3600' })), 0), 120000);
+});
+
+test('retryDelayMs falls back to backoff when the headers ask for nothing', () => {
+  for (const headers of [new Headers(), new Headers({ 'retry-after': '' }), {}]) {
+    const delays = Array.from({ length: 20 }, () => retryDelayMs(apiError(429, headers), 3, { baseDelayMs: 100, maxDelayMs: 1000 }));
+    assert.ok(delays.every(delay => delay >= 0 && delay <= 800), delays.join(','));
+    assert.ok(delays.some(delay => delay > 0), 'backoff, not an immediate retry');
+  }
+});
+
+test('retryDelayMs uses exponential backoff with jitter when the server asks for nothing', () => {
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const delay = retryDelayMs(apiError(500), attempt, { baseDelayMs: 100, maxDelayMs: 1000 });
+    assert.ok(delay >= 0 && delay <= Math.min(1000, 100 * 2 ** attempt), `attempt ${attempt}: ${delay}`);
+  }
+});
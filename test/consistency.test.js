@@ -0,0 +1,86 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { checkConsistency } from '../lib/document-types/index.js';
+import { extraction } from './helpers.js';
+
+/**
+ * Invoice line item with the given amounts
+ * @param {number} lineNo - Line number
+ * @param {number} quantity - Quantity
+ * @param {number} unitPrice - Unit price
+ * @param {number} lineAmount - Line amount
+ * @param {string} currency - Currency of the price and amount
+ * @returns {Object} Line item
+ */
+function line(lineNo, quantity, unitPrice, lineAmount, currency = 'USD') {
+  return {
+    line_no: lineNo, item_code: null, reference_no: null, po_number: null, description: `Item ${lineNo}`, color: null, size: null,
+    quantity: { value: quantity, unit: 'PCS' },
+    unit_price: { value: unitPrice, currency },
+    line_amount: { value: lineAmount, currency }
+  };
+}
+
+/**
+ * Rules that fired for an invoice
+ * @param {Object} values - Invoice values (see extraction)
+ * @returns {Object[]} [{ rule, path }]
+ */
+function invoiceWarnings(values) {
+  return checkConsistency('COMMERCIAL_INVOICE', extraction('COMMERCIAL_INVOICE', values))
+    .map(({ rule, path }) => ({ rule, path }));
+}
+
+test('line currencies are compared with the invoice currency', () => {
+  const warnings = invoiceWarnings({
+    financials: { currency: 'usd ' },
+    line_items: [line(1, 2, 5, 10), line(2, 1, 4, 4, 'EUR')]
+  });
+
+  assert.deepEqual(warnings, [
+    { rule: 'currency', path: 'line_items[1].unit_price.currency' },
+    { rule: 'currency', path: 'line_items[1].line_amount.currency' }
+  ]);
+});
+
+test('without an invoice currency, line currencies are compared with the first line', () => {
+  const [warning] = checkConsistency('COMMERCIAL_INVOICE', extraction('COMMERCIAL_INVOICE', {
+    line_items: [line(1, 2, 5, 10, 'EUR'), { ...line(2, 1, 4, 4), unit_price: { value: 4, currency: 'EUR' } }]
+  }));
+
+  assert.equal(warning.path, 'line_items[1].line_amount.currency');
+  assert.equal(warning.message, 'Line 2: currency USD differs from the first line\'s currency EUR');
+});
+
+test('line amounts must add up to the FOB value or the invoice total', () => {
+  const lines = [line(1, 2, 5, 10), line(2, 1, 4, 4)];
+
+  assert.deepEqual(invoiceWarnings({ financials: { currency: 'USD', fob_value: 14, invoice_total: 20 }, line_items: lines }), []);
+  assert.deepEqual(invoiceWarnings({ financials: { currency: 'USD', invoice_total: '14.00' }, line_items: lines }), []);
+  assert.deepEqual(invoiceWarnings({ financials: { currency: 'USD', fob_value: 15, invoice_total: 20 }, line_items: lines }),
+    [{ rule: 'line_total', path: 'financials.fob_value' }]);
+  // A line without an amount makes the sum meaningless
+  assert.deepEqual(invoiceWarnings({ financials: { currency: 'USD', invoice_total: 99 }, line_items: [...lines, { ...line(3, 1, 1, 1), line_amount: null }] }), []);
+});
+
+test('CIF totals include freight and insurance', () => {
+  const financials = { currency: 'USD', fob_value: 100, freight: 20, insurance: 5 };
+
+  assert.deepEqual(invoiceWarnings({ incoterm: 'CIF Rotterdam', financials: { ...financials, invoice_total: 125 } }), []);
+  assert.deepEqual(invoiceWarnings({ incoterm: 'CFR Rotterdam', financials: { ...financials, invoice_total: 125 } }),
+    [{ rule: 'incoterm_total', path: 'financials.invoice_total' }]);
+});
+
+test('malformed line items and containers are skipped, not thrown on', () => {
+  const financials = { currency: 'USD', invoice_total: 10 };
+
+  assert.deepEqual(invoiceWarnings({ financials, line_items: [null] }), []);
+  assert.deepEqual(invoiceWarnings({ financials, line_items: 'abc' }), []);
+  // Paths keep the index of the row in the extracted array
+  assert.deepEqual(invoiceWarnings({ financials, line_items: [null, line(2, 2, 5, 11)] }),
+    [{ rule: 'line_amount', path: 'line_items[1].line_amount.value' }]);
+
+  for (const values of [{ line_items: [null], containers: [null] }, { line_items: 'abc', containers: 'abc' }]) {
+    assert.deepEqual(checkConsistency('PACKING_LIST', extraction('PACKING_LIST', values)), [], JSON.stringify(values));
+  }
+});
@@ -0,0 +1,39 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { checkContainerNumber, normalizeContainerType, splitContainers } from '../lib/containers.js';
+
+test('checkContainerNumber validates the ISO 6346 check digit', () => {
+  assert.deepEqual(checkContainerNumber('CSQU3054383'), { valid: true, number: 'CSQU3054383' });
+  assert.deepEqual(checkContainerNumber('CSQU 305438-3'), { valid: true, number: 'CSQU3054383' });
+
+  const wrongDigit = checkContainerNumber('MSCU1234565');
+  assert.equal(wrongDigit.valid, false);
+  assert.equal(wrongDigit.expectedCheckDigit, 6);
+
+  assert.match(checkContainerNumber('MSCX1234566').reason, /equipment category X/);
+  assert.match(checkContainerNumber('TO BE ADVISED').reason, /not in the ISO 6346 format/);
+});
+
+test('normalizeContainerType maps common spellings to ISO size/type codes', () => {
+  assert.equal(normalizeContainerType("40' HC").value, '45G1');
+  assert.equal(normalizeContainerType('1 X 20GP').value, '22G1');
+  assert.equal(normalizeContainerType('22G1').value, '22G1');
+  assert.equal(normalizeContainerType('BULK').resolved, false);
+});
+
+test('splitContainers separates container numbers glued to a seal or type', () => {
+  const data = {
+    containers: [
+      { container_number: 'CSQU3054383/SL998877', seal_number: null, container_type: null },
+      { container_number: 'MSCU1234566 40HC', seal_number: 'ABC1', container_type: null },
+      { container_number: null, seal_number: 'CSQU3054383', container_type: '20GP' }
+    ]
+  };
+
+  const splits = splitContainers(data);
+
+  assert.equal(splits.length, 3);
+  assert.deepEqual(data.containers[0], { container_number: 'CSQU3054383', seal_number: 'SL998877', container_type: null });
+  assert.deepEqual(data.containers[1], { container_number: 'MSCU1234566', seal_number: 'ABC1', container_type: '40HC' });
+  assert.equal(data.containers[2].container_number, 'CSQU3054383');
+});
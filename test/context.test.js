@@ -0,0 +1,48 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { buildBatchContext } from '../lib/context.js';
+
+const PAGES = { firstPage: 3, lastPage: 4, totalPages: 6 };
+
+test('the first batch gets no context', () => {
+  assert.equal(buildBatchContext([], { firstPage: 1, lastPage: 2, totalPages: 6 }), null);
+  assert.equal(buildBatchContext(null, { firstPage: 1, lastPage: 2, totalPages: 6 }), null);
+});
+
+test('later batches see header fields, the line item table and containers found so far', () => {
+  const context = buildBatchContext([
+    {
+      document_type: 'COMMERCIAL_INVOICE',
+      invoice_number: 'INV-2026-001',
+      parties: { seller: { name: 'Acme Textiles', address: 'x'.repeat(100) } },
+      line_items: [{ line_no: 1, description: 'Cotton shirts', color: null, quantity: { value: 100, unit: 'PCS' } }],
+      containers: [{ container_number: 'MSCU1234565' }]
+    },
+    {
+      // A later batch does not replace header fields found earlier
+      invoice_number: 'INV-OTHER',
+      line_items: [{ line_no: '7', description: 'Denim trousers', color: 'Blue', quantity: { value: null, unit: null } }],
+      containers: [{ container_number: null }]
+    }
+  ], PAGES);
+
+  const lines = context.split('\n');
+  assert.equal(lines[0], 'CONTEXT FROM EARLIER BATCHES');
+  assert.equal(lines[1], '- This batch contains pages 3-4 of 6. Pages 1-2 were already processed.');
+  assert.equal(lines[4], `- Header fields already found: {"invoice_number":"INV-2026-001","parties.seller.name":"Acme Textiles","parties.seller.address":"${'x'.repeat(80)}…"}`);
+  assert.equal(lines[5], '- 2 line item(s) already extracted. Table columns in use (in order): line_no, description, quantity, color.');
+  assert.equal(lines[6], '- Last line item so far: {"line_no":"7","description":"Denim trousers"}.');
+  assert.match(context, /continue numbering from 8; never restart at 1\./);
+  assert.match(context, /Containers already found: MSCU1234565\. /);
+});
+
+test('malformed batch results add nothing to the context', () => {
+  for (const previous of [[{ line_items: [null] }], [null], [{ line_items: 'abc', containers: 'abc' }], [{ containers: [null] }]]) {
+    const context = buildBatchContext(previous, PAGES);
+    assert.equal(context.split('\n').length, 4, JSON.stringify(previous));
+  }
+
+  const context = buildBatchContext([{ line_items: [null, { line_no: 4, description: 'Socks' }] }], PAGES);
+  assert.match(context, /- 1 line item\(s\) already extracted/);
+  assert.match(context, /continue numbering from 5;/);
+});
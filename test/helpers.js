@@ -0,0 +1,110 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import sharp from 'sharp';
+import { getDocumentType } from '../lib/document-types/index.js';
+
+// ============================================================================
+// TEST HELPERS
+// Schema-valid extraction skeletons, scripted providers and throwaway
+// directories for the tests in this folder (run with `npm test`).
+// ============================================================================
+
+/**
+ * Create a temporary directory that is removed when the test process exits
+ * @param {string} prefix - Directory name prefix
+ * @returns {string} Absolute path
+ */
+function tempDir(prefix = 'extractor-test-') {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+  process.on('exit', () => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+/**
+ * Silence the pipeline's progress logs for the rest of the test file
+ * They are not needed to read the results, and the test runner's reporter misreads large amounts of them.
+ */
+function quietConsole() {
+  console.log = () => {};
+  console.warn = () => {};
+}
+
+/**
+ * Value that satisfies a schema with nothing extracted (nulls, empty arrays)
+ * @param {Object} schema - JSON Schema (see lib/schemas.js)
+ * @returns {*} Skeleton value
+ */
+function skeletonOf(schema) {
+  if (schema.const !== undefined) return schema.const;
+  if (schema.type === 'object') {
+    return Object.fromEntries(Object.entries(schema.properties).map(([key, property]) => [key, skeletonOf(property)]));
+  }
+  if (schema.type === 'array') return [];
+  return null;
+}
+
+/**
+ * Schema-valid extraction for a document type, with the given values filled in
+ * @param {string} documentType - Document type (see lib/document-types/)
+ * @param {Object} values - Values merged over the skeleton (nested objects are merged, arrays replaced)
+ * @returns {Object} Extraction data
+ */
+function extraction(documentType, values = {}) {
+  const merge = (target, source) => {
+    Object.entries(source).forEach(([key, value]) => {
+      target[key] = value && typeof value === 'object' && !Array.isArray(value) && target[key] && typeof target[key] === 'object'
+        ? merge(target[key], value)
+        : value;
+    });
+    return target;
+  };
+  return merge(skeletonOf(getDocumentType(documentType).schema), values);
+}
+
+/**
+ * Provider that answers with the given responses in call order
+ * Each response is a string (sent as is), an object (sent as JSON) or an Error (thrown).
+ * @param {Array} responses - Responses, one per call
+ * @returns {Object} Provider (see lib/providers.js) with `requests` holding every request received
+ */
+function scriptedProvider(responses) {
+  const queue = [...responses];
+  const requests = [];
+
+  return {
+    name: 'scripted',
+    model: 'scripted-1',
+    maxTokens: 4000,
+    // Same as the mock provider's default, so recorded requests replay under the same key
+    imageDetail: 'auto',
+    requests,
+    async complete(request) {
+      requests.push(request);
+      if (queue.length === 0) {
+        throw new Error(`Scripted provider: no response left for call ${requests.length}`);
+      }
+      const response = queue.shift();
+      if (response instanceof Error) throw response;
+      return {
+        content: typeof response === 'string' ? response : JSON.stringify(response),
+        usage: { prompt_tokens: 100, completion_tokens: 10, total_tokens: 110 }
+      };
+    }
+  };
+}
+
+/**
+ * Write a small blank page image (distinct per label, so recordings do not collide)
+ * @param {string} dir - Directory
+ * @param {string} name - File name (.png)
+ * @param {number} shade - Grey level 0-255
+ * @returns {Promise<string>} Image path
+ */
+async function pageImage(dir, name, shade) {
+  const imagePath = path.join(dir, name);
+  await sharp({ create: { width: 40, height: 56, channels: 3, background: { r: shade, g: shade, b: shade } } }).png().toFile(imagePath);
+  return imagePath;
+}
+
+export { tempDir, quietConsole, extraction, scriptedProvider, pageImage };
@@ -0,0 +1,70 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { saveExtraction, updateExtraction, getExtraction, listExtractions } from '../lib/history.js';
+import { applyReview } from '../lib/review.js';
+import { tempDir, quietConsole, extraction } from './helpers.js';
+
+quietConsole();
+
+/**
+ * Store an extraction of one document, as runExtraction does
+ * @param {string} documentType - Document type
+ * @param {Object} values - Extracted values (see extraction)
+ * @returns {Object} Stored record
+ */
+function store(documentType, values) {
+  const document = { documentType, reference: null, data: extraction(documentType, values) };
+  return saveExtraction({
+    filePaths: ['missing-upload.pdf'],
+    requestedDocumentType: 'AUTO',
+    provider: { name: 'scripted', model: 'scripted-1' },
+    promptVersions: {},
+    usage: { requests: 1, prompt_tokens: 100, completion_tokens: 10, total_tokens: 110 },
+    result: { success: true, data: document.data, documents: [document] }
+  });
+}
+
+const ids = records => records.map(record => record.id).sort();
+
+test('the type filter accepts aliases and any casing', () => {
+  process.env.EXTRACTIONS_DIR = tempDir();
+  const invoice = store('COMMERCIAL_INVOICE', { invoice_number: 'INV-1' });
+  const hbl = store('HBL', { hbl_number: 'HB-1' });
+
+  assert.deepEqual(ids(listExtractions({ type: 'INVOICE' }).extractions), [invoice.id]);
+  assert.deepEqual(ids(listExtractions({ type: 'hbl' }).extractions), [hbl.id]);
+  assert.equal(listExtractions({ type: 'NOT_A_TYPE' }).total, 0);
+  assert.equal(listExtractions().total, 2);
+});
+
+test('a saved review replaces the references the model read', () => {
+  process.env.EXTRACTIONS_DIR = tempDir();
+  const record = store('COMMERCIAL_INVOICE', { invoice_number: 'INV-O01' });
+
+  applyReview(record, { documentIndex: 0, data: { ...record.result.documents[0].data, invoice_number: 'INV-001' } });
+  updateExtraction(record);
+
+  assert.deepEqual(getExtraction(record.id).references, ['INV-001']);
+  assert.deepEqual(ids(listExtractions({ reference: 'inv-001' }).extractions), [record.id]);
+  assert.equal(listExtractions({ reference: 'INV-O01' }).total, 0);
+  assert.equal(listExtractions().extractions[0].reviewStatus, 'corrected');
+});
+
+test('listings come from the index, which is rebuilt when it does not match the records', () => {
+  const dir = tempDir();
+  process.env.EXTRACTIONS_DIR = dir;
+  const first = store('HBL', { hbl_number: 'HB-2' });
+  const indexPath = path.join(dir, 'index.json');
+  assert.deepEqual(Object.keys(JSON.parse(fs.readFileSync(indexPath, 'utf8'))), [first.id]);
+
+  // Records stored before the index existed
+  fs.rmSync(indexPath);
+  assert.deepEqual(ids(listExtractions().extractions), [first.id]);
+
+  // A record copied in by hand
+  const copy = { ...first, id: '00000000-0000-4000-8000-000000000000' };
+  fs.writeFileSync(path.join(dir, `${copy.id}.json`), JSON.stringify(copy));
+  assert.deepEqual(ids(listExtractions().extractions), [copy.id, first.id]);
+});
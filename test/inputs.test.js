@@ -0,0 +1,92 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import sharp from 'sharp';
+import { tempDir, quietConsole, scriptedProvider } from './helpers.js';
+
+const workDir = tempDir();
+quietConsole();
+process.env.PROMPTS_DIR = path.join(workDir, 'prompts');
+
+const { expandInputFiles, formatEmailContext } = await import('../lib/inputs.js');
+const { extract } = await import('../lib/index.js');
+
+/**
+ * PNG page of one grey level
+ * @param {number} shade - Grey level 0-255
+ * @returns {Promise<Buffer>} PNG data
+ */
+function pagePng(shade) {
+  return sharp({ create: { width: 40, height: 56, channels: 3, background: { r: shade, g: shade, b: shade } } }).png().toBuffer();
+}
+
+/**
+ * Write a minimal .eml with one base64 attachment
+ * @param {string} name - File name (.eml)
+ * @param {Object} attachment - { fileName, contentType, content }
+ * @returns {string} Email path
+ */
+function writeEml(name, attachment) {
+  const emlPath = path.join(workDir, name);
+  fs.writeFileSync(emlPath, [
+    'From: Ops Desk <ops@forwarder.example>',
+    'To: imports@consignee.example',
+    'Subject: Docs for INV-2026-001',
+    'Date: Mon, 5 Oct 2026 09:30:00 +0000',
+    'MIME-Version: 1.0',
+    'Content-Type: multipart/mixed; boundary="part"',
+    '',
+    '--part',
+    'Content-Type: text/plain; charset=utf-8',
+    '',
+    'Please find the invoice attached.',
+    '--part',
+    `Content-Type: ${attachment.contentType}; name="${attachment.fileName}"`,
+    `Content-Disposition: attachment; filename="${attachment.fileName}"`,
+    'Content-Transfer-Encoding: base64',
+    '',
+    attachment.content.toString('base64'),
+    '--part--',
+    ''
+  ].join('\r\n'));
+  return emlPath;
+}
+
+test('a two-page TIFF is split into one PNG per page', async () => {
+  const tiffPath = path.join(workDir, 'fax.tiff');
+  await sharp([await pagePng(30), await pagePng(200)], { join: { animated: true } }).tiff().toFile(tiffPath);
+  const outDir = tempDir();
+
+  const [source] = await expandInputFiles([tiffPath], outDir);
+
+  assert.equal(source.name, 'fax.tiff');
+  assert.equal(source.email, null);
+  assert.deepEqual(source.imagePaths.map(imagePath => path.basename(imagePath)), ['input1-page-1.png', 'input1-page-2.png']);
+  const shades = await Promise.all(source.imagePaths.map(async imagePath => (await sharp(imagePath).stats()).channels[0].mean));
+  assert.deepEqual(shades, [30, 200]);
+});
+
+test('an email is replaced by its image attachment, carrying the email as context', async () => {
+  const emlPath = writeEml('mail.eml', { fileName: 'invoice.png', contentType: 'image/png', content: await pagePng(120) });
+  const outDir = tempDir();
+
+  const sources = await expandInputFiles([emlPath], outDir);
+
+  assert.equal(sources.length, 1);
+  assert.equal(sources[0].name, 'mail.eml/invoice.png');
+  assert.equal(path.dirname(sources[0].filePath), outDir);
+  assert.equal((await sharp(sources[0].filePath).metadata()).format, 'png');
+  assert.equal(sources[0].email.subject, 'Docs for INV-2026-001');
+
+  const context = formatEmailContext(sources[0].email);
+  assert.match(context, /^Email: mail\.eml\nFrom: .*ops@forwarder\.example.*\nDate: 2026-10-05T09:30:00\.000Z\nSubject: Docs for INV-2026-001\n\n/);
+  assert.match(context, /Please find the invoice attached\.$/);
+});
+
+test('extract() rejects an email without a usable attachment', async () => {
+  const emlPath = writeEml('notes.eml', { fileName: 'notes.txt', contentType: 'text/plain', content: Buffer.from('Call me') });
+
+  await assert.rejects(extract([emlPath], { type: 'COMMERCIAL_INVOICE', provider: scriptedProvider([]), preprocess: false }),
+    /^Error: No pages to extract/);
+});
@@ -0,0 +1,31 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeDocument, normalizeDate, normalizeCountry, normalizePort, normalizeIncoterm, normalizeUnit } from '../lib/normalize.js';
+
+test('normalizeDate resolves unambiguous dates and refuses ambiguous ones', () => {
+  assert.equal(normalizeDate('5 Oct 2026').value, '2026-10-05');
+  assert.equal(normalizeDate('2026-10-05').value, '2026-10-05');
+  assert.equal(normalizeDate('05/10/2026').resolved, false);
+});
+
+test('ports, countries, Incoterms and units resolve to their codes', () => {
+  assert.equal(normalizePort('Shanghai').value, 'CNSHA');
+  assert.equal(normalizePort('Rotterdam').value, 'NLRTM');
+  assert.equal(normalizeCountry('China').value, 'CN');
+  assert.equal(normalizeIncoterm('fob shanghai').value, 'FOB');
+  assert.equal(normalizeUnit('KGS').value, 'KGM');
+  assert.equal(normalizeUnit('Cartons').value, 'CT');
+  assert.equal(normalizeUnit('handfuls').resolved, false);
+});
+
+test('normalizeDocument finds fields by key anywhere in the data', () => {
+  const normalized = normalizeDocument({
+    routing: { port_of_loading: 'Shanghai', etd: null },
+    line_items: [{ quantity: { value: 10, unit: 'KGS' } }],
+    containers: [{ container_type: "40' HC" }]
+  });
+
+  assert.deepEqual(Object.keys(normalized).sort(), ['containers[0].container_type', 'line_items[0].quantity.unit', 'routing.port_of_loading']);
+  assert.equal(normalized['line_items[0].quantity.unit'].kind, 'unit');
+  assert.equal(normalized['containers[0].container_type'].value, '45G1');
+});
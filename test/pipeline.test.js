@@ -0,0 +1,138 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { tempDir, quietConsole, extraction, scriptedProvider, pageImage } from './helpers.js';
+
+// The prompt registry and recordings live in throwaway folders
+const workDir = tempDir();
+quietConsole();
+process.env.PROMPTS_DIR = path.join(workDir, 'prompts');
+
+const { extract, createProvider, withRecording } = await import('../lib/index.js');
+const { getPrompt } = await import('../lib/prompts.js');
+
+const PAGE_1 = extraction('COMMERCIAL_INVOICE', {
+  invoice_number: 'INV-2026-001',
+  invoice_date: '5 Oct 2026',
+  incoterm: 'FOB Shanghai',
+  routing: { port_of_loading: 'Shanghai' },
+  financials: { currency: 'USD' },
+  line_items: [
+    { line_no: 1, item_code: 'A-1', reference_no: null, po_number: null, description: 'Cotton shirts', color: null, size: null,
+      quantity: { value: 100, unit: 'PCS' }, unit_price: { value: 2.5, currency: 'USD' }, line_amount: { value: 250, currency: 'USD' } }
+  ],
+  provenance: { invoice_number: { page_index: 1, bbox: [0.6, 0.05, 0.9, 0.1] } }
+});
+
+const PAGE_2 = extraction('COMMERCIAL_INVOICE', {
+  invoice_number: 'INV-2026-001',
+  // Disagrees with page 1: reported as a merge conflict, page 1 wins
+  invoice_date: '6 Oct 2026',
+  financials: { currency: 'USD', invoice_total: 450 },
+  line_items: [
+    // 40 x 5.00 is 200, not 210: reported by the line_amount check
+    { line_no: 2, item_code: 'B-2', reference_no: null, po_number: null, description: 'Denim trousers', color: null, size: null,
+      quantity: { value: 40, unit: 'PCS' }, unit_price: { value: 5, currency: 'USD' }, line_amount: { value: 210, currency: 'USD' } }
+  ]
+});
+
+// Page 1's first answer misses required keys and is repaired
+const { invoice_number, ...PAGE_1_INVALID } = PAGE_1;
+
+/**
+ * Extract the two test pages as one commercial invoice, one page per batch
+ * @param {Object} provider - Provider to use
+ * @param {string[]} files - Page images
+ * @returns {Promise<Object>} extract() result
+ */
+function extractInvoice(provider, files) {
+  return extract(files, { type: 'COMMERCIAL_INVOICE', provider, batchSize: 1, concurrency: 1, preprocess: false });
+}
+
+test('extracts, repairs, merges and checks a two-batch invoice, and replays it through the mock provider', async () => {
+  const files = [await pageImage(workDir, 'page-1.png', 250), await pageImage(workDir, 'page-2.png', 200)];
+  const recordDir = path.join(workDir, 'recordings');
+  const scripted = scriptedProvider([PAGE_1_INVALID, PAGE_1, PAGE_2]);
+
+  const recorded = await extractInvoice(withRecording(scripted, recordDir), files);
+  const [document] = recorded.documents;
+
+  // Validation and repair: the second request carries the errors of the first answer
+  assert.equal(scripted.requests.length, 3);
+  assert.match(scripted.requests[1].messages[2].content, /missing required property: invoice_number/);
+  assert.equal(recorded.usage.requests, 3);
+  assert.deepEqual(recorded.warnings, []);
+  assert.deepEqual(document.validationErrors, []);
+
+  // Merge: line items concatenated in page order, the first value kept on a conflict
+  assert.deepEqual(document.data.line_items.map(item => item.item_code), ['A-1', 'B-2']);
+  assert.equal(document.data.invoice_date, '5 Oct 2026');
+  assert.deepEqual(document.mergeConflicts.map(conflict => conflict.path), ['invoice_date']);
+  assert.equal(document.data.financials.invoice_total, 450);
+
+  // Provenance is translated to upload-wide pages
+  assert.equal(document.provenance.invoice_number.pageIndex, 1);
+
+  // Consistency checks and normalization
+  assert.deepEqual(document.consistencyWarnings.filter(warning => warning.rule === 'line_amount').map(warning => warning.path),
+    ['line_items[1].line_amount.value']);
+  assert.equal(document.normalized.invoice_date.value, '2026-10-05');
+  assert.equal(document.normalized['routing.port_of_loading'].value, 'CNSHA');
+  assert.equal(document.normalized.incoterm.value, 'FOB');
+
+  // Replay: same requests, same documents, no network
+  const mock = createProvider({ provider: 'mock', responsesDir: recordDir });
+  const replayed = await extractInvoice(mock, files);
+  const comparable = doc => ({ ...doc, sourcePages: doc.sourcePages.map(({ image, ...page }) => page) });
+  assert.deepEqual(replayed.documents.map(comparable), recorded.documents.map(comparable));
+  assert.equal(replayed.provider.name, 'mock');
+});
+
+test('reports schema errors that remain after the repair attempts', async () => {
+  const files = [await pageImage(workDir, 'page-3.png', 150)];
+  const scripted = scriptedProvider([PAGE_1_INVALID, PAGE_1_INVALID, PAGE_1_INVALID]);
+
+  const { documents } = await extractInvoice(scripted, files);
+
+  assert.equal(scripted.requests.length, 3);
+  assert.deepEqual(documents[0].validationErrors.map(error => error.message), ['missing required property: invoice_number']);
+});
+
+test('reports a batch that fails as a failed batch and keeps the others', async () => {
+  const files = [await pageImage(workDir, 'page-4.png', 100), await pageImage(workDir, 'page-5.png', 50)];
+  const scripted = scriptedProvider([PAGE_1, 'not json', 'not json', 'not json']);
+
+  const { documents } = await extractInvoice(scripted, files);
+
+  assert.equal(documents[0].data.invoice_number, 'INV-2026-001');
+  assert.deepEqual(documents[0].failedBatches.map(failed => failed.batch), [2]);
+});
+
+test('a classification prompt without the document types placeholder still gets the type list', async () => {
+  const files = [await pageImage(workDir, 'page-6.png', 30)];
+  // A version stored before the placeholder existed (the registry no longer accepts new ones like it)
+  const seed = getPrompt('CLASSIFICATION', 1);
+  fs.writeFileSync(path.join(process.env.PROMPTS_DIR, 'CLASSIFICATION', '2.json'),
+    JSON.stringify({ ...seed, version: 2, description: 'Old list', text: 'Classify each page as HBL, MBL or UNKNOWN.' }));
+  const scripted = scriptedProvider([{ pages: [{ page_index: 1, document_type: 'UNKNOWN', confidence: 0.9, starts_new_document: true }] }]);
+
+  await extract(files, { provider: scripted, promptVersions: { CLASSIFICATION: 2 }, preprocess: false });
+
+  const prompt = scripted.requests[0].messages[0].content[0].text;
+  assert.match(prompt, /^Classify each page as HBL, MBL or UNKNOWN\./);
+  assert.match(prompt, /air waybill, master \(MAWB/);
+});
+
+for (const [option, value] of [['batchSize', -1], ['batchSize', 'abc'], ['batchSize', 0], ['concurrency', 2.5]]) {
+  test(`extract() rejects ${option} ${JSON.stringify(value)}`, async () => {
+    const files = [await pageImage(workDir, 'page-7.png', 20)];
+    await assert.rejects(extract(files, { type: 'HBL', provider: scriptedProvider([]), [option]: value }),
+      new RegExp(`^Error: ${option} must be a whole number of at least 1`));
+  });
+}
+
+test('the mock provider refuses requests it has no recording for', async () => {
+  const mock = createProvider({ provider: 'mock', responsesDir: path.join(workDir, 'empty') });
+  await assert.rejects(mock.complete({ messages: [{ role: 'user', content: 'hello' }] }), /no recorded response/);
+});
@@ -0,0 +1,39 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import sharp from 'sharp';
+import { preprocessImage, resolvePreprocessOptions } from '../lib/preprocess.js';
+import { tempDir } from './helpers.js';
+
+const SAMPLE_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'sample-docs');
+const SAMPLE_PAGES = fs.readdirSync(SAMPLE_DIR).filter(file => /^COM INV_page-\d+\.jpg$/.test(file)).sort();
+const outDir = tempDir();
+
+// The defaults, whatever the environment running the tests sets
+delete process.env.IMAGE_ORIENTATION;
+const DEFAULTS = resolvePreprocessOptions();
+
+test('orientation correction is off by default', () => {
+  assert.equal(DEFAULTS.orientation, false);
+  assert.equal(resolvePreprocessOptions({ orientation: true }).orientation, true);
+});
+
+test('the upright sample pages are not rotated', async () => {
+  assert.ok(SAMPLE_PAGES.length > 0);
+  for (const file of SAMPLE_PAGES) {
+    const result = await preprocessImage(path.join(SAMPLE_DIR, file), path.join(outDir, file), DEFAULTS);
+    assert.equal(result.rotation, 0, file);
+  }
+});
+
+test('a skewed sample page is straightened, not rotated', async () => {
+  const skewedPath = path.join(outDir, 'skewed.jpg');
+  await sharp(path.join(SAMPLE_DIR, SAMPLE_PAGES[0])).rotate(3, { background: '#ffffff' }).toFile(skewedPath);
+
+  const result = await preprocessImage(skewedPath, path.join(outDir, 'skewed-prepared'), DEFAULTS);
+
+  assert.equal(result.rotation, 0);
+  assert.ok(Math.abs(Math.abs(result.skew) - 3) <= 0.3, `skew ${result.skew}`);
+});
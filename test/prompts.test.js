@@ -0,0 +1,49 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { tempDir, quietConsole } from './helpers.js';
+
+const workDir = tempDir();
+quietConsole();
+
+const { getPrompt, listPrompts, createPromptVersion } = await import('../lib/prompts.js');
+
+test('the built-in prompts are seeded as version 1', () => {
+  process.env.PROMPTS_DIR = path.join(workDir, 'fresh');
+
+  const prompt = getPrompt('HBL');
+
+  assert.equal(prompt.version, 1);
+  assert.equal(prompt.description, 'Built-in prompt');
+  assert.ok(prompt.active);
+});
+
+test('a changed built-in prompt is added as a new version without activating it', () => {
+  process.env.PROMPTS_DIR = path.join(workDir, 'current');
+  const builtIn = getPrompt('HBL');
+  // The registry of a deployment that seeded HBL from an older constants.js, then added its own version
+  const outdatedDir = path.join(workDir, 'stale');
+  fs.mkdirSync(path.join(outdatedDir, 'HBL'), { recursive: true });
+  fs.writeFileSync(path.join(outdatedDir, 'HBL', '1.json'), JSON.stringify({ ...builtIn, text: 'old prompt', sha256: 'old' }));
+  fs.writeFileSync(path.join(outdatedDir, 'HBL', '2.json'), JSON.stringify({ ...builtIn, version: 2, description: 'Tuned', text: 'tuned', sha256: 'tuned' }));
+  fs.writeFileSync(path.join(outdatedDir, 'active.json'), JSON.stringify({ HBL: 2 }));
+  process.env.PROMPTS_DIR = outdatedDir;
+
+  const hbl = listPrompts().find(prompt => prompt.name === 'HBL');
+
+  assert.deepEqual(hbl.versions.map(version => [version.version, version.description]), [[1, 'Built-in prompt'], [2, 'Tuned'], [3, 'Built-in prompt']]);
+  assert.equal(hbl.versions[2].sha256, builtIn.sha256);
+  assert.equal(hbl.activeVersion, 2);
+
+  // Only once: the next lookups and new versions do not add it again
+  assert.equal(getPrompt('HBL').version, 2);
+  assert.equal(createPromptVersion('HBL', { text: 'tuned again' }).version, 4);
+});
+
+test('a CLASSIFICATION version has to keep the document types placeholder', () => {
+  process.env.PROMPTS_DIR = path.join(workDir, 'classification');
+
+  assert.throws(() => createPromptVersion('CLASSIFICATION', { text: 'Classify each page as HBL, MBL or UNKNOWN.' }), /must contain \{\{DOCUMENT_TYPES\}\}/);
+  assert.equal(createPromptVersion('CLASSIFICATION', { text: 'Classify each page.\n{{DOCUMENT_TYPES}}' }).version, 2);
+});
@@ -0,0 +1,50 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { reconcileDocuments } from '../lib/reconcile.js';
+import { extraction } from './helpers.js';
+
+const CONTAINER = { container_number: 'CSQU3054383', seal_number: 'SL1', container_type: '40HC', stuffing_mode: 'FCL' };
+
+/**
+ * Document as reconcileDocuments() takes it
+ * @param {string} documentType - Document type
+ * @param {Object} values - Extracted values (see extraction)
+ * @returns {Object} { extractionId, document, documentType, reference, data }
+ */
+function doc(documentType, values) {
+  return { extractionId: `x-${documentType}`, document: 1, documentType, reference: null, data: extraction(documentType, values) };
+}
+
+test('matching HBL and MBL reconcile without discrepancies', () => {
+  const routing = { vessel_name: 'M/V MSC OSCAR', voyage_number: 'FE123', port_of_loading: 'Shanghai', port_of_discharge: 'Rotterdam' };
+  const report = reconcileDocuments([
+    doc('HBL', { routing, containers: [CONTAINER], cargo_summary: { gross_weight: { value: '1,000.00', unit: 'KGS' } } }),
+    doc('MBL', { routing: { ...routing, vessel_name: 'MSC OSCAR' }, containers: [CONTAINER], container_summary: { gross_weight: { value: 1002, unit: 'KG' } } })
+  ]);
+
+  assert.deepEqual(report.discrepancies, []);
+  const status = Object.fromEntries(report.checks.map(check => [check.check, check.status]));
+  assert.equal(status.containers, 'match');
+  assert.equal(status.vessel, 'match');
+  assert.equal(status.gross_weight, 'match');
+  assert.equal(status.packages, 'skipped');
+});
+
+test('different containers, seals, ports and weights are reported', () => {
+  const report = reconcileDocuments([
+    doc('HBL', {
+      routing: { port_of_loading: 'Shanghai' },
+      containers: [CONTAINER, { ...CONTAINER, container_number: 'MSCU1234566' }],
+      cargo_summary: { gross_weight: { value: 1000, unit: 'KGS' } }
+    }),
+    doc('MBL', {
+      routing: { port_of_loading: 'Ningbo' },
+      containers: [{ ...CONTAINER, seal_number: 'SL2' }],
+      container_summary: { gross_weight: { value: 1100, unit: 'KGS' } }
+    })
+  ]);
+
+  const checks = report.discrepancies.map(discrepancy => discrepancy.check).sort();
+  assert.deepEqual(checks, ['containers', 'gross_weight', 'port_of_loading', 'seals']);
+  assert.match(report.discrepancies.find(discrepancy => discrepancy.check === 'containers').message, /MSCU1234566/);
+});
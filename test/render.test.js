@@ -0,0 +1,28 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { renderDocument } from '../lib/render.js';
+import { extraction } from './helpers.js';
+
+// Shape of a document stored before consistency warnings, failed batches and page ranges were recorded
+const OLD_DOCUMENT = {
+  documentType: 'COMMERCIAL_INVOICE',
+  data: extraction('COMMERCIAL_INVOICE', {
+    invoice_number: 'INV-2025-017',
+    line_items: [
+      { line_no: 1, item_code: 'A-1', reference_no: null, po_number: null, description: 'Cotton shirts', color: null, size: null,
+        quantity: { value: 100, unit: 'PCS' }, unit_price: { value: 2.5, currency: 'USD' }, line_amount: { value: 250, currency: 'USD' } }
+    ]
+  })
+};
+
+for (const format of ['json', 'csv', 'html']) {
+  test(`renders a document without the newer lists as ${format}`, () => {
+    const { content, extension } = renderDocument(OLD_DOCUMENT, format);
+    assert.equal(extension, format);
+    assert.match(content, format === 'csv' ? /Cotton shirts/ : /INV-2025-017/);
+  });
+}
+
+test('rejects unknown formats', () => {
+  assert.throws(() => renderDocument(OLD_DOCUMENT, 'pdf'), /Unsupported format: pdf/);
+});
@@ -0,0 +1,115 @@
+import test, { before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import net from 'net';
+import path from 'path';
+import { spawn } from 'child_process';
+import { fileURLToPath } from 'url';
+import { tempDir, quietConsole, extraction } from './helpers.js';
+
+const ROOT_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+const extractionsDir = tempDir();
+quietConsole();
+process.env.EXTRACTIONS_DIR = extractionsDir;
+
+const { saveExtraction } = await import('../lib/history.js');
+
+/**
+ * A port nobody is listening on
+ * @returns {Promise<number>} Port
+ */
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer().listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    }).on('error', reject);
+  });
+}
+
+/**
+ * Start server.js on a free port with the mock provider and the test's history folder
+ * @returns {Promise<Object>} { url, stop }
+ */
+async function startServer() {
+  const port = await freePort();
+  const child = spawn(process.execPath, ['server.js'], {
+    cwd: ROOT_DIR,
+    env: { ...process.env, PORT: String(port), LLM_PROVIDER: 'mock', EXTRACTIONS_DIR: extractionsDir },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  child.stderr.resume();
+
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error('server did not start')), 15000);
+    child.stdout.on('data', chunk => {
+      if (String(chunk).includes('Server running')) {
+        clearTimeout(timer);
+        resolve();
+      }
+    });
+    child.on('exit', code => reject(new Error(`server exited with code ${code}`)));
+  });
+  child.stdout.resume();
+
+  return {
+    url: `http://localhost:${port}`,
+    stop: () => new Promise(resolve => {
+      child.once('exit', resolve);
+      child.kill();
+    })
+  };
+}
+
+let server;
+before(async () => { server = await startServer(); });
+after(() => server.stop());
+
+/**
+ * POST JSON to the server
+ * @param {string} route - Path, e.g. /api/extract
+ * @param {Object} body - Request body
+ * @returns {Promise<Response>} Response
+ */
+function post(route, body) {
+  return fetch(`${server.url}${route}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+}
+
+test('a review with data that does not match the schema is rejected and not stored', async () => {
+  const data = extraction('COMMERCIAL_INVOICE', { invoice_number: 'INV-1' });
+  const record = saveExtraction({
+    filePaths: ['missing-upload.pdf'],
+    requestedDocumentType: 'COMMERCIAL_INVOICE',
+    provider: { name: 'scripted', model: 'scripted-1' },
+    promptVersions: {},
+    usage: { requests: 1, prompt_tokens: 100, completion_tokens: 10, total_tokens: 110 },
+    result: { success: true, data, documents: [{ documentType: 'COMMERCIAL_INVOICE', reference: null, data }] }
+  });
+  const review = body => post(`/api/extractions/${record.id}/review`, body);
+
+  for (const lineItems of [[null], 'abc']) {
+    const response = await review({ data: { ...data, line_items: lineItems } });
+    const result = await response.json();
+    assert.equal(response.status, 400);
+    assert.match(result.validationErrors[0].path, /^\/line_items/);
+  }
+
+  const stored = await (await fetch(`${server.url}/api/extractions/${record.id}`)).json();
+  assert.equal(stored.extraction.reviews, undefined);
+
+  const accepted = await review({ data: { ...data, invoice_number: 'INV-001' } });
+  assert.equal(accepted.status, 200);
+  assert.equal((await accepted.json()).review.status, 'corrected');
+});
+
+for (const [field, value] of [['batchSize', -1], ['batchSize', 'abc'], ['batchSize', 2.5], ['concurrency', 0]]) {
+  test(`an extraction with ${field} ${JSON.stringify(value)} is rejected`, async () => {
+    const response = await post('/api/extract', { [field]: value });
+
+    assert.equal(response.status, 400);
+    assert.match((await response.json()).error, new RegExp(`^${field} must be a whole number of at least 1`));
+  });
+}
@@ -0,0 +1,41 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { isEmpty, valueAtPath } from '../lib/values.js';
+import { mergeExtractedData } from '../lib/merge.js';
+import { resolveProvenance } from '../lib/provenance.js';
+import { diffValues } from '../lib/review.js';
+
+test('null, undefined and blank strings are empty; zero, false and empty arrays are not', () => {
+  [null, undefined, '', '   '].forEach(value => assert.equal(isEmpty(value), true, JSON.stringify(value)));
+  [0, false, [], 'x'].forEach(value => assert.equal(isEmpty(value), false, JSON.stringify(value)));
+});
+
+test('paths resolve dotted keys and array indexes', () => {
+  const data = { routing: { eta: '2026-10-05' }, line_items: [{ description: 'a' }, { description: 'b' }] };
+
+  assert.equal(valueAtPath(data, 'routing.eta'), '2026-10-05');
+  assert.equal(valueAtPath(data, 'line_items[1].description'), 'b');
+  assert.equal(valueAtPath(data, 'line_items.1.description'), 'b');
+  assert.equal(valueAtPath(data, 'routing.etd.date'), undefined);
+});
+
+test('merge, provenance and review treat a blank string as missing', () => {
+  const blank = { hbl_number: '  ', missing_fields: ['hbl_number'] };
+  const found = { hbl_number: 'HB1', missing_fields: [] };
+
+  // Merge fills the blank from the later batch
+  const { data } = mergeExtractedData([blank, found], 'HBL');
+  assert.equal(data.hbl_number, 'HB1');
+  assert.deepEqual(data.missing_fields, []);
+
+  // Provenance only points at the batch that found the value
+  const page = number => [{ pageIndex: number, file: 'pack.pdf', page: number }];
+  const provenance = resolveProvenance([
+    { data: blank, provenance: { hbl_number: { page_index: 1 } }, pages: page(1) },
+    { data: found, provenance: { hbl_number: { page_index: 1 } }, pages: page(2) }
+  ], data);
+  assert.equal(provenance.hbl_number.pageIndex, 2);
+
+  // Review does not count blank -> null as a correction
+  assert.deepEqual(diffValues({ hbl_number: '  ' }, { hbl_number: null }), []);
+});